@@ -0,0 +1,1830 @@
+/**
+ * Instagram Non-Follower Analyzer - Core
+ *
+ * DOM-free parsing, normalization, set logic, ZIP handling, export formatting
+ * and workspace bundles shared by the page (main.js), the background worker
+ * (analyzer-worker.js), the Node local server (server.js) and the command-line
+ * analyzer (bin/ig-nonfollowers.js).
+ * Exposed as `self.AnalyzerCore` in the browser and as the module export in Node.
+ */
+
+(function(root) {
+  'use strict';
+
+  // -------------------------------------------------------------------------
+  // SECTION: Relationship Lists (which export files hold what)
+  // -------------------------------------------------------------------------
+
+  // Relationship lists in the "Download Your Information" export. Every list is loaded
+  // the same way; `required` lists are needed for the analysis, the rest are used to
+  // cross-reference the results.
+  // `pattern` matches the file name (part number in group 1, for multi-part files),
+  // in either the JSON or the HTML export format.
+  const RELATIONSHIP_LISTS = [
+      { key: 'followers', label: 'Followers', required: true, pattern: /^followers_(\d+)\.(?:json|html?)$/i, file: 'followers_1.json' },
+      { key: 'following', label: 'Following', required: true, pattern: /^following(?:_(\d+))?\.(?:json|html?)$/i, file: 'following.json' },
+      { key: 'closeFriends', label: 'Close friends', pattern: /^close_friends\.(?:json|html?)$/i, file: 'close_friends.json' },
+      { key: 'blocked', label: 'Blocked', pattern: /^blocked_(?:accounts|profiles)\.(?:json|html?)$/i, file: 'blocked_accounts.json' },
+      { key: 'restricted', label: 'Restricted', pattern: /^restricted_(?:accounts|profiles)\.(?:json|html?)$/i, file: 'restricted_accounts.json' },
+      { key: 'pendingRequests', label: 'Pending follow requests', pattern: /^pending_follow_requests\.(?:json|html?)$/i, file: 'pending_follow_requests.json' },
+      { key: 'recentlyUnfollowed', label: 'Recently unfollowed', pattern: /^recently_unfollowed_(?:accounts|profiles)\.(?:json|html?)$/i, file: 'recently_unfollowed_accounts.json' },
+      { key: 'removedSuggestions', label: 'Removed suggestions', pattern: /^removed_suggestions\.(?:json|html?)$/i, file: 'removed_suggestions.json' }
+  ];
+
+  // Folder holding the relationship lists inside the export.
+  // Older exports put followers_and_following/ at the root instead of under connections/.
+  const ARCHIVE_FOLDER = /(?:^|\/)followers_and_following\/([^/]+)$/i;
+  const ARCHIVE_EXPECTED_FOLDER = 'connections/followers_and_following/';
+
+  /**
+   * Finds the relationship list definition for an export file name.
+   * @param {string} fileName - Base file name, e.g. "close_friends.json".
+   * @returns {object|undefined} - Entry from RELATIONSHIP_LISTS.
+   */
+  function findRelationshipList(fileName) {
+      return RELATIONSHIP_LISTS.find(list => list.pattern.test(fileName));
+  }
+
+  /**
+   * Orders the files of one list by part number (followers_1.json, followers_2.json, ...),
+   * the order loadRelationshipFiles() merges them in. Names without a number keep their place.
+   * @template {{name: string}} T
+   * @param {object} list - A RELATIONSHIP_LISTS entry.
+   * @param {T[]} files
+   * @returns {T[]} - A sorted copy.
+   */
+  function sortListParts(list, files) {
+      const partNumber = name => Number(name.split('/').pop().match(list.pattern)?.[1] || 0);
+      return files.slice().sort((a, b) => partNumber(a.name) - partNumber(b.name));
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Export Parsing (JSON & HTML)
+  // -------------------------------------------------------------------------
+
+  // Export file layouts Instagram has used, oldest first. `version` numbers the JSON
+  // layouts in the order they appeared; readExportLayout() reports the one that matched.
+  // - array:   followers_1.json, a plain list of entries, username in string_list_data[].value
+  // - wrapped: following.json etc., the same entries in { "relationships_following": [...] }
+  // - title:   newer exports, username in the entry's `title` and string_list_data[].value empty
+  //            (list or wrapper)
+  // - html:    the HTML export format
+  const EXPORT_LAYOUTS = [
+      { id: 'array', version: 1, label: 'JSON list' },
+      { id: 'wrapped', version: 2, label: 'JSON "relationships_…" object' },
+      { id: 'title', version: 3, label: 'JSON with usernames in "title"' },
+      { id: 'html', version: null, label: 'HTML' }
+  ];
+
+  /**
+   * Parses export file content, detecting whether it is the JSON or the HTML format.
+   * Both produce the same shape: [{ string_list_data: [{ href, value, timestamp }] }, ...]
+   * @param {string} text - File content.
+   * @param {string} fileName - File name, used as a format hint.
+   * @returns {Array}
+   */
+  function parseExportText(text, fileName) {
+      return readExportLayout(text, fileName).items;
+  }
+
+  /**
+   * Parses export file content and tells which EXPORT_LAYOUTS entry it matched.
+   * Items are normalized to the oldest layout, so `value` always holds the username.
+   * @param {string} text - File content.
+   * @param {string} fileName - File name, used as a format hint.
+   * @returns {{layout: object, items: Array}}
+   * @throws {Error} - Named 'ExportFormatError', saying why no layout matched.
+   */
+  function readExportLayout(text, fileName) {
+      if (!text.trim()) throw exportFormatError('The file is empty.');
+      if (detectExportFormat(text, fileName) === 'html') {
+          return { layout: getExportLayout('html'), items: parseHtmlExport(text) };
+      }
+      let data;
+      try {
+          data = JSON.parse(text);
+      } catch (error) {
+          throw exportFormatError(`JSON Parse Error: ${error.message}. The file may be cut off; try downloading the export again.`);
+      }
+      return readJsonLayout(data);
+  }
+
+  /**
+   * Detects whether export file content is the JSON or the HTML format.
+   * @param {string} text - File content.
+   * @param {string} [fileName]
+   * @returns {'json' | 'html'}
+   */
+  function detectExportFormat(text, fileName = '') {
+      const start = text.trimStart().charAt(0);
+      if (start === '[' || start === '{') return 'json';
+      if (start === '<') return 'html';
+      return /\.html?$/i.test(fileName) ? 'html' : 'json';
+  }
+
+  /**
+   * Matches parsed export JSON against the JSON layouts.
+   * @param {any} data - Parsed JSON.
+   * @returns {{layout: object, items: Array}}
+   * @throws {Error} - Named 'ExportFormatError' when no layout matches.
+   */
+  function readJsonLayout(data) {
+      let items;
+      let container;
+      if (Array.isArray(data)) {
+          items = data;
+          container = 'array';
+      } else if (data && typeof data === 'object') {
+          const keys = Object.keys(data);
+          // Instagram names the wrapper after the list: relationships_following, relationships_close_friends, ...
+          const key = keys.find(name => /^relationships_/.test(name) && Array.isArray(data[name])) ||
+              (keys.length === 1 && Array.isArray(data[keys[0]]) ? keys[0] : null);
+          if (!key) {
+              const found = keys.length > 0 ? `the keys ${describeKeys(keys)}` : 'an empty object';
+              throw exportFormatError(`No list of accounts found: expected a list or a "relationships_…" key, but the file has ${found}.`);
+          }
+          items = data[key];
+          container = 'wrapped';
+      } else {
+          throw exportFormatError(`Expected a list of accounts, but the file holds ${data === null ? 'null' : `a ${typeof data}`}.`);
+      }
+
+      if (items.length === 0) return { layout: getExportLayout(container), items };
+
+      const entries = items.filter(item => Array.isArray(item?.string_list_data));
+      if (entries.length === 0) {
+          const sample = items.find(item => item && typeof item === 'object');
+          const found = sample ? `the first one has ${describeKeys(Object.keys(sample))}` : 'they are not objects';
+          throw exportFormatError(`The ${items.length} entries don't match any known layout: expected "string_list_data" in each entry, but ${found}.`);
+      }
+
+      const hasValues = entries.some(item => item.string_list_data.some(entry => entry?.value));
+      const hasTitles = entries.some(item => typeof item.title === 'string' && item.title.trim());
+      if (!hasValues && !hasTitles) {
+          throw exportFormatError(`None of the ${items.length} entries has a username: "string_list_data[].value" and "title" are empty.`);
+      }
+
+      return {
+          layout: getExportLayout(hasValues ? container : 'title'),
+          items: items.map(item => {
+              const title = typeof item?.title === 'string' ? item.title.trim() : '';
+              if (!title || !Array.isArray(item.string_list_data)) return item;
+              const list = item.string_list_data.length > 0 ? item.string_list_data : [{}];
+              return { ...item, string_list_data: list.map(entry => (entry?.value ? entry : { ...entry, value: title })) };
+          })
+      };
+  }
+
+  /**
+   * Returns the EXPORT_LAYOUTS entry with the given id.
+   * @param {string} id
+   * @returns {object}
+   */
+  function getExportLayout(id) {
+      return EXPORT_LAYOUTS.find(layout => layout.id === id);
+  }
+
+  /**
+   * Quotes the first few keys of an object for a diagnostic message.
+   * @param {string[]} keys
+   * @returns {string}
+   */
+  function describeKeys(keys) {
+      const shown = keys.slice(0, 5).map(key => `"${key}"`).join(', ');
+      return keys.length > 5 ? `${shown}, …` : shown || 'no keys';
+  }
+
+  /**
+   * Creates the error thrown when a file matches no known export layout.
+   * @param {string} message
+   * @returns {Error}
+   */
+  function exportFormatError(message) {
+      const error = new Error(message);
+      error.name = 'ExportFormatError';
+      return error;
+  }
+
+  // Instagram's HTML export lists each account as a profile link followed by a date:
+  //   <div><a target="_blank" href="https://www.instagram.com/username">username</a></div><div>Jul 16, 2024, 12:28 PM</div>
+  // Newer exports put the username in an <h2> above and show the URL as the link text.
+  // Parsed with regular expressions (not DOMParser) so it also works outside the page.
+  const HTML_ENTRY_PATTERN = /(?:<h2[^>]*>([^<]*)<\/h2>\s*(?:<div[^>]*>\s*)*)?<a\b[^>]*\bhref="([^"]*)"[^>]*>([^<]*)<\/a>\s*(?:<\/div>\s*)?(?:<div>([^<]*)<\/div>)?/gi;
+  const PROFILE_URL_PATTERN = /^https?:\/\/(?:www\.)?instagram\.com\/(?:_u\/)?([A-Za-z0-9._]+)\/?(?:[?#].*)?$/i;
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+  /**
+   * Extracts relationship items from an Instagram HTML export page.
+   * @param {string} html - Page markup, e.g. followers_1.html or following.html.
+   * @returns {Array<{title: string, string_list_data: Array<{href: string, value: string, timestamp: number|null}>}>}
+   */
+  function parseHtmlExport(html) {
+      const items = [];
+      for (const match of html.matchAll(HTML_ENTRY_PATTERN)) {
+          const [, heading, rawHref, rawText, rawDate] = match;
+          const href = decodeHtmlEntities(rawHref).trim();
+          const urlUsername = href.match(PROFILE_URL_PATTERN)?.[1];
+          if (!urlUsername) continue; // Not a profile link
+
+          const username = [rawText, heading || '']
+              .map(candidate => decodeHtmlEntities(candidate).trim())
+              .find(candidate => /^[A-Za-z0-9._]+$/.test(candidate)) || urlUsername;
+
+          items.push({
+              title: '',
+              string_list_data: [{
+                  href,
+                  value: username,
+                  timestamp: rawDate ? parseExportDate(decodeHtmlEntities(rawDate).trim()) : null
+              }]
+          });
+      }
+      if (items.length === 0 && !/instagram\.com/i.test(html)) {
+          throw exportFormatError('HTML file does not look like an Instagram export: it has no instagram.com profile links.');
+      }
+      return items;
+  }
+
+  /**
+   * Parses a date as shown in the HTML export ("Jul 16, 2024, 12:28 PM") into a
+   * Unix timestamp in seconds, like the JSON export's `timestamp`.
+   * @param {string} text
+   * @returns {number|null}
+   */
+  function parseExportDate(text) {
+      const match = text.match(/([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2}),?\s+(\d{4})(?:,?\s*(?:at\s+)?(\d{1,2}):(\d{2})\s*([ap]m)?)?/i);
+      if (match) {
+          const month = MONTHS.indexOf(match[1].toLowerCase());
+          if (month !== -1) {
+              let hours = Number(match[4] || 0);
+              const meridiem = (match[6] || '').toLowerCase();
+              if (meridiem === 'pm' && hours < 12) hours += 12;
+              if (meridiem === 'am' && hours === 12) hours = 0;
+              const date = new Date(Number(match[3]), month, Number(match[2]), hours, Number(match[5] || 0));
+              return Math.floor(date.getTime() / 1000);
+          }
+      }
+      const parsed = Date.parse(text);
+      return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+  }
+
+  /**
+   * Decodes the HTML entities that appear in export markup.
+   * @param {string} text
+   * @returns {string}
+   */
+  function decodeHtmlEntities(text) {
+      const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+      return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+          if (code[0] === '#') {
+              const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+              return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+          }
+          return named[code.toLowerCase()] ?? entity;
+      });
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Normalization & Set Logic
+  // -------------------------------------------------------------------------
+
+  /**
+   * Normalizes a single string_list_data entry and stores it in the given Map.
+   * Keeps the earliest timestamp if the same user appears more than once.
+   * @param {Map<string, object>} target - The Map to add the record to.
+   * @param {object} entry - { value: 'username', href: '...', timestamp: 1721125706 }
+   * @returns {'added'|'duplicate'|'skipped'} - 'skipped' when the entry has no username.
+   */
+  function addRelationshipEntry(target, entry) {
+      if (!entry?.value) return 'skipped';
+
+      const username = entry.value.toLowerCase();
+      const timestamp = Number.isFinite(entry.timestamp) ? entry.timestamp : null;
+      const existing = target.get(username);
+
+      if (existing) {
+          if (timestamp !== null && (existing.timestamp === null || timestamp < existing.timestamp)) {
+              existing.timestamp = timestamp;
+          }
+          return 'duplicate';
+      }
+
+      target.set(username, {
+          username,
+          href: entry.href || `https://www.instagram.com/${username}/`,
+          timestamp
+      });
+      return 'added';
+  }
+
+  /**
+   * Lowercases a username and strips whitespace and a leading '@'.
+   * @param {string} username
+   * @returns {string}
+   */
+  function normalizeUsername(username) {
+      return username.trim().replace(/^@/, '').toLowerCase();
+  }
+
+  /**
+   * Parses a list of usernames from text: a JSON array or one per line.
+   * Lines may use '@' and '#' comments; commas also separate usernames.
+   * @param {string} text
+   * @returns {string[]} - Normalized usernames.
+   */
+  function parseUsernameList(text) {
+      const trimmed = text.trim();
+      let values;
+      if (trimmed.startsWith('[')) {
+          values = JSON.parse(trimmed);
+          if (!Array.isArray(values)) throw new Error('Expected a JSON array of usernames.');
+      } else {
+          values = trimmed.split(/\r?\n|,/).map(line => line.replace(/#.*$/, ''));
+      }
+      return values.map(value => normalizeUsername(String(value))).filter(Boolean);
+  }
+
+  /**
+   * Normalizes free-form tags: lowercase, whitespace turned into '-', no empty tags or duplicates.
+   * @param {string[]} tags
+   * @returns {string[]}
+   */
+  function normalizeTags(tags) {
+      const normalized = tags.map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean);
+      return [...new Set(normalized)];
+  }
+
+  /**
+   * Returns the members of `a` that are not in `b`.
+   * Works with any Set or Map keyed by username.
+   * @param {Set<string>|Map<string, any>} a
+   * @param {Set<string>|Map<string, any>} b
+   * @returns {string[]}
+   */
+  function setDifference(a, b) {
+      return [...a.keys()].filter(user => !b.has(user));
+  }
+
+  /**
+   * Users in `following` who are not in `followers`.
+   * @param {Set<string>|Map<string, any>} following
+   * @param {Set<string>|Map<string, any>} followers
+   * @returns {string[]}
+   */
+  function computeNonFollowers(following, followers) {
+      return setDifference(following, followers);
+  }
+
+  // Relationships computeRelationship can list
+  const RELATIONSHIP_MODES = ['notFollowingBack', 'fans', 'mutuals', 'all'];
+
+  /**
+   * Users in one relationship between the two lists:
+   * - notFollowingBack: you follow them, they don't follow you
+   * - fans: they follow you, you don't follow them
+   * - mutuals: you follow each other
+   * - all: everyone in either list
+   * @param {string} mode - One of RELATIONSHIP_MODES.
+   * @param {Set<string>|Map<string, any>} following
+   * @param {Set<string>|Map<string, any>} followers
+   * @returns {string[]}
+   */
+  function computeRelationship(mode, following, followers) {
+      switch (mode) {
+          case 'notFollowingBack':
+              return computeNonFollowers(following, followers);
+          case 'fans':
+              return setDifference(followers, following);
+          case 'mutuals':
+              return [...following.keys()].filter(user => followers.has(user));
+          case 'all':
+              return [...new Set([...following.keys(), ...followers.keys()])];
+          default:
+              throw new Error(`Unknown relationship mode "${mode}". Expected one of: ${RELATIONSHIP_MODES.join(', ')}.`);
+      }
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Import Report (data quality of the loaded files)
+  // -------------------------------------------------------------------------
+
+  // What the import report counts per file, in display order
+  const IMPORT_ISSUES = [
+      { kind: 'skipped', label: 'Entries skipped (no username, or unreadable)' },
+      { kind: 'duplicate', label: 'Duplicates collapsed (same username in any letter case)' },
+      { kind: 'missingHref', label: 'Entries without a profile link' },
+      { kind: 'malformedHref', label: 'Profile links that are not an Instagram profile URL for the account' },
+      { kind: 'missingTimestamp', label: 'Entries without a date' },
+      { kind: 'timestampOutOfRange', label: 'Dates before Instagram launched or in the future' }
+  ];
+
+  // Examples kept per issue and file; the count is always complete
+  const IMPORT_REPORT_EXAMPLES = 20;
+
+  // Instagram launched on 6 Oct 2010; no follow can be older
+  const INSTAGRAM_LAUNCH_TIMESTAMP = Date.UTC(2010, 9, 6) / 1000;
+
+  /**
+   * Creates the import report of one file, filled in by recordImportIssue().
+   * @param {string} name - File name.
+   * @param {string} listKey - RELATIONSHIP_LISTS key.
+   * @returns {{name: string, listKey: string, layout: object|null, entries: number, accounts: number,
+   *            issues: Object<string, {count: number, examples: Array<{username: string, detail: string}>}>}}
+   */
+  function createFileReport(name, listKey) {
+      return { name, listKey, layout: null, entries: 0, accounts: 0, issues: {} };
+  }
+
+  /**
+   * Counts one issue in a file report, keeping the first few as examples.
+   * @param {object} fileReport - From createFileReport().
+   * @param {string} kind - An IMPORT_ISSUES kind.
+   * @param {string} username - The account, or '' if unknown.
+   * @param {string} detail - What was wrong.
+   */
+  function recordImportIssue(fileReport, kind, username, detail) {
+      const issue = fileReport.issues[kind] || (fileReport.issues[kind] = { count: 0, examples: [] });
+      issue.count++;
+      if (issue.examples.length < IMPORT_REPORT_EXAMPLES) issue.examples.push({ username, detail });
+  }
+
+  /**
+   * Shortens an entry to a line of JSON for the import report.
+   * @param {any} entry
+   * @returns {string}
+   */
+  function describeEntry(entry) {
+      let text;
+      try {
+          text = JSON.stringify(entry) ?? String(entry);
+      } catch (error) {
+          text = String(entry);
+      }
+      return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+  }
+
+  /**
+   * Checks the profile link and date of an entry that was added to a list.
+   * @param {object} fileReport - From createFileReport().
+   * @param {object} entry - string_list_data entry.
+   * @param {number} [now=Date.now()] - Current time in ms, for the future-date check.
+   */
+  function inspectRelationshipEntry(fileReport, entry, now = Date.now()) {
+      const username = String(entry.value).toLowerCase();
+
+      if (!entry.href) {
+          recordImportIssue(fileReport, 'missingHref', username, 'No href');
+      } else {
+          const linked = String(entry.href).trim().match(PROFILE_URL_PATTERN)?.[1];
+          if (!linked) recordImportIssue(fileReport, 'malformedHref', username, `href is "${entry.href}"`);
+          else if (linked.toLowerCase() !== username) recordImportIssue(fileReport, 'malformedHref', username, `href links to @${linked}`);
+      }
+
+      if (entry.timestamp === undefined || entry.timestamp === null || entry.timestamp === '') {
+          recordImportIssue(fileReport, 'missingTimestamp', username, 'No timestamp');
+      } else if (!Number.isFinite(entry.timestamp)) {
+          recordImportIssue(fileReport, 'missingTimestamp', username, `timestamp is ${JSON.stringify(entry.timestamp)}`);
+      } else if (entry.timestamp < INSTAGRAM_LAUNCH_TIMESTAMP || entry.timestamp * 1000 > now + 86400000) {
+          const date = new Date(entry.timestamp * 1000);
+          const shown = Number.isNaN(date.getTime()) ? String(entry.timestamp) : `${entry.timestamp} (${date.toISOString().split('T')[0]})`;
+          recordImportIssue(fileReport, 'timestampOutOfRange', username, `timestamp is ${shown}`);
+      }
+  }
+
+  /**
+   * Looks for signs that the followers and following files don't belong together.
+   * @param {object} lists
+   * @param {Map<string, {timestamp: number|null}>} lists.followers
+   * @param {Map<string, {timestamp: number|null}>} lists.following
+   * @param {object} [sources] - Where each list came from.
+   * @param {{name: string, lastModified?: number, archive?: string}} [sources.followers]
+   * @param {{name: string, lastModified?: number, archive?: string}} [sources.following]
+   * @returns {Array<{kind: string, message: string}>}
+   */
+  function checkImportConsistency({ followers, following }, sources = {}) {
+      const warnings = [];
+      const day = 86400000;
+      const formatDate = ms => new Date(ms).toISOString().split('T')[0];
+
+      [['followers', followers], ['following', following]].forEach(([key, list]) => {
+          if (list.size === 0) warnings.push({ kind: 'emptyList', message: `The ${key} list is empty. Check that you picked the right file.` });
+      });
+      if (followers.size === 0 || following.size === 0) return warnings;
+
+      // Real accounts nearly always share some followers and followings
+      const smaller = Math.min(followers.size, following.size);
+      const shared = [...following.keys()].filter(user => followers.has(user)).length;
+      if (smaller >= 20 && shared / smaller < 0.02) {
+          warnings.push({
+              kind: 'differentAccounts',
+              message: `Only ${shared} of the ${smaller} accounts in the smaller list are in both lists. The followers and following files may come from different Instagram accounts.`
+          });
+      }
+
+      const fileDates = [sources.followers, sources.following].map(source => (source && !source.archive && source.lastModified) || null);
+      if (fileDates[0] && fileDates[1] && Math.abs(fileDates[0] - fileDates[1]) > 2 * day) {
+          warnings.push({
+              kind: 'differentExportDates',
+              message: `The followers file is dated ${formatDate(fileDates[0])} but the following file ${formatDate(fileDates[1])}. They may come from different exports.`
+          });
+      }
+
+      const newest = list => [...list.values()].reduce((max, record) => Math.max(max, record.timestamp || 0), 0) * 1000;
+      const [newestFollower, newestFollowing] = [newest(followers), newest(following)];
+      if (newestFollower && newestFollowing && Math.abs(newestFollower - newestFollowing) > 180 * day) {
+          warnings.push({
+              kind: 'differentExportDates',
+              message: `The newest follower is from ${formatDate(newestFollower)} but the newest account you follow is from ${formatDate(newestFollowing)}. One file may be from an older export.`
+          });
+      }
+      return warnings;
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Export Records (TXT, CSV & JSON)
+  // -------------------------------------------------------------------------
+
+  // Bumped whenever the JSON export layout changes
+  const EXPORT_SCHEMA_VERSION = 1;
+
+  // Columns an export can include, in file order
+  const EXPORT_COLUMNS = [
+      { id: 'username', label: 'Username' },
+      { id: 'profileUrl', label: 'Profile URL' },
+      { id: 'followedAt', label: 'Date you followed' },
+      { id: 'followedYouAt', label: 'Date they followed you' },
+      { id: 'category', label: 'Category' },
+      { id: 'detectedAt', label: 'Detection date' },
+      { id: 'tags', label: 'Tags' },
+      { id: 'note', label: 'Note' }
+  ];
+
+  /**
+   * The relationship one account has with you.
+   * @param {string} username
+   * @param {Map<string, any>} following
+   * @param {Map<string, any>} followers
+   * @returns {'notFollowingBack'|'fans'|'mutuals'|null} - null if in neither list.
+   */
+  function classifyRelationship(username, following, followers) {
+      const youFollow = following.has(username);
+      const followsYou = followers.has(username);
+      if (youFollow && followsYou) return 'mutuals';
+      if (youFollow) return 'notFollowingBack';
+      return followsYou ? 'fans' : null;
+  }
+
+  /**
+   * Builds the full export record of one account. Dates are ISO strings, or null when unknown.
+   * @param {string} username
+   * @param {object} lists
+   * @param {Map<string, {href: string, timestamp: number|null}>} lists.following
+   * @param {Map<string, {href: string, timestamp: number|null}>} lists.followers
+   * @param {object} [extra]
+   * @param {{tags: string[], note: string}} [extra.annotation] - Tags & note of the account.
+   * @param {number|null} [extra.detectedAt] - When the account was first seen in the list (ms).
+   * @returns {object}
+   */
+  function buildExportRecord(username, { following, followers }, { annotation = null, detectedAt = null } = {}) {
+      const followingEntry = following.get(username);
+      const followerEntry = followers.get(username);
+      const toIso = seconds => (seconds ? new Date(seconds * 1000).toISOString() : null);
+      const href = (followingEntry || followerEntry)?.href;
+      return {
+          username,
+          profileUrl: /^https?:\/\//i.test(href || '') ? href : `https://www.instagram.com/${username}/`,
+          followedAt: toIso(followingEntry?.timestamp),
+          followedYouAt: toIso(followerEntry?.timestamp),
+          category: classifyRelationship(username, following, followers),
+          detectedAt: detectedAt ? new Date(detectedAt).toISOString() : null,
+          tags: annotation?.tags || [],
+          note: annotation?.note || ''
+      };
+  }
+
+  /**
+   * Quotes a CSV field (RFC 4180) when it contains a comma, quote or line break.
+   * @param {string} value
+   * @returns {string}
+   */
+  function csvField(value) {
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+
+  /**
+   * Raw value of one export field; usernames get an '@' unless `clean`.
+   * @param {object} record - From buildExportRecord.
+   * @param {string} columnId - EXPORT_COLUMNS id.
+   * @param {boolean} [clean=false]
+   * @returns {*}
+   */
+  function exportFieldValue(record, columnId, clean = false) {
+      return columnId === 'username' && !clean ? `@${record.username}` : record[columnId];
+  }
+
+  /**
+   * Text of one export field for tabular formats: dates shortened to YYYY-MM-DD,
+   * tags joined with `separator`, unknown values empty.
+   * @param {object} record - From buildExportRecord.
+   * @param {string} columnId - EXPORT_COLUMNS id.
+   * @param {object} [options]
+   * @param {boolean} [options.clean=false]
+   * @param {string} [options.separator=', '] - Between tags.
+   * @returns {string}
+   */
+  function exportFieldText(record, columnId, { clean = false, separator = ', ' } = {}) {
+      const value = exportFieldValue(record, columnId, clean);
+      if (Array.isArray(value)) return value.join(separator);
+      if (value && columnId.endsWith('At')) return value.slice(0, 10);
+      return value || '';
+  }
+
+  /**
+   * Escapes a Markdown table cell: pipes, emphasis/link characters (usernames
+   * often contain '_') and line breaks.
+   * @param {string} value
+   * @returns {string}
+   */
+  function markdownCell(value) {
+      return value.replace(/[\\|_*`[\]]/g, '\\$&').replace(/\r?\n/g, ' ');
+  }
+
+  /**
+   * Serializes export records.
+   * - txt: one account per line, the selected fields separated by " | " (empty ones kept so fields line up)
+   * - csv: header row plus one row per account, tags separated by ';'
+   * - json: { schemaVersion, generatedAt, mode, columns, count, accounts: [...] }
+   * - md: a Markdown table, usernames linked to their profiles
+   * @param {object[]} records - From buildExportRecord.
+   * @param {string} format - 'txt', 'csv', 'json' or 'md'.
+   * @param {object} [options]
+   * @param {string[]} [options.columns] - EXPORT_COLUMNS ids to include (all by default).
+   * @param {boolean} [options.clean=false] - Leave out the '@' in front of usernames.
+   * @param {string|null} [options.mode] - Relationship mode the records were taken from (JSON only).
+   * @returns {{content: string, mimeType: string, extension: string}|null} - null for an unknown format.
+   */
+  function formatExportRecords(records, format, { columns = EXPORT_COLUMNS.map(column => column.id), clean = false, mode = null } = {}) {
+      const selected = EXPORT_COLUMNS.filter(column => columns.includes(column.id));
+
+      switch (format) {
+          case 'txt':
+              return {
+                  content: records.map(record => selected
+                      .map(column => exportFieldText(record, column.id, { clean }))
+                      .join(' | ')).join('\n'),
+                  mimeType: 'text/plain',
+                  extension: 'txt'
+              };
+          case 'csv':
+              return {
+                  content: [selected.map(column => csvField(column.label)).join(',')]
+                      .concat(records.map(record => selected
+                          .map(column => csvField(exportFieldText(record, column.id, { clean, separator: ';' })))
+                          .join(',')))
+                      .join('\r\n'),
+                  mimeType: 'text/csv',
+                  extension: 'csv'
+              };
+          case 'json':
+              return {
+                  content: JSON.stringify({
+                      schemaVersion: EXPORT_SCHEMA_VERSION,
+                      generatedAt: new Date().toISOString(),
+                      mode,
+                      columns: selected.map(column => column.id),
+                      count: records.length,
+                      accounts: records.map(record => Object.fromEntries(selected.map(column => [column.id, exportFieldValue(record, column.id, clean)])))
+                  }, null, 2),
+                  mimeType: 'application/json',
+                  extension: 'json'
+              };
+          case 'md':
+              return {
+                  content: [
+                      `| ${selected.map(column => column.label).join(' | ')} |`,
+                      `| ${selected.map(() => '---').join(' | ')} |`
+                  ].concat(records.map(record => `| ${selected.map(column => {
+                      if (column.id === 'profileUrl') return `<${record.profileUrl}>`;
+                      const cell = markdownCell(exportFieldText(record, column.id, { clean }));
+                      return column.id === 'username' ? `[${cell}](${record.profileUrl})` : cell;
+                  }).join(' | ')} |`)).join('\n') + '\n',
+                  mimeType: 'text/markdown',
+                  extension: 'md'
+              };
+          default:
+              return null;
+      }
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Snapshot Diff & Account Overlap
+  // -------------------------------------------------------------------------
+
+  /**
+   * Compares two snapshots. `base` is the older export, `target` the newer one.
+   * @param {object} base - Snapshot with followers/following record arrays.
+   * @param {object} target - Snapshot with followers/following record arrays.
+   * @returns {{lostFollowers: string[], newFollowers: string[], stoppedFollowing: string[],
+   *            startedFollowing: string[], newNonFollowers: string[], resolvedNonFollowers: string[]}}
+   */
+  function diffSnapshots(base, target) {
+      const toSet = records => new Set(records.map(record => record.username));
+      const baseFollowers = toSet(base.followers);
+      const baseFollowing = toSet(base.following);
+      const targetFollowers = toSet(target.followers);
+      const targetFollowing = toSet(target.following);
+
+      const baseNonFollowers = new Set(computeNonFollowers(baseFollowing, baseFollowers));
+      const targetNonFollowers = new Set(computeNonFollowers(targetFollowing, targetFollowers));
+
+      const sorted = list => list.sort((a, b) => a.localeCompare(b));
+      return {
+          lostFollowers: sorted(setDifference(baseFollowers, targetFollowers)),
+          newFollowers: sorted(setDifference(targetFollowers, baseFollowers)),
+          stoppedFollowing: sorted(setDifference(baseFollowing, targetFollowing)),
+          startedFollowing: sorted(setDifference(targetFollowing, baseFollowing)),
+          newNonFollowers: sorted(setDifference(targetNonFollowers, baseNonFollowers)),
+          resolvedNonFollowers: sorted(setDifference(baseNonFollowers, targetNonFollowers))
+      };
+  }
+
+  /**
+   * Compares the same list (e.g. followers) of two accounts, for the cross-account
+   * overlap view: who is only in the first, in both, or only in the second.
+   * @param {Map<string, object>|Set<string>|string[]} first - Usernames of the first account's list.
+   * @param {Map<string, object>|Set<string>|string[]} second - Usernames of the second account's list.
+   * @returns {{onlyFirst: string[], both: string[], onlySecond: string[]}}
+   */
+  function computeAccountOverlap(first, second) {
+      const toSet = list => new Set(list instanceof Map ? list.keys() : list);
+      const firstSet = toSet(first);
+      const secondSet = toSet(second);
+      const sorted = list => list.sort((a, b) => a.localeCompare(b));
+      return {
+          onlyFirst: sorted(setDifference(firstSet, secondSet)),
+          both: sorted([...firstSet].filter(username => secondSet.has(username))),
+          onlySecond: sorted(setDifference(secondSet, firstSet))
+      };
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Search Queries (the search box's query language)
+  // -------------------------------------------------------------------------
+
+  // Terms are separated by spaces (all must match) or OR; AND binds tighter than OR:
+  //   shop               username contains "shop"
+  //   shop* / *shop      username starts / ends with "shop" (`*` matches anything)
+  //   "OR"               quotes keep a word literal
+  //   /^shop_\d+$/       regular expression on the username
+  //   ~jonathan          username contains "jonathan" with a few typos (see fuzzyEditLimit)
+  //   tag:brand          has the tag
+  //   category:fans      relationship category, or membership of a loaded list (category:closeFriends)
+  //   followed:>2023-01  date you followed them; followedyou: the date they followed you.
+  //                      Operators > >= < <= (none: within that year/month/day), dates in UTC
+  //   saved:name         a saved query
+  //   -term, NOT term    negation; ( ) groups
+  const SEARCH_CATEGORIES = ['notFollowingBack', 'fans', 'mutuals'];
+  const SEARCH_DATE_FIELDS = { followed: 'following', followedyou: 'followers' };
+  const SEARCH_DATE_PATTERN = /^(>=|<=|>|<|=)?(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+  /**
+   * Creates the error thrown for a query the search box can't run.
+   * @param {string} message - Shown under the search box.
+   * @returns {Error}
+   */
+  function searchQueryError(message) {
+      const error = new Error(message);
+      error.name = 'SearchQueryError';
+      return error;
+  }
+
+  /**
+   * Splits a query into words, regular expressions, parentheses and negations.
+   * @param {string} text
+   * @returns {Array<{type: string, value?: string, quoted?: boolean, flags?: string}>}
+   */
+  function tokenizeSearchQuery(text) {
+      const tokens = [];
+      let index = 0;
+      while (index < text.length) {
+          const char = text[index];
+          if (/\s/.test(char)) {
+              index++;
+          } else if (char === '(' || char === ')') {
+              tokens.push({ type: char });
+              index++;
+          } else if (char === '-' && index + 1 < text.length && !/[\s)]/.test(text[index + 1])) {
+              tokens.push({ type: 'not' }); // Usernames never contain '-'
+              index++;
+          } else if (char === '/') {
+              // Up to the next '/' that isn't escaped or inside a [character class]
+              let end = index + 1;
+              let inClass = false;
+              while (end < text.length && (text[end] !== '/' || inClass)) {
+                  if (text[end] === '\\') end++;
+                  else if (text[end] === '[') inClass = true;
+                  else if (text[end] === ']') inClass = false;
+                  end++;
+              }
+              if (end >= text.length) throw searchQueryError('Regular expression is missing its closing "/".');
+              const flags = /^[a-z]*/.exec(text.slice(end + 1))[0];
+              tokens.push({ type: 'regex', value: text.slice(index + 1, end), flags });
+              index = end + 1 + flags.length;
+          } else {
+              let value = '';
+              let quoted = false;
+              while (index < text.length && !/[\s()]/.test(text[index])) {
+                  if (text[index] === '"') {
+                      const closing = text.indexOf('"', index + 1);
+                      if (closing === -1) throw searchQueryError('Quoted text is missing its closing quote.');
+                      value += text.slice(index + 1, closing);
+                      quoted = true;
+                      index = closing + 1;
+                  } else {
+                      value += text[index++];
+                  }
+              }
+              tokens.push({ type: 'word', value, quoted });
+          }
+      }
+      return tokens;
+  }
+
+  /**
+   * Parses a date filter value such as ">=2023-01" into a time range.
+   * @param {string} field - Filter name, for error messages.
+   * @param {string} value
+   * @returns {{operator: string, from: number, to: number}} - Period start and end in seconds (end exclusive).
+   */
+  function parseSearchDate(field, value) {
+      const match = SEARCH_DATE_PATTERN.exec(value);
+      if (!match) throw searchQueryError(`Can't read the date in "${field}:${value}". Use e.g. ${field}:>2023-01-31, ${field}:<2022 or ${field}:2024-05.`);
+      const [, operator = '=', year, month, day] = match;
+      const start = [Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1];
+      const from = Date.UTC(...start);
+      const check = new Date(from);
+      if (check.getUTCMonth() !== start[1] || check.getUTCDate() !== start[2]) {
+          throw searchQueryError(`"${value.replace(/^[<>=]+/, '')}" is not a valid date.`);
+      }
+      const end = day ? [start[0], start[1], start[2] + 1] : month ? [start[0], start[1] + 1, 1] : [start[0] + 1, 0, 1];
+      return { operator, from: from / 1000, to: Date.UTC(...end) / 1000 };
+  }
+
+  /**
+   * Typos a fuzzy term tolerates: none for very short terms, where any edit matches nearly everything.
+   * @param {string} term
+   * @returns {number}
+   */
+  function fuzzyEditLimit(term) {
+      if (term.length < 4) return 0;
+      return term.length < 8 ? 1 : 2;
+  }
+
+  /**
+   * Turns one word of the query into a term node.
+   * @param {{value: string, quoted: boolean}} token
+   * @param {{savedQueries: Object<string, string>, expanding: string[]}} options
+   * @returns {object}
+   */
+  function parseSearchTerm(token, options) {
+      const { value, quoted } = token;
+      const field = quoted ? null : /^([a-z]+):(.*)$/i.exec(value);
+      if (field) {
+          const name = field[1].toLowerCase();
+          const argument = field[2].toLowerCase();
+          if (!argument) throw searchQueryError(`"${name}:" needs a value.`);
+          if (name === 'tag') return { type: 'tag', tag: argument };
+          if (name === 'category') {
+              const categories = SEARCH_CATEGORIES.concat(RELATIONSHIP_LISTS.map(list => list.key));
+              const category = categories.find(key => key.toLowerCase() === argument);
+              if (!category) throw searchQueryError(`Unknown category "${field[2]}". Expected one of: ${categories.join(', ')}.`);
+              return { type: 'category', category };
+          }
+          if (name in SEARCH_DATE_FIELDS) return { type: 'date', list: SEARCH_DATE_FIELDS[name], ...parseSearchDate(name, argument) };
+          if (name === 'saved') {
+              const savedName = Object.keys(options.savedQueries).find(key => key.toLowerCase() === argument);
+              if (savedName === undefined) throw searchQueryError(`There is no saved search named "${field[2]}".`);
+              if (options.expanding.includes(savedName)) throw searchQueryError(`Saved search "${savedName}" refers to itself.`);
+              const query = parseSearchQuery(options.savedQueries[savedName], {
+                  savedQueries: options.savedQueries,
+                  expanding: options.expanding.concat(savedName)
+              });
+              return query || { type: 'and', children: [] };
+          }
+          throw searchQueryError(`Unknown filter "${name}:". Use tag:, category:, followed:, followedyou: or saved:.`);
+      }
+
+      const text = value.toLowerCase().replace(/^@/, '');
+      if (!quoted && text.startsWith('~') && text.length > 1) {
+          return { type: 'fuzzy', text: text.slice(1), maxEdits: fuzzyEditLimit(text.slice(1)) };
+      }
+      // "shop" is "*shop*": the pieces between the `*`s must appear in order
+      const pattern = text.includes('*') ? text : `*${text}*`;
+      return {
+          type: 'pattern',
+          pieces: pattern.split('*'),
+          anchorStart: !pattern.startsWith('*'),
+          anchorEnd: !pattern.endsWith('*')
+      };
+  }
+
+  /**
+   * Parses a search box query (syntax above) into a tree for matchSearchQuery().
+   * @param {string} text
+   * @param {object} [options]
+   * @param {Object<string, string>} [options.savedQueries] - Saved query texts by name, for saved:name.
+   * @returns {object|null} - null for an empty query, which matches everyone.
+   * @throws {Error} - A SearchQueryError describing the problem.
+   */
+  function parseSearchQuery(text, { savedQueries = {}, expanding = [] } = {}) {
+      const tokens = tokenizeSearchQuery(text);
+      const options = { savedQueries, expanding };
+      let position = 0;
+      const isKeyword = (token, keyword) => token?.type === 'word' && !token.quoted && token.value === keyword;
+
+      const parseUnary = () => {
+          const token = tokens[position];
+          if (!token) throw searchQueryError('The query ends too early.');
+          if (token.type === 'not' || isKeyword(token, 'NOT')) {
+              position++;
+              return { type: 'not', child: parseUnary() };
+          }
+          position++;
+          if (token.type === '(') {
+              const group = parseOr();
+              if (tokens[position]?.type !== ')') throw searchQueryError('A "(" is missing its closing ")".');
+              position++;
+              return group;
+          }
+          if (token.type === ')') throw searchQueryError('A ")" has no matching "(".');
+          if (token.type === 'regex') {
+              try {
+                  // Usernames are lowercase, so letters match in either case
+                  return { type: 'regex', regex: new RegExp(token.value, token.flags.includes('i') ? token.flags : token.flags + 'i') };
+              } catch (error) {
+                  throw searchQueryError(`Invalid regular expression: ${error.message}`);
+              }
+          }
+          if (isKeyword(token, 'AND') || isKeyword(token, 'OR')) throw searchQueryError(`"${token.value}" needs a term on both sides.`);
+          return parseSearchTerm(token, options);
+      };
+      const parseAnd = () => {
+          const children = [parseUnary()];
+          while (position < tokens.length && tokens[position].type !== ')' && !isKeyword(tokens[position], 'OR')) {
+              if (isKeyword(tokens[position], 'AND')) position++;
+              children.push(parseUnary());
+          }
+          return children.length === 1 ? children[0] : { type: 'and', children };
+      };
+      const parseOr = () => {
+          const children = [parseAnd()];
+          while (isKeyword(tokens[position], 'OR')) {
+              position++;
+              children.push(parseAnd());
+          }
+          return children.length === 1 ? children[0] : { type: 'or', children };
+      };
+
+      if (tokens.length === 0) return null;
+      const query = parseOr();
+      if (position < tokens.length) throw searchQueryError('A ")" has no matching "(".');
+      return query;
+  }
+
+  /**
+   * Finds the pieces of a `*` pattern in a username, in order.
+   * @param {{pieces: string[], anchorStart: boolean, anchorEnd: boolean}} term
+   * @param {string} username
+   * @returns {Array<[number, number]>|null} - [start, end) of each piece, or null if it doesn't match.
+   */
+  function findPattern(term, username) {
+      const { pieces, anchorStart, anchorEnd } = term;
+      const ranges = [];
+      let from = 0;
+      for (let index = 0; index < pieces.length; index++) {
+          const piece = pieces[index];
+          let start;
+          if (index === 0 && anchorStart) {
+              start = username.startsWith(piece) ? 0 : -1;
+          } else if (index === pieces.length - 1 && anchorEnd) {
+              start = username.length - piece.length;
+              if (start < from || !username.endsWith(piece)) start = -1;
+          } else {
+              start = username.indexOf(piece, from);
+          }
+          if (start === -1) return null;
+          if (piece) ranges.push([start, start + piece.length]);
+          from = start + piece.length;
+      }
+      return ranges;
+  }
+
+  /**
+   * Finds the part of a username closest to a term, allowing up to `maxEdits`
+   * inserted, deleted or changed letters (Sellers' approximate substring search).
+   * @param {string} term
+   * @param {string} username
+   * @param {number} maxEdits
+   * @returns {[number, number]|null} - [start, end) of the best match.
+   */
+  function findFuzzy(term, username, maxEdits) {
+      // previous[i]: edits to match term[0, i) ending at the previous username position;
+      // previousStart[i]: where that match starts
+      let previous = Array.from({ length: term.length + 1 }, (_, i) => i);
+      let previousStart = new Array(term.length + 1).fill(0);
+      let best = null;
+      for (let end = 1; end <= username.length; end++) {
+          const current = [0];
+          const currentStart = [end];
+          for (let i = 1; i <= term.length; i++) {
+              const options = [
+                  [previous[i - 1] + (term[i - 1] === username[end - 1] ? 0 : 1), previousStart[i - 1]],
+                  [previous[i] + 1, previousStart[i]],
+                  [current[i - 1] + 1, currentStart[i - 1]]
+              ];
+              const [cost, start] = options.reduce((min, option) => (option[0] < min[0] ? option : min));
+              current.push(cost);
+              currentStart.push(start);
+          }
+          const distance = current[term.length];
+          const start = currentStart[term.length];
+          // Prefer fewer edits; on a tie, the longer match from the same start ("chery" highlights all of "cherry")
+          if (distance <= maxEdits && (!best || distance < best.distance || (distance === best.distance && start === best.range[0]))) {
+              best = { distance, range: [start, end] };
+          }
+          previous = current;
+          previousStart = currentStart;
+      }
+      return best ? best.range : null;
+  }
+
+  /**
+   * Where a username term matches the username.
+   * @param {object} term - A pattern, regex or fuzzy node.
+   * @param {string} username
+   * @returns {Array<[number, number]>|null} - Matched ranges, or null if the term doesn't match.
+   */
+  function findUsernameTerm(term, username) {
+      switch (term.type) {
+          case 'pattern':
+              return findPattern(term, username);
+          case 'regex': {
+              const match = term.regex.exec(username);
+              term.regex.lastIndex = 0; // Ignore the g/y flags
+              if (!match) return null;
+              return match[0] ? [[match.index, match.index + match[0].length]] : [];
+          }
+          case 'fuzzy': {
+              const range = findFuzzy(term.text, username, term.maxEdits);
+              return range ? [range] : null;
+          }
+          default:
+              return null;
+      }
+  }
+
+  /**
+   * Whether an account matches a parsed query.
+   * @param {object|null} query - From parseSearchQuery().
+   * @param {string} username
+   * @param {object} context
+   * @param {Object<string, Map<string, {timestamp: number|null}>>} context.lists - Relationship lists by key.
+   * @param {Object<string, {tags: string[]}>} [context.annotations] - Tags by username.
+   * @returns {boolean}
+   */
+  function matchSearchQuery(query, username, context) {
+      if (!query) return true;
+      switch (query.type) {
+          case 'and':
+              return query.children.every(child => matchSearchQuery(child, username, context));
+          case 'or':
+              return query.children.some(child => matchSearchQuery(child, username, context));
+          case 'not':
+              return !matchSearchQuery(query.child, username, context);
+          case 'tag':
+              return (context.annotations?.[username]?.tags || []).includes(query.tag);
+          case 'category':
+              return SEARCH_CATEGORIES.includes(query.category)
+                  ? classifyRelationship(username, context.lists.following, context.lists.followers) === query.category
+                  : Boolean(context.lists[query.category]?.has(username));
+          case 'date': {
+              const timestamp = context.lists[query.list]?.get(username)?.timestamp;
+              if (!timestamp) return false;
+              switch (query.operator) {
+                  case '>': return timestamp >= query.to;
+                  case '>=': return timestamp >= query.from;
+                  case '<': return timestamp < query.from;
+                  case '<=': return timestamp < query.to;
+                  default: return timestamp >= query.from && timestamp < query.to;
+              }
+          }
+          default:
+              return findUsernameTerm(query, username) !== null;
+      }
+  }
+
+  /**
+   * The parts of a username to highlight for a query: where its (not negated) username terms match.
+   * @param {object|null} query - From parseSearchQuery().
+   * @param {string} username
+   * @returns {Array<[number, number]>} - Sorted, non-overlapping [start, end) ranges.
+   */
+  function searchQueryHighlights(query, username) {
+      const ranges = [];
+      const collect = node => {
+          if (!node || node.type === 'not') return;
+          if (node.children) node.children.forEach(collect);
+          else ranges.push(...(findUsernameTerm(node, username) || []));
+      };
+      collect(query);
+
+      ranges.sort((a, b) => a[0] - b[0]);
+      return ranges.reduce((merged, range) => {
+          const last = merged[merged.length - 1];
+          if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+          else merged.push([...range]);
+          return merged;
+      }, []);
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: ZIP Archives (reading & writing, no dependencies)
+  // -------------------------------------------------------------------------
+
+  // Only the central directory and the entries we need are read from the file,
+  // so large exports (with media) don't have to be loaded into memory.
+  const ZIP_SIGNATURE = {
+      localFile: 0x04034b50,
+      centralDirectory: 0x02014b50,
+      endOfCentralDirectory: 0x06054b50,
+      zip64EndLocator: 0x07064b50,
+      zip64End: 0x06064b50
+  };
+
+  /**
+   * Reads a byte range from a Blob/File.
+   * @param {Blob} blob
+   * @param {number} start
+   * @param {number} end - Exclusive.
+   * @returns {Promise<Uint8Array>}
+   */
+  async function readBlobRange(blob, start, end) {
+      return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+  }
+
+  /**
+   * Reads a little-endian 64-bit unsigned integer (safe up to 2^53).
+   * @param {DataView} view
+   * @param {number} offset
+   * @returns {number}
+   */
+  function getUint64(view, offset) {
+      return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+  }
+
+  /**
+   * Lists the entries of a ZIP archive from its central directory (ZIP64 aware).
+   * @param {Blob} blob - The ZIP file.
+   * @returns {Promise<Array<{name: string, method: number, flags: number, compressedSize: number, size: number, offset: number}>>}
+   */
+  async function readZipDirectory(blob) {
+      // End of central directory record: 22 bytes plus an optional comment of up to 65535 bytes
+      const tailStart = Math.max(0, blob.size - 22 - 0xFFFF);
+      const tail = await readBlobRange(blob, tailStart, blob.size);
+      const tailView = new DataView(tail.buffer, tail.byteOffset, tail.byteLength);
+
+      let eocd = -1;
+      for (let i = tail.length - 22; i >= 0; i--) {
+          if (tailView.getUint32(i, true) === ZIP_SIGNATURE.endOfCentralDirectory) {
+              eocd = i;
+              break;
+          }
+      }
+      if (eocd === -1) throw new Error('Not a ZIP archive.');
+
+      let entryCount = tailView.getUint16(eocd + 10, true);
+      let directorySize = tailView.getUint32(eocd + 12, true);
+      let directoryOffset = tailView.getUint32(eocd + 16, true);
+
+      if (entryCount === 0xFFFF || directorySize === 0xFFFFFFFF || directoryOffset === 0xFFFFFFFF) {
+          const locator = eocd - 20;
+          if (locator < 0 || tailView.getUint32(locator, true) !== ZIP_SIGNATURE.zip64EndLocator) {
+              throw new Error('Corrupt ZIP64 archive.');
+          }
+          const zip64Offset = getUint64(tailView, locator + 8);
+          const zip64 = await readBlobRange(blob, zip64Offset, zip64Offset + 56);
+          const zip64View = new DataView(zip64.buffer, zip64.byteOffset, zip64.byteLength);
+          if (zip64View.getUint32(0, true) !== ZIP_SIGNATURE.zip64End) throw new Error('Corrupt ZIP64 archive.');
+          entryCount = getUint64(zip64View, 32);
+          directorySize = getUint64(zip64View, 40);
+          directoryOffset = getUint64(zip64View, 48);
+      }
+
+      const directory = await readBlobRange(blob, directoryOffset, directoryOffset + directorySize);
+      const view = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+      const decoder = new TextDecoder();
+      const entries = [];
+
+      let position = 0;
+      for (let i = 0; i < entryCount; i++) {
+          if (position + 46 > directory.length || view.getUint32(position, true) !== ZIP_SIGNATURE.centralDirectory) {
+              throw new Error('Corrupt ZIP central directory.');
+          }
+          const nameLength = view.getUint16(position + 28, true);
+          const extraLength = view.getUint16(position + 30, true);
+          const commentLength = view.getUint16(position + 32, true);
+          const entry = {
+              name: decoder.decode(directory.subarray(position + 46, position + 46 + nameLength)),
+              flags: view.getUint16(position + 8, true),
+              method: view.getUint16(position + 10, true),
+              compressedSize: view.getUint32(position + 20, true),
+              size: view.getUint32(position + 24, true),
+              offset: view.getUint32(position + 42, true)
+          };
+
+          // ZIP64 extended information extra field (id 0x0001) holds the real values
+          let extra = position + 46 + nameLength;
+          const extraEnd = extra + extraLength;
+          while (extra + 4 <= extraEnd) {
+              const id = view.getUint16(extra, true);
+              const size = view.getUint16(extra + 2, true);
+              if (id === 0x0001) {
+                  let field = extra + 4;
+                  if (entry.size === 0xFFFFFFFF) { entry.size = getUint64(view, field); field += 8; }
+                  if (entry.compressedSize === 0xFFFFFFFF) { entry.compressedSize = getUint64(view, field); field += 8; }
+                  if (entry.offset === 0xFFFFFFFF) { entry.offset = getUint64(view, field); }
+              }
+              extra += 4 + size;
+          }
+
+          entries.push(entry);
+          position = extraEnd + commentLength;
+      }
+      return entries;
+  }
+
+  /**
+   * Reads and decompresses a single ZIP entry.
+   * @param {Blob} blob - The ZIP file.
+   * @param {object} entry - An entry from readZipDirectory().
+   * @returns {Promise<Uint8Array>}
+   */
+  async function readZipEntry(blob, entry) {
+      if (entry.flags & 0x1) throw new Error(`${entry.name} is encrypted.`);
+
+      const header = await readBlobRange(blob, entry.offset, entry.offset + 30);
+      const headerView = new DataView(header.buffer, header.byteOffset, header.byteLength);
+      if (headerView.getUint32(0, true) !== ZIP_SIGNATURE.localFile) throw new Error(`Corrupt ZIP entry ${entry.name}.`);
+
+      const dataStart = entry.offset + 30 + headerView.getUint16(26, true) + headerView.getUint16(28, true);
+      const data = await readBlobRange(blob, dataStart, dataStart + entry.compressedSize);
+
+      switch (entry.method) {
+          case 0: return data; // Stored
+          case 8: return inflateRaw(data); // Deflate
+          default: throw new Error(`${entry.name} uses an unsupported compression method (${entry.method}).`);
+      }
+  }
+
+  /**
+   * Inflates raw DEFLATE data using the browser's DecompressionStream.
+   * @param {Uint8Array} bytes
+   * @returns {Promise<Uint8Array>}
+   */
+  async function inflateRaw(bytes) {
+      if (typeof DecompressionStream === 'undefined') {
+          throw new Error("This browser can't unzip archives. Extract the ZIP and upload the JSON files instead.");
+      }
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // Writing only produces stored (uncompressed) entries, which is all the XLSX export needs.
+  let crcTable = null;
+
+  /**
+   * CRC-32 of a byte array (the checksum ZIP entries carry).
+   * @param {Uint8Array} bytes
+   * @returns {number}
+   */
+  function crc32(bytes) {
+      if (!crcTable) {
+          crcTable = new Uint32Array(256);
+          for (let n = 0; n < 256; n++) {
+              let c = n;
+              for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+              crcTable[n] = c >>> 0;
+          }
+      }
+      let crc = 0xFFFFFFFF;
+      for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+      return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Builds an uncompressed ZIP archive.
+   * @param {Array<{name: string, content: string|Uint8Array}>} files - Strings are stored as UTF-8.
+   * @returns {Uint8Array}
+   */
+  function createZip(files) {
+      const encoder = new TextEncoder();
+      const localParts = [];
+      const centralParts = [];
+      let offset = 0;
+
+      files.forEach(file => {
+          const name = encoder.encode(file.name);
+          const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+          const crc = crc32(data);
+
+          const local = new DataView(new ArrayBuffer(30));
+          local.setUint32(0, ZIP_SIGNATURE.localFile, true);
+          local.setUint16(4, 20, true); // Version needed
+          local.setUint16(6, 0x0800, true); // UTF-8 names
+          local.setUint16(8, 0, true); // Stored
+          local.setUint32(14, crc, true);
+          local.setUint32(18, data.length, true);
+          local.setUint32(22, data.length, true);
+          local.setUint16(26, name.length, true);
+          localParts.push(new Uint8Array(local.buffer), name, data);
+
+          const central = new DataView(new ArrayBuffer(46));
+          central.setUint32(0, ZIP_SIGNATURE.centralDirectory, true);
+          central.setUint16(4, 20, true); // Version made by
+          central.setUint16(6, 20, true); // Version needed
+          central.setUint16(8, 0x0800, true);
+          central.setUint16(10, 0, true);
+          central.setUint32(16, crc, true);
+          central.setUint32(20, data.length, true);
+          central.setUint32(24, data.length, true);
+          central.setUint16(28, name.length, true);
+          central.setUint32(42, offset, true);
+          centralParts.push(new Uint8Array(central.buffer), name);
+
+          offset += 30 + name.length + data.length;
+      });
+
+      const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, ZIP_SIGNATURE.endOfCentralDirectory, true);
+      end.setUint16(8, files.length, true);
+      end.setUint16(10, files.length, true);
+      end.setUint32(12, centralSize, true);
+      end.setUint32(16, offset, true);
+
+      const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+      const zip = new Uint8Array(offset + centralSize + 22);
+      let position = 0;
+      parts.forEach(part => {
+          zip.set(part, position);
+          position += part.length;
+      });
+      return zip;
+  }
+
+  /**
+   * Locates the relationship list files inside an Instagram export ZIP and extracts them.
+   * Multi-part files (followers_1.json, followers_2.json, ...) are returned in part order.
+   * @param {Blob} blob - The ZIP file.
+   * @returns {Promise<{files: Array<{listKey: string, name: string, content: Blob}>, missing: string[], notIncluded: string[]}>}
+   *   `files` is ready to pass to loadRelationshipFiles(), `missing` holds expected paths of
+   *   required lists that weren't found, `notIncluded` the labels of optional lists that weren't found.
+   */
+  async function readInstagramArchive(blob) {
+      const entries = (await readZipDirectory(blob))
+          .map(entry => ({ entry, fileName: entry.name.match(ARCHIVE_FOLDER)?.[1] }))
+          .filter(({ fileName }) => fileName);
+      const result = { files: [], missing: [], notIncluded: [] };
+
+      for (const list of RELATIONSHIP_LISTS) {
+          const matches = sortListParts(list, entries
+              .filter(({ fileName }) => list.pattern.test(fileName))
+              .map(({ entry, fileName }) => ({ entry, name: fileName })));
+
+          for (const { entry } of matches) {
+              const bytes = await readZipEntry(blob, entry);
+              result.files.push({ listKey: list.key, name: entry.name, content: new Blob([bytes]) });
+          }
+          if (matches.length === 0) {
+              if (list.required) result.missing.push(`${ARCHIVE_EXPECTED_FOLDER}${list.file} (or .html)`);
+              else result.notIncluded.push(list.label);
+          }
+      }
+      return result;
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Workspace Bundles (hand the results to a teammate as one file)
+  // -------------------------------------------------------------------------
+
+  // A bundle is a JSON file with the loaded lists, tags & notes, ignore list and review
+  // decisions. With a passphrase, the bundle is encrypted with AES-GCM under a key derived
+  // by PBKDF2 (WebCrypto), and only the envelope below is stored in the clear.
+  const WORKSPACE_FORMAT = 'ig-analyzer-workspace';
+  const WORKSPACE_VERSION = 1; // Bumped whenever the bundle layout changes
+  const REVIEW_DECISIONS = ['unfollowed', 'kept', 'skipped']; // Review queue decisions a workspace can carry
+  const REVIEW_VERIFICATIONS = ['left', 'still-following'];
+  const WORKSPACE_KDF_ITERATIONS = 600000; // OWASP's recommendation for PBKDF2-SHA-256
+  // Iterations accepted on import: a crafted file must not freeze the tab deriving its key
+  const WORKSPACE_KDF_ITERATION_RANGE = { min: 100000, max: 5000000 };
+
+  /**
+   * Creates the error thrown for a workspace file that can't be imported.
+   * @param {string} message - Shown to the user.
+   * @returns {Error}
+   */
+  function workspaceError(message) {
+      const error = new Error(message);
+      error.name = 'WorkspaceError';
+      return error;
+  }
+
+  /**
+   * Packages the analysis into a workspace bundle.
+   * @param {object} workspace
+   * @param {Object<string, Map<string, object>>} workspace.lists - Relationship lists by RELATIONSHIP_LISTS key.
+   * @param {Object<string, {tags: string[], note: string}>} [workspace.annotations]
+   * @param {Iterable<string>} [workspace.ignored]
+   * @param {Object<string, object>} [workspace.reviewDecisions]
+   * @param {string} [workspace.profileName] - Name of the account profile, for the importer's information.
+   * @returns {object} - JSON-serializable bundle.
+   */
+  function createWorkspaceBundle({ lists, annotations = {}, ignored = [], reviewDecisions = {}, profileName = null }) {
+      const bundleLists = {};
+      RELATIONSHIP_LISTS.forEach(list => {
+          if (lists[list.key] && lists[list.key].size > 0) bundleLists[list.key] = [...lists[list.key].values()];
+      });
+      return {
+          format: WORKSPACE_FORMAT,
+          version: WORKSPACE_VERSION,
+          exportedAt: new Date().toISOString(),
+          profileName,
+          lists: bundleLists,
+          annotations,
+          ignoreList: [...ignored].sort(),
+          reviewDecisions
+      };
+  }
+
+  /**
+   * Checks a parsed workspace file and returns its contents in the page's shapes.
+   * @param {any} bundle - Parsed JSON of an unencrypted bundle (see decryptWorkspace() for encrypted ones).
+   * @returns {{lists: Object<string, Map<string, object>>, annotations: object, ignored: string[],
+   *   reviewDecisions: object, profileName: string|null, exportedAt: string|null}}
+   * @throws {Error} WorkspaceError when it isn't a workspace bundle this version can read.
+   */
+  function readWorkspaceBundle(bundle) {
+      if (!bundle || typeof bundle !== 'object' || bundle.format !== WORKSPACE_FORMAT) {
+          throw workspaceError('This is not a workspace file.');
+      }
+      if (bundle.encrypted) throw workspaceError('This workspace is encrypted and needs its passphrase.');
+      if (!Number.isInteger(bundle.version) || bundle.version > WORKSPACE_VERSION) {
+          throw workspaceError(`This workspace was made by a newer version (format ${bundle.version}). Update the analyzer to open it.`);
+      }
+
+      const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+      if (!isObject(bundle.lists)) throw workspaceError('The workspace has no relationship lists.');
+      const lists = {};
+      RELATIONSHIP_LISTS.forEach(list => {
+          const records = bundle.lists[list.key] || [];
+          if (!Array.isArray(records)) throw workspaceError(`The ${list.label.toLowerCase()} list of the workspace is damaged.`);
+          lists[list.key] = new Map();
+          records.forEach(record => {
+              const username = isObject(record) && typeof record.username === 'string' ? normalizeUsername(record.username) : '';
+              if (!username) throw workspaceError(`The ${list.label.toLowerCase()} list of the workspace is damaged.`);
+              lists[list.key].set(username, {
+                  username,
+                  href: typeof record.href === 'string' ? record.href : '',
+                  timestamp: Number.isFinite(record.timestamp) ? record.timestamp : null
+              });
+          });
+      });
+
+      // Tags & notes and review decisions are rendered as-is: entries of another shape are left out
+      const annotations = {};
+      Object.entries(isObject(bundle.annotations) ? bundle.annotations : {}).forEach(([username, annotation]) => {
+          const key = normalizeUsername(username);
+          if (!key || !isObject(annotation) || typeof annotation.note !== 'string' ||
+              !Array.isArray(annotation.tags) || !annotation.tags.every(tag => typeof tag === 'string')) return;
+          annotations[key] = { tags: normalizeTags(annotation.tags), note: annotation.note };
+      });
+      const reviewDecisions = {};
+      Object.entries(isObject(bundle.reviewDecisions) ? bundle.reviewDecisions : {}).forEach(([username, review]) => {
+          const key = normalizeUsername(username);
+          if (!key || !isObject(review) || !REVIEW_DECISIONS.includes(review.decision) || !Number.isFinite(review.decidedAt)) return;
+          const decision = { decision: review.decision, decidedAt: review.decidedAt };
+          if (REVIEW_VERIFICATIONS.includes(review.verified)) decision.verified = review.verified;
+          if (Number.isFinite(review.verifiedAt)) decision.verifiedAt = review.verifiedAt;
+          const seen = review.decidedWith;
+          if (isObject(seen) && (seen.exportDate === null || Number.isFinite(seen.exportDate)) &&
+              Number.isInteger(seen.followersCount) && Number.isInteger(seen.followingCount)) {
+              decision.decidedWith = { exportDate: seen.exportDate, followersCount: seen.followersCount, followingCount: seen.followingCount };
+          }
+          reviewDecisions[key] = decision;
+      });
+
+      return {
+          lists,
+          annotations,
+          ignored: Array.isArray(bundle.ignoreList) ? bundle.ignoreList.filter(username => typeof username === 'string').map(normalizeUsername).filter(Boolean) : [],
+          reviewDecisions,
+          profileName: typeof bundle.profileName === 'string' ? bundle.profileName : null,
+          exportedAt: typeof bundle.exportedAt === 'string' ? bundle.exportedAt : null
+      };
+  }
+
+  /**
+   * Encodes bytes as base64, in chunks so large bundles don't overflow the call stack.
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  function bytesToBase64(bytes) {
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+          binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(binary);
+  }
+
+  /**
+   * @param {string} text - Base64.
+   * @returns {Uint8Array}
+   */
+  function base64ToBytes(text) {
+      const binary = atob(text);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+      return bytes;
+  }
+
+  /**
+   * Returns WebCrypto's SubtleCrypto. Browsers only offer it on https, localhost and file pages.
+   * @returns {SubtleCrypto}
+   */
+  function getSubtleCrypto() {
+      if (!root.crypto || !root.crypto.subtle) {
+          throw workspaceError('Encryption is not available here. Open the page over https, from localhost or from a file.');
+      }
+      return root.crypto.subtle;
+  }
+
+  /**
+   * Derives the AES-GCM key of a passphrase.
+   * @param {string} passphrase
+   * @param {Uint8Array} salt
+   * @param {number} iterations
+   * @returns {Promise<CryptoKey>}
+   */
+  async function deriveWorkspaceKey(passphrase, salt, iterations) {
+      const subtle = getSubtleCrypto();
+      const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+      return subtle.deriveKey(
+          { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+          material,
+          { name: 'AES-GCM', length: 256 },
+          false,
+          ['encrypt', 'decrypt']
+      );
+  }
+
+  /**
+   * Encrypts a bundle with a passphrase.
+   * @param {object} bundle - From createWorkspaceBundle().
+   * @param {string} passphrase
+   * @returns {Promise<object>} - JSON-serializable envelope, see isEncryptedWorkspace().
+   */
+  async function encryptWorkspace(bundle, passphrase) {
+      const salt = root.crypto.getRandomValues(new Uint8Array(16));
+      const iv = root.crypto.getRandomValues(new Uint8Array(12));
+      const key = await deriveWorkspaceKey(passphrase, salt, WORKSPACE_KDF_ITERATIONS);
+      const data = await getSubtleCrypto().encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(bundle)));
+      return {
+          format: WORKSPACE_FORMAT,
+          version: WORKSPACE_VERSION,
+          encrypted: {
+              cipher: 'AES-GCM',
+              kdf: 'PBKDF2-SHA-256',
+              iterations: WORKSPACE_KDF_ITERATIONS,
+              salt: bytesToBase64(salt),
+              iv: bytesToBase64(iv),
+              data: bytesToBase64(new Uint8Array(data))
+          }
+      };
+  }
+
+  /**
+   * Whether a parsed workspace file is an encrypted envelope.
+   * @param {any} file
+   * @returns {boolean}
+   */
+  function isEncryptedWorkspace(file) {
+      return Boolean(file && file.format === WORKSPACE_FORMAT && file.encrypted && typeof file.encrypted === 'object');
+  }
+
+  /**
+   * Decrypts an envelope from encryptWorkspace().
+   * @param {object} envelope
+   * @param {string} passphrase
+   * @returns {Promise<object>} - The bundle, to pass to readWorkspaceBundle().
+   * @throws {Error} WorkspaceError for a wrong passphrase, a damaged file or key derivation
+   *   settings outside WORKSPACE_KDF_ITERATION_RANGE.
+   */
+  async function decryptWorkspace(envelope, passphrase) {
+      const { cipher, kdf, iterations, salt, iv, data } = envelope.encrypted;
+      if (cipher !== 'AES-GCM' || kdf !== 'PBKDF2-SHA-256' || !Number.isInteger(iterations)) {
+          throw workspaceError('This workspace uses an encryption this version can\'t read.');
+      }
+      if (iterations < WORKSPACE_KDF_ITERATION_RANGE.min || iterations > WORKSPACE_KDF_ITERATION_RANGE.max) {
+          throw workspaceError('The encryption settings of this workspace are damaged.');
+      }
+      let plain;
+      try {
+          const key = await deriveWorkspaceKey(passphrase, base64ToBytes(salt), iterations);
+          plain = await getSubtleCrypto().decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+      } catch (error) {
+          if (error.name === 'WorkspaceError') throw error;
+          throw workspaceError('Wrong passphrase, or the file is damaged.');
+      }
+      try {
+          return JSON.parse(new TextDecoder().decode(plain));
+      } catch (error) {
+          throw workspaceError('The decrypted workspace is damaged.');
+      }
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Load Pipeline (runs in the worker, or inline as a fallback)
+  // -------------------------------------------------------------------------
+
+  /**
+   * Parses and normalizes a set of export files, then calculates the non-followers
+   * if both followers and following are available. Yields between batches so
+   * progress can be reported and the job can be cancelled.
+   * @param {Array<{listKey: string, name: string, content: Blob|string}>} files - Files to load.
+   *   Several files with the same listKey (multi-part exports) are merged.
+   * @param {object} [options]
+   * @param {{followers?: string[], following?: string[]}} [options.context] - Usernames of lists
+   *   already loaded elsewhere, used for the non-follower calculation.
+   * @param {number} [options.batchSize=500] - Entries normalized between progress updates.
+   * @param {function({fraction: number, message: string}): void} [options.onProgress]
+   * @param {function(): boolean} [options.isCancelled] - Checked between batches.
+   * @returns {Promise<{lists: Object<string, object[]>, fileCounts: Object<string, number>,
+   *   layouts: Object<string, object>, fileReports: object[], nonFollowers: string[]|null}>} - `layouts`
+   *   holds the EXPORT_LAYOUTS entry each file matched, `fileReports` the import report of
+   *   each file (see createFileReport()).
+   */
+  async function loadRelationshipFiles(files, options = {}) {
+      const {
+          context = {},
+          batchSize = 500,
+          onProgress = () => {},
+          isCancelled = () => false
+      } = options;
+
+      const lists = {};
+      const fileCounts = {};
+      const layouts = {};
+      const fileReports = [];
+      const now = Date.now();
+
+      for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+          const { listKey, name, content } = files[fileIndex];
+          const report = (fileFraction, message) => onProgress({
+              fraction: (fileIndex + fileFraction) / files.length,
+              message
+          });
+
+          report(0, `Reading ${name}...`);
+          const text = typeof content === 'string' ? content : await content.text();
+          await checkpoint(isCancelled);
+
+          report(0.1, `Parsing ${name}...`);
+          let entries;
+          try {
+              const parsed = readExportLayout(text, name);
+              entries = parsed.items.flatMap(item => item?.string_list_data || []);
+              layouts[name] = parsed.layout;
+          } catch (error) {
+              const wrapped = new Error(`${name}: ${error.message}`);
+              wrapped.name = error.name;
+              throw wrapped;
+          }
+          fileCounts[name] = entries.length;
+          const fileReport = createFileReport(name, listKey);
+          fileReport.layout = layouts[name];
+          fileReport.entries = entries.length;
+          fileReports.push(fileReport);
+          await checkpoint(isCancelled);
+
+          const records = lists[listKey] || (lists[listKey] = new Map());
+          const sizeBefore = records.size;
+          for (let index = 0; index < entries.length; index += batchSize) {
+              const end = Math.min(index + batchSize, entries.length);
+              for (let i = index; i < end; i++) {
+                  const entry = entries[i];
+                  try {
+                      const outcome = addRelationshipEntry(records, entry);
+                      if (outcome === 'skipped') {
+                          recordImportIssue(fileReport, 'skipped', '', `Entry ${i + 1} has no username: ${describeEntry(entry)}`);
+                      } else {
+                          if (outcome === 'duplicate') recordImportIssue(fileReport, 'duplicate', entry.value.toLowerCase(), `"${entry.value}" (entry ${i + 1})`);
+                          inspectRelationshipEntry(fileReport, entry, now);
+                      }
+                  } catch (error) {
+                      console.warn("Error processing entry:", entry, error);
+                      recordImportIssue(fileReport, 'skipped', '', `Entry ${i + 1} could not be read (${error.message}): ${describeEntry(entry)}`);
+                  }
+              }
+              report(0.1 + 0.9 * (end / entries.length), `Processing ${name} (${end} of ${entries.length})...`);
+              await checkpoint(isCancelled);
+          }
+          fileReport.accounts = records.size - sizeBefore;
+      }
+
+      // Non-followers need both lists; take whichever side wasn't loaded from the context
+      const followers = lists.followers || (context.followers ? new Set(context.followers) : null);
+      const following = lists.following || (context.following ? new Set(context.following) : null);
+      let nonFollowers = null;
+      if ((lists.followers || lists.following) && followers && following && followers.size > 0 && following.size > 0) {
+          onProgress({ fraction: 1, message: 'Finding accounts that don\'t follow back...' });
+          nonFollowers = computeNonFollowers(following, followers);
+      }
+
+      return {
+          lists: Object.fromEntries(Object.entries(lists).map(([key, records]) => [key, [...records.values()]])),
+          fileCounts,
+          layouts,
+          fileReports,
+          nonFollowers
+      };
+  }
+
+  /**
+   * Yields to the event loop, then throws if the job was cancelled.
+   * @param {function(): boolean} isCancelled
+   * @returns {Promise<void>}
+   */
+  async function checkpoint(isCancelled) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (isCancelled()) {
+          const error = new Error('Processing cancelled.');
+          error.name = 'AbortError';
+          throw error;
+      }
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Public API
+  // -------------------------------------------------------------------------
+
+  root.AnalyzerCore = {
+      RELATIONSHIP_LISTS,
+      findRelationshipList,
+      sortListParts,
+      EXPORT_LAYOUTS,
+      parseExportText,
+      readExportLayout,
+      detectExportFormat,
+      parseHtmlExport,
+      parseExportDate,
+      addRelationshipEntry,
+      IMPORT_ISSUES,
+      checkImportConsistency,
+      normalizeUsername,
+      parseUsernameList,
+      normalizeTags,
+      setDifference,
+      computeNonFollowers,
+      computeRelationship,
+      RELATIONSHIP_MODES,
+      classifyRelationship,
+      EXPORT_SCHEMA_VERSION,
+      EXPORT_COLUMNS,
+      buildExportRecord,
+      csvField,
+      exportFieldValue,
+      exportFieldText,
+      formatExportRecords,
+      diffSnapshots,
+      computeAccountOverlap,
+      parseSearchQuery,
+      matchSearchQuery,
+      searchQueryHighlights,
+      readZipDirectory,
+      readZipEntry,
+      readInstagramArchive,
+      createZip,
+      WORKSPACE_FORMAT,
+      WORKSPACE_VERSION,
+      createWorkspaceBundle,
+      readWorkspaceBundle,
+      encryptWorkspace,
+      decryptWorkspace,
+      isEncryptedWorkspace,
+      loadRelationshipFiles
+  };
+
+  // Node (local server & CLI): require('./analyzer-core.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = root.AnalyzerCore;
+
+})(typeof self !== 'undefined' ? self : globalThis); // `self` is the window on the page and the global scope in the worker
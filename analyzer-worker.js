@@ -0,0 +1,28 @@
+/**
+ * Instagram Non-Follower Analyzer - Worker
+ *
+ * Parses, normalizes and diffs export files off the main thread so very large
+ * exports don't freeze the page. One worker handles one job; the page cancels
+ * a job by terminating its worker.
+ *
+ * Message in:  { files: [{ listKey, name, content }], context, batchSize }
+ * Messages out: { type: 'progress', fraction, message }
+ *               { type: 'result', result }
+ *               { type: 'error', name, message } (the page rebuilds the error from these)
+ */
+
+importScripts('analyzer-core.js');
+
+self.onmessage = async (event) => {
+    const { files, context, batchSize } = event.data;
+    try {
+        const result = await self.AnalyzerCore.loadRelationshipFiles(files, {
+            context,
+            batchSize,
+            onProgress: ({ fraction, message }) => self.postMessage({ type: 'progress', fraction, message })
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', name: error.name, message: error.message });
+    }
+};
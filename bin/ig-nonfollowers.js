@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Instagram Non-Follower Analyzer - Command Line
+ *
+ * Runs the same analysis as the page on an export ZIP or extracted folder, for
+ * scripts and cron jobs. Results go to stdout (or --output) in one of the export
+ * formats; the summary and errors go to stderr, so stdout stays machine-readable.
+ *
+ *   ig-nonfollowers analyze <export-dir-or-zip> [--mode fans] [--format csv] [--ignore ignore.txt]
+ *
+ * Exit codes: see EXIT_CODES.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const AnalyzerCore = require('../analyzer-core.js');
+const { loadExport } = require('../export-reader.js');
+
+const EXIT_CODES = {
+    success: 0,
+    failure: 1, // Unexpected error
+    usage: 2,   // Unknown command, option or option value
+    input: 3    // Export or ignore list missing, unreadable or incomplete
+};
+
+const FORMATS = ['txt', 'csv', 'json', 'md'];
+
+// How the summary line names the accounts of each relationship mode
+const MODE_NOUNS = {
+    notFollowingBack: 'accounts not following back',
+    fans: 'fans',
+    mutuals: 'mutuals',
+    all: 'accounts'
+};
+
+// Detection dates need the page's snapshot history, so they're not available here
+const DEFAULT_COLUMNS = AnalyzerCore.EXPORT_COLUMNS
+    .map(column => column.id)
+    .filter(id => id !== 'detectedAt');
+
+const OPTIONS = {
+    mode: { type: 'string', short: 'm', default: 'notFollowingBack' },
+    format: { type: 'string', short: 'f', default: 'txt' },
+    ignore: { type: 'string', short: 'i', multiple: true, default: [] },
+    columns: { type: 'string', short: 'c' },
+    output: { type: 'string', short: 'o' },
+    clean: { type: 'boolean', default: false },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    version: { type: 'boolean', short: 'v', default: false }
+};
+
+const USAGE = `Usage: ig-nonfollowers analyze <export-dir-or-zip> [options]
+
+Compares the followers and following lists of an Instagram data export.
+
+Options:
+  -m, --mode <mode>       ${AnalyzerCore.RELATIONSHIP_MODES.join(', ')} (default notFollowingBack)
+  -f, --format <format>   ${FORMATS.join(', ')} (default txt)
+  -i, --ignore <file>     Leave out the usernames in this file (one per line or a
+                          JSON array, '#' comments allowed); repeatable
+  -c, --columns <list>    Comma-separated columns (default ${DEFAULT_COLUMNS.join(',')})
+  -o, --output <file>     Write the results to a file instead of stdout
+      --clean             Leave out the '@' in front of usernames
+  -q, --quiet             Don't print the summary to stderr
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+Exit codes:
+  ${EXIT_CODES.success}  Success (also when the list is empty)
+  ${EXIT_CODES.failure}  Unexpected error
+  ${EXIT_CODES.usage}  Invalid command or option
+  ${EXIT_CODES.input}  Export or ignore list missing, unreadable or incomplete
+`;
+
+/**
+ * An error that ends the program with a specific exit code.
+ */
+class CliError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} exitCode - One of EXIT_CODES.
+     */
+    constructor(message, exitCode) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Parses and validates the command line.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{command: string|null, source: string|null, options: object}}
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.usage);
+    }
+    const { values: options, positionals } = parsed;
+    if (options.help || options.version) return { command: null, source: null, options };
+
+    const [command, source, ...extra] = positionals;
+    if (command !== 'analyze') {
+        throw new CliError(command ? `Unknown command "${command}".` : 'Missing command.', EXIT_CODES.usage);
+    }
+    if (!source) throw new CliError('Missing the export folder or ZIP to analyze.', EXIT_CODES.usage);
+    if (extra.length > 0) throw new CliError(`Unexpected argument "${extra[0]}".`, EXIT_CODES.usage);
+
+    if (!AnalyzerCore.RELATIONSHIP_MODES.includes(options.mode)) {
+        throw new CliError(`Unknown mode "${options.mode}". Expected one of: ${AnalyzerCore.RELATIONSHIP_MODES.join(', ')}.`, EXIT_CODES.usage);
+    }
+    if (!FORMATS.includes(options.format)) {
+        throw new CliError(`Unknown format "${options.format}". Expected one of: ${FORMATS.join(', ')}.`, EXIT_CODES.usage);
+    }
+
+    options.columns = options.columns
+        ? options.columns.split(',').map(column => column.trim()).filter(Boolean)
+        : DEFAULT_COLUMNS;
+    const knownColumns = AnalyzerCore.EXPORT_COLUMNS.map(column => column.id);
+    const unknownColumn = options.columns.find(column => !knownColumns.includes(column));
+    if (unknownColumn) {
+        throw new CliError(`Unknown column "${unknownColumn}". Expected any of: ${knownColumns.join(', ')}.`, EXIT_CODES.usage);
+    }
+    if (!options.columns.includes('username')) options.columns.unshift('username');
+
+    return { command, source, options };
+}
+
+/**
+ * Reads and merges the ignore list files.
+ * @param {string[]} files
+ * @returns {Promise<Set<string>>}
+ */
+async function readIgnoreLists(files) {
+    const ignored = new Set();
+    for (const file of files) {
+        try {
+            AnalyzerCore.parseUsernameList(await fs.promises.readFile(file, 'utf8'))
+                .forEach(username => ignored.add(username));
+        } catch (error) {
+            throw new CliError(`Could not read ignore list "${file}": ${error.message}`, EXIT_CODES.input);
+        }
+    }
+    return ignored;
+}
+
+/**
+ * Runs `analyze`: loads the export, computes the relationship and formats it.
+ * @param {string} source - Export folder or ZIP.
+ * @param {object} options - From parseCommandLine().
+ * @returns {Promise<{content: string, count: number, ignoredCount: number}>}
+ */
+async function analyze(source, options) {
+    const ignored = await readIgnoreLists(options.ignore);
+
+    let data;
+    try {
+        data = await loadExport(source);
+    } catch (error) {
+        throw new CliError(`Could not load "${source}": ${error.message}`, EXIT_CODES.input);
+    }
+
+    const { followers, following } = data.lists;
+    const users = AnalyzerCore.computeRelationship(options.mode, following, followers)
+        .sort((a, b) => a.localeCompare(b));
+    const kept = users.filter(username => !ignored.has(username));
+    const records = kept.map(username => AnalyzerCore.buildExportRecord(username, { following, followers }));
+    const output = AnalyzerCore.formatExportRecords(records, options.format, {
+        columns: options.columns,
+        clean: options.clean,
+        mode: options.mode
+    });
+
+    // End the last line like the others (CSV rows end with CRLF)
+    const lineEnd = options.format === 'csv' ? '\r\n' : '\n';
+    return {
+        content: output.content.endsWith(lineEnd) || output.content === '' ? output.content : output.content + lineEnd,
+        count: kept.length,
+        ignoredCount: users.length - kept.length
+    };
+}
+
+/**
+ * Entry point.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Promise<number>} - Exit code.
+ */
+async function main(argv) {
+    const { command, source, options } = parseCommandLine(argv);
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return EXIT_CODES.success;
+    }
+    if (options.version) {
+        process.stdout.write(`${require('../package.json').version}\n`);
+        return EXIT_CODES.success;
+    }
+
+    if (command === 'analyze') {
+        const result = await analyze(source, options);
+        if (options.output) {
+            await fs.promises.writeFile(options.output, result.content);
+        } else {
+            process.stdout.write(result.content);
+        }
+        if (!options.quiet) {
+            const ignoredNote = result.ignoredCount > 0 ? ` (${result.ignoredCount} ignored)` : '';
+            const destination = options.output ? `, written to ${options.output}` : '';
+            process.stderr.write(`${result.count} ${MODE_NOUNS[options.mode]}${ignoredNote} in ${path.basename(source)}${destination}\n`);
+        }
+    }
+    return EXIT_CODES.success;
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    error => {
+        if (error instanceof CliError) {
+            process.stderr.write(`ig-nonfollowers: ${error.message}\n`);
+            if (error.exitCode === EXIT_CODES.usage) process.stderr.write('Run "ig-nonfollowers --help" for usage.\n');
+            process.exitCode = error.exitCode;
+        } else {
+            process.stderr.write(`ig-nonfollowers: ${error.stack || error.message}\n`);
+            process.exitCode = EXIT_CODES.failure;
+        }
+    }
+);
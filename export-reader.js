@@ -0,0 +1,112 @@
+/**
+ * Instagram Non-Follower Analyzer - Export Reader (Node)
+ *
+ * Loads an Instagram "Download Your Information" export from disk, either the
+ * ZIP or the extracted folder. Parsing and normalization are done by
+ * analyzer-core.js, the same code the page runs.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const AnalyzerCore = require('./analyzer-core.js');
+
+// connections/followers_and_following/ sits two levels below the export root;
+// allow for the export itself being inside one more folder
+const MAX_SEARCH_DEPTH = 4;
+
+/**
+ * Lists the relationship files in an extracted export folder.
+ * @param {string} dir - Folder to search.
+ * @param {number} [depth=0]
+ * @returns {Promise<Array<{list: object, filePath: string, part: number}>>}
+ */
+async function findExportFiles(dir, depth = 0) {
+    const found = [];
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (depth < MAX_SEARCH_DEPTH) found.push(...await findExportFiles(entryPath, depth + 1));
+            continue;
+        }
+        const list = AnalyzerCore.findRelationshipList(entry.name);
+        if (list) {
+            const part = Number(entry.name.match(list.pattern)[1] || 0);
+            found.push({ list, filePath: entryPath, part });
+        }
+    }
+    return found;
+}
+
+/**
+ * Reads the relationship files of an export.
+ * @param {string} sourcePath - Export ZIP or extracted folder.
+ * @returns {Promise<{files: Array<{listKey: string, name: string, content: Blob|string}>, missing: string[], notIncluded: string[]}>}
+ *   Same shape as AnalyzerCore.readInstagramArchive().
+ */
+async function readExportSource(sourcePath) {
+    const stats = await fs.promises.stat(sourcePath);
+    if (stats.isFile()) {
+        return AnalyzerCore.readInstagramArchive(await fs.openAsBlob(sourcePath));
+    }
+
+    const found = await findExportFiles(sourcePath);
+    const result = { files: [], missing: [], notIncluded: [] };
+    for (const list of AnalyzerCore.RELATIONSHIP_LISTS) {
+        const matches = found
+            .filter(file => file.list === list)
+            .sort((a, b) => a.part - b.part);
+        for (const file of matches) {
+            result.files.push({
+                listKey: list.key,
+                name: path.relative(sourcePath, file.filePath).split(path.sep).join('/'),
+                content: await fs.promises.readFile(file.filePath, 'utf8')
+            });
+        }
+        if (matches.length === 0) {
+            if (list.required) result.missing.push(`${list.file} (or .html)`);
+            else result.notIncluded.push(list.label);
+        }
+    }
+    return result;
+}
+
+/**
+ * Loads an export into one Map per relationship list (username -> record).
+ * @param {string} sourcePath - Export ZIP or extracted folder.
+ * @returns {Promise<{lists: Object<string, Map<string, object>>, fileCounts: Object<string, number>,
+ *   layouts: Object<string, object>, missing: string[], notIncluded: string[], exportDate: number|null}>}
+ *   `layouts` holds the AnalyzerCore.EXPORT_LAYOUTS entry each file matched; `exportDate`
+ *   is the newest follow timestamp in ms, or null if there are none.
+ */
+async function loadExport(sourcePath) {
+    const source = await readExportSource(sourcePath);
+    if (source.missing.length > 0) {
+        throw new Error(`Not a complete Instagram export: missing ${source.missing.join(', ')}.`);
+    }
+
+    const result = await AnalyzerCore.loadRelationshipFiles(source.files);
+    const lists = Object.fromEntries(AnalyzerCore.RELATIONSHIP_LISTS.map(list => [
+        list.key,
+        new Map((result.lists[list.key] || []).map(record => [record.username, record]))
+    ]));
+
+    let newest = 0;
+    [lists.followers, lists.following].forEach(records => records.forEach(record => {
+        if (record.timestamp) newest = Math.max(newest, record.timestamp * 1000);
+    }));
+
+    return {
+        lists,
+        fileCounts: result.fileCounts,
+        layouts: result.layouts,
+        missing: source.missing,
+        notIncluded: source.notIncluded,
+        exportDate: newest || null
+    };
+}
+
+module.exports = { readExportSource, loadExport };
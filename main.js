@@ -18,34 +18,129 @@
   const CONFIG = {
       // Default paths if loading static files (can be overridden by uploads)
       followersPath: 'followers_1.json',
-      followingPath: 'following.json', // Corrected common filename
-      batchSize: 500, // Process JSON data in chunks for performance
+      // Instagram names it following.json; the bundled sample is following_1.json
+      followingPaths: ['following.json', 'following_1.json'],
+      batchSize: 500, // Entries normalized between progress updates / cancellation checks
+      workerPath: 'analyzer-worker.js', // Parses & diffs exports off the main thread
+      rowHeight: 56, // Fixed height (px) of a row in the virtual results list, must match styles.css
+      overscanRows: 8, // Extra rows mounted above/below the viewport for smooth scrolling
+      snapshotDb: { name: 'instagramAnalyzer', version: 2, store: 'snapshots', profileIndex: 'profileId' }, // IndexedDB snapshot history
+      reviewDailyCap: 100, // Default unfollows per day before the review queue warns (Instagram rate-limits actions)
+      reviewCapWarningRatio: 0.8, // Start warning when this share of the daily cap is used
+      staleFollowDays: 365, // "Long-time non-followers" suggestion: followed at least this long ago
+      lowFollowerRatio: 0.8, // "Follower ratio" suggestion below this followers/following ratio
+      bulkOpenGroupSize: 5, // Profiles "Open in tabs" opens per click (browsers block bursts of pop-ups)
+      bulkOpenCooldownMs: 3000, // Pause before the next group can be opened (Instagram rate-limits profile views)
       // apiClientId: 'YOUR_INSTAGRAM_API_CLIENT_ID', // API removed
       // apiRedirectUri: window.location.origin + window.location.pathname // API removed
   };
 
+  // Shared parsing, ZIP, set, export & workspace logic (analyzer-core.js, also used by the worker, the local server and the CLI)
+  const {
+      RELATIONSHIP_LISTS, findRelationshipList, sortListParts, readInstagramArchive, createZip, diffSnapshots, computeAccountOverlap,
+      IMPORT_ISSUES, checkImportConsistency, parseSearchQuery, matchSearchQuery, searchQueryHighlights,
+      normalizeUsername, parseUsernameList, normalizeTags, setDifference, computeNonFollowers, computeRelationship,
+      EXPORT_COLUMNS, buildExportRecord, exportFieldText, formatExportRecords,
+      createWorkspaceBundle, readWorkspaceBundle, encryptWorkspace, decryptWorkspace, isEncryptedWorkspace
+  } = window.AnalyzerCore;
+
+  // Relationship modes of the results list. `id` is the AnalyzerCore.computeRelationship mode.
+  const RELATIONSHIP_MODES = [
+      { id: 'notFollowingBack', label: 'Not following back', noun: 'non-followers', fileName: 'non_followers', empty: 'Everyone you follow follows you back! 🎉' },
+      { id: 'fans', label: 'Fans', noun: 'fans', fileName: 'fans', empty: 'You follow back everyone who follows you.' },
+      { id: 'mutuals', label: 'Mutuals', noun: 'mutuals', fileName: 'mutuals', empty: 'None of the accounts you follow follow you back.' },
+      { id: 'all', label: 'All', noun: 'accounts', fileName: 'all_accounts', empty: 'No accounts in your export.' }
+  ];
+
+  // Keys the results can be sorted by. `value` returns an account's sort value (string or number),
+  // or null when it has none: those go last in either direction. `directions` names the
+  // ascending and descending order in the direction button.
+  const SORT_KEYS = [
+      { id: 'username', label: 'Username', directions: ['A–Z', 'Z–A'], value: user => user },
+      {
+          id: 'followedAt', label: 'Date you followed', directions: ['Oldest first', 'Newest first'],
+          value: user => state.lists.following.get(user)?.timestamp || null
+      },
+      {
+          id: 'followedYouAt', label: 'Date they followed you', directions: ['Oldest first', 'Newest first'],
+          value: user => state.lists.followers.get(user)?.timestamp || null
+      },
+      {
+          // Since you followed them, for accounts that don't follow you back
+          id: 'waiting', label: 'Time not following back', directions: ['Shortest first', 'Longest first'],
+          value: user => {
+              const followedAt = state.lists.following.get(user)?.timestamp;
+              return followedAt && !state.lists.followers.has(user) ? Date.now() / 1000 - followedAt : null;
+          }
+      },
+      { id: 'length', label: 'Username length', directions: ['Shortest first', 'Longest first'], value: user => user.length },
+      { id: 'tag', label: 'Tag', directions: ['A–Z', 'Z–A'], value: user => getAnnotation(user).tags.slice().sort()[0] || null },
+      { id: 'ignored', label: 'Ignored status', directions: ['Not ignored first', 'Ignored first'], value: user => (state.ignored.has(user) ? 1 : 0) }
+  ];
+  const DEFAULT_SORT = [{ key: 'username', descending: false }];
+  const MAX_SORT_LEVELS = 2; // Primary key plus one "then by" key
+
+  // Account profiles, see SECTION: Account Profiles. The default profile keeps the unprefixed
+  // localStorage keys and the unmarked snapshots saved before there were profiles.
+  const DEFAULT_PROFILE = { id: 'default', name: 'My account' };
+  // localStorage keys kept per profile (see profileStorageKey); the theme and the profile list are shared
+  const PROFILE_STORAGE_KEYS = ['ignoreList', 'annotations', 'reviewDecisions', 'reviewDailyCap', 'exportColumns', 'savedQueries', 'disabledSuggestionRules'];
+
   const LOADER_HTML = '<div class="loader">Loading data...</div>';
-  const CHART_JS_URL = 'https://cdn.jsdelivr.net/npm/chart.js';
+  const CHART_JS_URL = 'vendor/chart.js/chart.umd.min.js'; // Bundled copy, so the chart also works offline
+  const SERVICE_WORKER_URL = 'service-worker.js'; // Caches the app for offline use, see service-worker.js
+  const ICON_FONT = '900 1em "Font Awesome 6 Free"'; // Checked by checkIconFont()
 
   // -------------------------------------------------------------------------
   // SECTION: State Management
   // -------------------------------------------------------------------------
 
   let state = {
-      followers: new Set(),
-      following: new Set(),
-      // Store detailed user info if available, otherwise just usernames
-      // Example: { username: 'user1', profileUrl: '...', timestamp: 123... }
-      // For simplicity here based on original code, we'll store just usernames
-      // and derive the nonFollowers list from the sets.
-      nonFollowers: [], // Array of usernames who don't follow back
-      uploadedFollowersData: null, // To store data from file uploads
-      uploadedFollowingData: null, // To store data from file uploads
-      sortAsc: true, // Sort order for the results list
+      // One Map per RELATIONSHIP_LISTS entry (followers, following, closeFriends, ...),
+      // keyed by lowercase username, holding the normalized record
+      // from the export: { username: 'user1', href: '...', timestamp: 1721125706 }
+      // (timestamp is in seconds, or null when the export omits it)
+      lists: createEmptyLists(),
+      mode: 'notFollowingBack', // Active RELATIONSHIP_MODES id
+      modeUsers: [], // Every username in the current mode, including ignored ones
+      users: [], // modeUsers minus ignored ones unless showIgnored: what results, stats, export & suggestions show
+      profiles: loadStoredJson('profiles', [DEFAULT_PROFILE]), // [{id, name}], see SECTION: Account Profiles
+      activeProfileId: readActiveProfileId(),
+      // The active profile's ignore list, tags & notes, review decisions, export columns,
+      // saved searches and suggestion rules (see readProfileSettings)
+      ...readProfileSettings(readActiveProfileId()),
+      showIgnored: false, // Show ignored accounts in the results and stats again
+      annotationTarget: null, // Username being edited in the annotation modal
+      reviewQueue: [], // Usernames still to review, current one first
+      detectionDates: new Map(), // username -> first time (ms) seen in the current mode, from the snapshot history
+      uploaded: { followers: false, following: false }, // Which required lists came from uploads
+      // Data quality of the loaded files, see SECTION: Import Report. Per list key:
+      // files are the load job's fileReports, sources where the list came from
+      importReport: { files: {}, sources: {} },
+      visibleUsers: [], // Filtered & sorted usernames currently in the virtual list
+      activeIndex: -1, // Keyboard-selected row in visibleUsers, -1 for none
+      selected: new Set(), // Usernames ticked for batch actions, see SECTION: Bulk Selection
+      selectionAnchor: null, // Username last ticked, where a shift-click range starts
+      bulkOpenQueue: [], // Selected profiles "Open in tabs" hasn't opened yet
+      activeListFilter: 'all', // Filter chip above the results, see SECTION: Relationship List Filters
+      suggestionFilter: null, // {ruleId, label, users: Set} shown by a suggestion's "Show in list" ('suggestion' chip)
+      suggestions: new Map(), // ruleId -> result of the rules that fired, see SECTION: Smart Suggestions
+      previousSnapshot: null, // Newest snapshot of an older export, for the "Unfollowed you" suggestion
+      exportSubset: null, // {label, fileName, users} when the export dialog was opened for a suggestion's accounts
+      workspaceDialog: null, // {mode: 'export'} or {mode: 'import', fileName, envelope} while the workspace dialog is open
+      searchQuery: null, // Parsed search box query of the rendered results, for highlighting
+      sort: readSortFromUrl(), // Sort levels of the results list ({key, descending}), see SECTION: Sorting
       currentTheme: localStorage.getItem('theme') || 'light',
       // currentDataSource: 'json', // Defaulting to JSON as API is removed
       isDataProcessing: false,
-      chartInstance: null // To hold the Chart.js instance
+      chartInstance: null, // To hold the Chart.js instance
+      freshData: { followers: false, following: false }, // Lists (re)loaded since the last snapshot save
+      snapshots: [], // Saved snapshot summaries (newest first), see SECTION: Snapshot History
+      timeline: {
+          granularity: 'month', // 'day' | 'week' | 'month'
+          from: null, // Date range start (YYYY-MM-DD) or null for earliest
+          to: null // Date range end (YYYY-MM-DD) or null for latest
+      }
   };
 
   // -------------------------------------------------------------------------
@@ -56,28 +151,100 @@
   const dom = {
       container: document.getElementById('users-list'),
       searchInput: document.getElementById('searchInput'),
+      saveSearchButton: document.getElementById('saveSearchButton'),
+      savedQueriesContainer: document.getElementById('savedQueries'),
       stats: {
           followers: document.getElementById('totalFollowers'),
           following: document.getElementById('totalFollowing'),
-          nonFollowers: document.getElementById('nonFollowersCount') // Renamed for clarity
+          mode: document.getElementById('modeCount'), // Count for the current relationship mode
+          modeLabel: document.getElementById('modeCountLabel')
       },
       themeToggleButton: document.getElementById('themeToggle'), // Assume button exists
-      sortToggleButton: document.getElementById('sortToggle'), // Assume button exists
+      sortControls: document.getElementById('sortControls'),
       exportButton: document.getElementById('exportButton'), // Assume button exists
       exportModal: document.getElementById('exportModal'),
       exportPreview: document.getElementById('exportPreview'),
       exportFormatSelect: document.getElementById('exportFormat'),
-      exportIncludeDatesCheckbox: document.getElementById('includeDates'), // Assuming these exist
+      exportColumnsContainer: document.getElementById('exportColumns'),
+      exportPreviewFrame: document.getElementById('exportPreviewFrame'),
       exportCleanUsernamesCheckbox: document.getElementById('cleanUsernames'), // Assuming these exist
       exportPerformButton: document.getElementById('performExportButton'), // Assuming this exists
       exportModalCloseButton: document.querySelector('#exportModal .close'), // Assuming this exists
       timelineCanvas: document.getElementById('followTimeline'),
+      timelineGranularitySelect: document.getElementById('timelineGranularity'),
+      timelineFromInput: document.getElementById('timelineFrom'),
+      timelineToInput: document.getElementById('timelineTo'),
       aiSuggestionsContainer: document.getElementById('aiSuggestions'),
+      suggestionRuleToggles: document.getElementById('suggestionRuleToggles'),
+      snapshotList: document.getElementById('snapshotList'),
+      snapshotBaseSelect: document.getElementById('snapshotBase'),
+      snapshotTargetSelect: document.getElementById('snapshotTarget'),
+      snapshotCompareButton: document.getElementById('snapshotCompareButton'),
+      snapshotDiffContainer: document.getElementById('snapshotDiff'),
+      profileSelect: document.getElementById('profileSelect'),
+      newProfileButton: document.getElementById('newProfileButton'),
+      renameProfileButton: document.getElementById('renameProfileButton'),
+      deleteProfileButton: document.getElementById('deleteProfileButton'),
+      overlapFirstSelect: document.getElementById('overlapFirst'),
+      overlapSecondSelect: document.getElementById('overlapSecond'),
+      overlapListSelect: document.getElementById('overlapList'),
+      overlapCompareButton: document.getElementById('overlapCompareButton'),
+      overlapResults: document.getElementById('overlapResults'),
+      exportWorkspaceButton: document.getElementById('exportWorkspaceButton'),
+      importWorkspaceButton: document.getElementById('importWorkspaceButton'),
+      workspaceFileInput: document.getElementById('workspaceFile'),
+      workspaceModal: document.getElementById('workspaceModal'),
+      workspaceTitle: document.getElementById('workspaceTitle'),
+      workspaceDescription: document.getElementById('workspaceDescription'),
+      workspaceForm: document.getElementById('workspaceForm'),
+      workspacePassphraseInput: document.getElementById('workspacePassphrase'),
+      workspaceConfirmGroup: document.getElementById('workspaceConfirmGroup'),
+      workspacePassphraseConfirmInput: document.getElementById('workspacePassphraseConfirm'),
+      workspaceSubmitLabel: document.getElementById('workspaceSubmitLabel'),
       // dataSourceButtons: document.querySelectorAll('.ds-btn'), // API removed
       jsonSourceContainer: document.getElementById('jsonSource'), // Container for JSON upload
       // apiSourceContainer: document.getElementById('apiSource'), // API removed
       followersFileInput: document.getElementById('followersFile'),
       followingFileInput: document.getElementById('followingFile'),
+      extraListsFileInput: document.getElementById('extraListsFile'),
+      listFiltersContainer: document.getElementById('listFilters'),
+      archiveFileInput: document.getElementById('archiveFile'),
+      archiveReport: document.getElementById('archiveReport'),
+      importReport: document.getElementById('importReport'),
+      importReportSummary: document.getElementById('importReportSummary'),
+      importReportBody: document.getElementById('importReportBody'),
+      downloadImportReportButton: document.getElementById('downloadImportReportButton'),
+      progressContainer: document.getElementById('progressContainer'),
+      progressBar: document.getElementById('progressBar'),
+      progressLabel: document.getElementById('progressLabel'),
+      progressCancelButton: document.getElementById('progressCancel'),
+      showIgnoredCheckbox: document.getElementById('showIgnored'),
+      ignoredCountLabel: document.getElementById('ignoredCount'),
+      ignoreFilteredButton: document.getElementById('ignoreFilteredButton'),
+      selectFilteredButton: document.getElementById('selectFilteredButton'),
+      bulkActionBar: document.getElementById('bulkActionBar'),
+      bulkSelectionCount: document.getElementById('bulkSelectionCount'),
+      bulkOpenButton: document.getElementById('bulkOpenButton'),
+      importIgnoreListButton: document.getElementById('importIgnoreListButton'),
+      exportIgnoreListButton: document.getElementById('exportIgnoreListButton'),
+      ignoreListFileInput: document.getElementById('ignoreListFile'),
+      modeSwitcher: document.getElementById('modeSwitcher'),
+      exportTitle: document.querySelector('#exportModal h3'),
+      annotationModal: document.getElementById('annotationModal'),
+      annotationTitle: document.getElementById('annotationTitle'),
+      annotationTagsInput: document.getElementById('annotationTags'),
+      annotationNoteInput: document.getElementById('annotationNote'),
+      annotationKnownTags: document.getElementById('annotationKnownTags'),
+      annotationSaveButton: document.getElementById('annotationSaveButton'),
+      reviewButton: document.getElementById('reviewButton'),
+      reviewModal: document.getElementById('reviewModal'),
+      reviewProgressBar: document.getElementById('reviewProgress'),
+      reviewProgressLabel: document.getElementById('reviewProgressLabel'),
+      reviewCurrent: document.getElementById('reviewCurrent'),
+      reviewActions: document.getElementById('reviewActions'),
+      reviewDailyLabel: document.getElementById('reviewDailyLabel'),
+      reviewDailyCapInput: document.getElementById('reviewDailyCap'),
+      reviewVerification: document.getElementById('reviewVerification'),
       // instagramLoginButton: document.getElementById('instagramLogin'), // API removed
       toastContainer: null // Will be created dynamically
   };
@@ -93,8 +260,15 @@
       showLoader();
       createToastContainer();
       applyTheme(); // Apply initial theme
+      registerServiceWorker();
+      checkIconFont();
       loadChartJs(); // Load Chart.js library
       setupEventListeners(); // Setup all event listeners
+      renderModeSwitcher(); // Label the results for the default relationship mode
+      renderProfileSwitcher();
+      renderSavedQueries();
+      renderSortControls();
+      refreshSnapshotList(); // Load saved snapshot history (async, non-blocking)
 
       // API related initialization removed
 
@@ -103,34 +277,61 @@
 
       // Attempt to load static JSON files by default
       // File uploads will override this if used
-      try {
-          await Promise.all([
-              loadStaticJsonData(CONFIG.followersPath, processFollowerData),
-              loadStaticJsonData(CONFIG.followingPath, processFollowingData)
-          ]);
-          processLoadedData(); // Process data from static files
-      } catch (error) {
-          // Don't show fatal error yet, user might upload files
-          console.warn(`Could not load static JSON files: ${error.message}`);
-          showError("Could not load default JSON files. Please upload your files.", false); // Non-fatal error
-          clearLoader(); // Clear loader if static load fails
+      // The static files are the first profile's; other profiles start from their newest snapshot
+      if (state.activeProfileId !== DEFAULT_PROFILE.id) {
+          await restoreProfileSnapshot();
+      } else {
+          try {
+              await loadStaticData();
+          } catch (error) {
+              if (error.name === 'AbortError') return; // An upload took over
+              // Don't show fatal error yet, user might upload files
+              console.warn(`Could not load static JSON files: ${error.message}`);
+              showError("Could not load default JSON files. Please upload your files.", false); // Non-fatal error
+              clearLoader(); // Clear loader if static load fails
+          }
       }
 
 
       // Initial render of placeholders if no data loaded yet
-      if (state.followers.size === 0 && state.following.size === 0) {
+      if (state.lists.followers.size === 0 && state.lists.following.size === 0) {
           renderFollowTimeline(); // Render empty/placeholder chart
           generateSmartSuggestions(); // Render placeholder suggestions
       }
   }
 
   /**
-   * Loads the Chart.js library dynamically.
+   * Registers the service worker that makes the page work offline and installable.
+   * Browsers only allow it over http(s), so opening index.html from disk skips it.
+   */
+  function registerServiceWorker() {
+      if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+      navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+          console.warn("Offline support unavailable:", error);
+      });
+  }
+
+  /**
+   * Marks the page with .no-icon-font when the icon font can't be loaded, so the
+   * empty glyphs are hidden and icon-only buttons show a text symbol (see styles.css).
+   */
+  function checkIconFont() {
+      if (!document.fonts || typeof document.fonts.load !== 'function') return;
+      const markMissing = () => document.documentElement.classList.add('no-icon-font');
+      document.fonts.load(ICON_FONT)
+          .then(fonts => { if (fonts.length === 0) markMissing(); })
+          .catch(markMissing);
+  }
+
+  /**
+   * Loads the bundled Chart.js library dynamically. Without it the timeline stays
+   * empty; everything else works.
    */
   function loadChartJs() {
       if (!document.querySelector(`script[src="${CHART_JS_URL}"]`)) {
           const chartScript = document.createElement('script');
           chartScript.src = CHART_JS_URL;
+          chartScript.onload = () => renderFollowTimeline(); // Data may have loaded first
           chartScript.onerror = () => {
               console.error("Failed to load Chart.js");
               showToast("Could not load charting library.", "error");
@@ -149,26 +350,112 @@
       if (dom.themeToggleButton) {
           dom.themeToggleButton.addEventListener('click', toggleTheme);
       }
-      if (dom.sortToggleButton) {
-          dom.sortToggleButton.addEventListener('click', toggleSort);
+      // Account profiles
+      if (dom.profileSelect) {
+          dom.profileSelect.addEventListener('change', () => switchProfile(dom.profileSelect.value));
+      }
+      if (dom.newProfileButton) {
+          dom.newProfileButton.addEventListener('click', createProfile);
+      }
+      if (dom.renameProfileButton) {
+          dom.renameProfileButton.addEventListener('click', renameProfile);
+      }
+      if (dom.deleteProfileButton) {
+          dom.deleteProfileButton.addEventListener('click', deleteProfile);
+      }
+      if (dom.overlapCompareButton) {
+          dom.overlapCompareButton.addEventListener('click', compareProfiles);
+      }
+      // Workspace bundles
+      if (dom.exportWorkspaceButton) {
+          dom.exportWorkspaceButton.addEventListener('click', openWorkspaceExport);
+      }
+      if (dom.importWorkspaceButton && dom.workspaceFileInput) {
+          dom.importWorkspaceButton.addEventListener('click', () => dom.workspaceFileInput.click());
+          dom.workspaceFileInput.addEventListener('change', importWorkspaceFile);
+      }
+      if (dom.workspaceModal) {
+          dom.workspaceModal.querySelector('.close').addEventListener('click', closeWorkspaceDialog);
+          dom.workspaceForm.addEventListener('submit', submitWorkspaceDialog);
+          dom.workspaceModal.addEventListener('keydown', (event) => {
+              if (event.key === 'Escape') closeWorkspaceDialog();
+          });
+      }
+      if (dom.sortControls) {
+          dom.sortControls.addEventListener('change', (event) => {
+              const select = event.target.closest('select[data-sort-level]');
+              if (select) setSortKey(Number(select.getAttribute('data-sort-level')), select.value);
+          });
+          dom.sortControls.addEventListener('click', (event) => {
+              const button = event.target.closest('button[data-sort-level]');
+              if (button) toggleSortDirection(Number(button.getAttribute('data-sort-level')));
+          });
       }
       if (dom.searchInput) {
           dom.searchInput.addEventListener('input', debounce(renderResults, 300)); // Debounce search
       }
       if (dom.exportButton) {
-          dom.exportButton.addEventListener('click', showExportModal);
+          dom.exportButton.addEventListener('click', () => showExportModal());
+      }
+      if (dom.downloadImportReportButton) {
+          dom.downloadImportReportButton.addEventListener('click', downloadImportReport);
       }
       if (dom.exportModalCloseButton) {
           dom.exportModalCloseButton.addEventListener('click', () => dom.exportModal.style.display = 'none');
+      }
+      // Unfollow review queue
+      if (dom.reviewButton) {
+          dom.reviewButton.addEventListener('click', () => openReviewQueue());
+      }
+      if (dom.reviewModal) {
+          dom.reviewModal.querySelector('.close').addEventListener('click', closeReviewQueue);
+          dom.reviewActions.addEventListener('click', (event) => {
+              const button = event.target.closest('[data-review]');
+              if (button) handleReviewAction(button.getAttribute('data-review'));
+          });
+          dom.reviewVerification.addEventListener('click', (event) => {
+              if (event.target.closest('.review-requeue-btn')) requeueStillFollowing();
+          });
+          dom.reviewDailyCapInput.addEventListener('change', () => {
+              const cap = parseInt(dom.reviewDailyCapInput.value, 10);
+              state.reviewDailyCap = cap > 0 ? cap : CONFIG.reviewDailyCap;
+              localStorage.setItem(profileStorageKey('reviewDailyCap'), state.reviewDailyCap);
+              renderReviewQueue();
+          });
+          dom.reviewModal.addEventListener('keydown', handleReviewKeydown);
+      }
+
+      // Tags & notes modal
+      if (dom.annotationModal) {
+          dom.annotationModal.querySelector('.close').addEventListener('click', closeAnnotationEditor);
+          dom.annotationSaveButton.addEventListener('click', saveAnnotationEditor);
+          dom.annotationKnownTags.addEventListener('click', (event) => {
+              const chip = event.target.closest('.tag-pill');
+              if (chip) addTagToEditor(chip.textContent);
+          });
+          dom.annotationModal.addEventListener('keydown', (event) => {
+              if (event.key === 'Escape') closeAnnotationEditor();
+              if (event.key === 'Enter' && event.target === dom.annotationTagsInput) saveAnnotationEditor();
+          });
       }
        if (dom.exportPerformButton) {
           dom.exportPerformButton.addEventListener('click', performExport);
       }
       // Add listeners for export options changing the preview
       if (dom.exportFormatSelect) dom.exportFormatSelect.addEventListener('change', updateExportPreview);
-      if (dom.exportIncludeDatesCheckbox) dom.exportIncludeDatesCheckbox.addEventListener('change', updateExportPreview);
+      if (dom.exportColumnsContainer) dom.exportColumnsContainer.addEventListener('change', handleExportColumnsChange);
       if (dom.exportCleanUsernamesCheckbox) dom.exportCleanUsernamesCheckbox.addEventListener('change', updateExportPreview);
 
+      // Printing the page ("Save as PDF"): the virtual list only holds the rows
+      // on screen, so print a plain copy of the whole filtered list instead
+      window.addEventListener('beforeprint', renderPrintList);
+      window.addEventListener('afterprint', removePrintList);
+
+      // Timeline granularity & date range controls
+      if (dom.timelineGranularitySelect) dom.timelineGranularitySelect.addEventListener('change', handleTimelineControlsChange);
+      if (dom.timelineFromInput) dom.timelineFromInput.addEventListener('change', handleTimelineControlsChange);
+      if (dom.timelineToInput) dom.timelineToInput.addEventListener('change', handleTimelineControlsChange);
+
 
       // Data source switching removed as only JSON is available
       /*
@@ -190,6 +477,65 @@
       if (dom.followingFileInput) {
           dom.followingFileInput.addEventListener('change', handleFileUpload);
       }
+      if (dom.archiveFileInput) {
+          dom.archiveFileInput.addEventListener('change', handleArchiveUpload);
+      }
+      if (dom.extraListsFileInput) {
+          dom.extraListsFileInput.addEventListener('change', handleExtraListsUpload);
+      }
+      if (dom.progressCancelButton) {
+          dom.progressCancelButton.addEventListener('click', cancelAllLoadJobs);
+      }
+
+      // Relationship mode switcher
+      if (dom.modeSwitcher) {
+          dom.modeSwitcher.addEventListener('click', (event) => {
+              const button = event.target.closest('[data-mode]');
+              if (button) setRelationshipMode(button.getAttribute('data-mode'));
+          });
+      }
+
+      // Ignore list controls
+      if (dom.showIgnoredCheckbox) {
+          dom.showIgnoredCheckbox.addEventListener('change', () => {
+              state.showIgnored = dom.showIgnoredCheckbox.checked;
+              refreshIgnoredResults();
+          });
+      }
+      if (dom.ignoreFilteredButton) dom.ignoreFilteredButton.addEventListener('click', ignoreFilteredUsers);
+      if (dom.selectFilteredButton) dom.selectFilteredButton.addEventListener('click', selectFilteredUsers);
+      if (dom.bulkActionBar) {
+          dom.bulkActionBar.addEventListener('click', (event) => {
+              const button = event.target.closest('[data-bulk]');
+              if (button) handleBulkAction(button.getAttribute('data-bulk'));
+          });
+      }
+      if (dom.exportIgnoreListButton) dom.exportIgnoreListButton.addEventListener('click', exportIgnoreList);
+      if (dom.importIgnoreListButton && dom.ignoreListFileInput) {
+          dom.importIgnoreListButton.addEventListener('click', () => dom.ignoreListFileInput.click());
+          dom.ignoreListFileInput.addEventListener('change', importIgnoreList);
+      }
+
+      if (dom.saveSearchButton) dom.saveSearchButton.addEventListener('click', saveCurrentQuery);
+      // Event delegation for saved search chips (apply, or delete with the ×)
+      if (dom.savedQueriesContainer) {
+          dom.savedQueriesContainer.addEventListener('click', (event) => {
+              const deleteButton = event.target.closest('[data-delete-query]');
+              const chip = event.target.closest('[data-saved-query]');
+              if (deleteButton) deleteSavedQuery(deleteButton.getAttribute('data-delete-query'));
+              else if (chip) applySavedQuery(chip.getAttribute('data-saved-query'));
+          });
+      }
+
+      // Event delegation for relationship list filter chips
+      if (dom.listFiltersContainer) {
+          dom.listFiltersContainer.addEventListener('click', (event) => {
+              const chip = event.target.closest('.filter-chip');
+              if (chip && !chip.disabled) {
+                  setListFilter(chip.getAttribute('data-filter'));
+              }
+          });
+      }
 
       // API Login Button Listener Removed
       /*
@@ -198,9 +544,16 @@
        }
       */
 
-      // Event delegation for copy buttons in the user list
+      // Event delegation for copy buttons, checkboxes & row selection in the user list
       if (dom.container) {
           dom.container.addEventListener('click', (event) => {
+              const checkbox = event.target.closest('.select-checkbox');
+              if (checkbox) {
+                  const username = checkbox.getAttribute('data-username');
+                  if (username) {
+                      toggleSelected(username, checkbox.checked, event.shiftKey);
+                  }
+              }
               const button = event.target.closest('.copy-btn');
               if (button) {
                   const username = button.getAttribute('data-username');
@@ -208,214 +561,574 @@
                       copyUsername(username);
                   }
               }
+              const ignoreButton = event.target.closest('.ignore-btn');
+              if (ignoreButton) {
+                  const username = ignoreButton.getAttribute('data-username');
+                  if (username) {
+                      toggleIgnored(username);
+                  }
+              }
+              const reviewButton = event.target.closest('.review-btn');
+              if (reviewButton) {
+                  const username = reviewButton.getAttribute('data-username');
+                  if (username) {
+                      openReviewQueue(username);
+                  }
+              }
+              const tagButton = event.target.closest('.tag-btn');
+              if (tagButton) {
+                  const username = tagButton.getAttribute('data-username');
+                  if (username) {
+                      openAnnotationEditor(username);
+                  }
+              }
+              const row = event.target.closest('.user-item');
+              if (row && row.hasAttribute('data-index')) {
+                  setActiveRow(Number(row.getAttribute('data-index')));
+                  dom.container.focus({ preventScroll: true });
+              }
           });
+          // Virtual list: mount the rows in view while scrolling, keyboard navigation
+          dom.container.addEventListener('scroll', scheduleVirtualWindowRender, { passive: true });
+          dom.container.addEventListener('keydown', handleListKeydown);
+          window.addEventListener('resize', scheduleVirtualWindowRender);
       }
 
-      // Event delegation for AI suggestion buttons
+      // Event delegation for suggestion action buttons and rule checkboxes
       if (dom.aiSuggestionsContainer) {
           dom.aiSuggestionsContainer.addEventListener('click', (event) => {
                const button = event.target.closest('.ai-action-btn');
                if (button) {
-                   const actionName = button.getAttribute('data-action');
-                   handleAiAction(actionName);
+                   handleAiAction(button.getAttribute('data-action'), button.getAttribute('data-rule'));
                }
           });
       }
+      if (dom.suggestionRuleToggles) {
+          dom.suggestionRuleToggles.addEventListener('change', (event) => {
+              const checkbox = event.target.closest('input[data-rule]');
+              if (checkbox) setSuggestionRuleEnabled(checkbox.getAttribute('data-rule'), checkbox.checked);
+          });
+      }
+
+      // Snapshot history: compare & delete (delegated)
+      if (dom.snapshotCompareButton) {
+          dom.snapshotCompareButton.addEventListener('click', compareSelectedSnapshots);
+      }
+      if (dom.snapshotList) {
+          dom.snapshotList.addEventListener('click', (event) => {
+              const button = event.target.closest('.snapshot-delete-btn');
+              if (button) {
+                  removeSnapshot(Number(button.getAttribute('data-id')));
+              }
+          });
+      }
 
       // Close modal if clicked outside
       window.addEventListener('click', (event) => {
           if (event.target === dom.exportModal) {
               dom.exportModal.style.display = 'none';
           }
+          if (event.target === dom.annotationModal) {
+              closeAnnotationEditor();
+          }
+          if (event.target === dom.reviewModal) {
+              closeReviewQueue();
+          }
+          if (event.target === dom.workspaceModal) {
+              closeWorkspaceDialog();
+          }
       });
   }
 
   // -------------------------------------------------------------------------
-  // SECTION: Data Loading & Parsing (JSON Focused)
+  // SECTION: Data Loading & Parsing (JSON & HTML exports)
   // -------------------------------------------------------------------------
 
   /**
-   * Fetches JSON data from a static URL and processes it.
-   * @param {string} url - The URL of the JSON file.
-   * @param {Function} processor - Function to process each item in the JSON array.
+   * Fetches the text of the first static URL that responds.
+   * @param {string[]} urls - Candidate URLs, in order of preference.
+   * @returns {Promise<{url: string, text: string}>}
+   */
+  async function fetchFirstStaticFile(urls) {
+      let lastError = null;
+      for (const url of urls) {
+          try {
+              const response = await fetch(url);
+              if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+              return { url, text: await response.text() };
+          } catch (error) {
+              lastError = new Error(`Failed to load ${url}: ${error.message}`);
+          }
+      }
+      throw lastError || new Error('No static file paths configured.');
+  }
+
+  /**
+   * Loads the default followers/following files that sit next to index.html.
+   */
+  async function loadStaticData() {
+      const followersFile = await fetchFirstStaticFile([CONFIG.followersPath]);
+      const followingFile = await fetchFirstStaticFile(CONFIG.followingPaths);
+      const result = await runLoadJob('static', [
+          { listKey: 'followers', name: followersFile.url, content: followersFile.text },
+          { listKey: 'following', name: followingFile.url, content: followingFile.text }
+      ]);
+      Object.entries(result.layouts).forEach(([name, layout]) => console.log(`Read ${name} as ${describeLayout(layout)}.`));
+      applyLoadResult(result);
+      // The bundled files are a demo, not the user's export: keep them out of the snapshot history
+      state.freshData = { followers: false, following: false };
+      processLoadedData(result.nonFollowers); // Process data from static files
+  }
+
+  /**
+   * Handles file selection from input elements.
+   * @param {Event} event - The file input change event.
    */
-  async function loadStaticJsonData(url, processor) {
-      if (state.isDataProcessing) return; // Prevent concurrent processing
-      state.isDataProcessing = true;
+  async function handleFileUpload(event) {
+      const type = event.target.id.includes('followers') ? 'followers' : 'following';
+      // Multi-part exports (followers_1.json, followers_2.json, ...) are merged like the parts in a ZIP
+      const files = sortListParts(RELATIONSHIP_LISTS.find(list => list.key === type), [...event.target.files]);
+      if (files.length === 0) return;
+
+      const names = files.map(file => file.name).join('", "');
+      showLoader(); // Show loader during file processing
 
       try {
-          const response = await fetch(url);
-          if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+          const result = await runLoadJob(event.target.id, files.map(file => ({ listKey: type, name: file.name, content: file })));
+          files.forEach(file => showToast(`Read ${file.name} as ${describeLayout(result.layouts[file.name])}.`, "info"));
+          applyLoadResult(result, { lastModified: Math.max(...files.map(file => file.lastModified)) });
+          checkUploadedDataReady(result.nonFollowers);
+      } catch (error) {
+          if (error.name === 'AbortError') return; // Replaced by a newer selection
+          showError(`Invalid ${type} ${files.length > 1 ? 'files' : 'file'} "${names}": ${error.message}`);
+          // Clear the file input value to allow re-selection of the same file
+          event.target.value = null;
+          clearLoader();
+      }
+  }
+
+  /**
+   * Handles selection of the optional relationship list files (close friends, blocked, ...).
+   * Each file is matched to its list by name; several can be selected at once.
+   * @param {Event} event - The file input change event.
+   */
+  async function handleExtraListsUpload(event) {
+      const files = [...event.target.files];
+      if (files.length === 0) return;
+
+      const jobFiles = [];
+      const unknown = [];
+      files.forEach(file => {
+          const list = findRelationshipList(file.name);
+          if (list) jobFiles.push({ listKey: list.key, name: file.name, content: file });
+          else unknown.push(file.name);
+      });
 
-          const data = await response.json();
-          // Handle potential object wrapping (e.g., { relationships_followers: [...] })
-          const dataArray = Array.isArray(data) ? data : data[Object.keys(data)[0]];
-          if (!Array.isArray(dataArray)) throw new Error('JSON data is not an array.');
+      if (unknown.length > 0) {
+          showToast(`Unrecognized file(s): ${unknown.join(', ')}`, "warning", 5000);
+      }
+      if (jobFiles.length === 0) return;
 
-          await processInBatches(dataArray, processor);
+      try {
+          const result = await runLoadJob(event.target.id, jobFiles);
+          applyLoadResult(result);
+          const loadedKeys = Object.keys(result.lists);
+          const labels = RELATIONSHIP_LISTS.filter(list => loadedKeys.includes(list.key)).map(list => list.label);
+          showToast(`Loaded: ${labels.join(', ')}`, "success");
+          if (loadedKeys.includes('followers') || loadedKeys.includes('following')) {
+              checkUploadedDataReady(result.nonFollowers);
+          } else {
+              renderListFilters();
+              renderResults();
+          }
       } catch (error) {
-          throw new Error(`Failed to load or parse ${url}: ${error.message}`);
-      } finally {
-           state.isDataProcessing = false;
+          if (error.name === 'AbortError') return;
+          showToast(`Could not load list files: ${error.message}`, "error");
+          event.target.value = null;
       }
   }
 
   /**
-   * Handles file selection from input elements.
+   * Handles selection of a full "Download Your Information" ZIP.
+   * Finds the relationship list files inside it and loads them like uploads.
+   * Everything is read locally from the selected file.
    * @param {Event} event - The file input change event.
    */
-  async function handleFileUpload(event) {
+  async function handleArchiveUpload(event) {
       const file = event.target.files[0];
       if (!file) return;
 
-      const type = event.target.id.includes('followers') ? 'followers' : 'following';
-      showLoader(); // Show loader during file processing
+      showLoader();
 
       try {
-          const data = await parseJsonFile(file);
-           // Handle potential object wrapping
-          const dataArray = Array.isArray(data) ? data : data[Object.keys(data)[0]];
-          if (!Array.isArray(dataArray)) throw new Error('Uploaded JSON is not an array.');
-
-          if (type === 'followers') {
-              state.uploadedFollowersData = dataArray;
-              processFollowerDataBatch(state.uploadedFollowersData); // Process immediately
-          } else {
-              state.uploadedFollowingData = dataArray;
-               processFollowingDataBatch(state.uploadedFollowingData); // Process immediately
+          const archive = await readInstagramArchive(file);
+          if (!archive.files.some(part => part.listKey === 'followers' || part.listKey === 'following')) {
+              renderArchiveReport(file.name, archive);
+              throw new Error('No followers or following files found in the archive.');
           }
-          checkUploadedDataReady();
+
+          const result = await runLoadJob(event.target.id, archive.files);
+          renderArchiveReport(file.name, archive, result);
+
+          // The archive is a whole export: optional lists it doesn't contain are cleared
+          RELATIONSHIP_LISTS.forEach(list => {
+              if (!list.required && !result.lists[list.key]) {
+                  state.lists[list.key].clear();
+                  delete state.importReport.files[list.key];
+                  delete state.importReport.sources[list.key];
+              }
+          });
+          applyLoadResult(result, { archive: file.name });
+          checkUploadedDataReady(result.nonFollowers);
       } catch (error) {
-          showError(`Invalid ${type} file "${file.name}": ${error.message}`);
-          // Clear the file input value to allow re-selection of the same file
+          if (error.name === 'AbortError') return;
+          showError(`Could not read archive "${file.name}": ${error.message}`);
           event.target.value = null;
           clearLoader();
       }
   }
 
-   /**
-   * Processes a batch of follower data (typically from upload).
-   * @param {Array} dataArray - Array of follower relationship items.
+  /**
+   * Shows which relationship files were found in the archive and which were expected but missing.
+   * @param {string} archiveName - The ZIP file name.
+   * @param {object} archive - Result of readInstagramArchive().
+   * @param {{fileCounts: Object<string, number>, layouts: Object<string, object>}} [result] - The load job's result.
    */
-  function processFollowerDataBatch(dataArray) {
-      state.followers.clear(); // Clear previous data if reprocessing
-      // Instagram JSON structure has 'string_list_data' inside each item
-      processFollowerData({ string_list_data: dataArray.flatMap(item => item.string_list_data || []) });
-      console.log(`Processed ${state.followers.size} followers from upload.`);
+  function renderArchiveReport(archiveName, archive, result = { fileCounts: {}, layouts: {} }) {
+      if (!dom.archiveReport) return;
+
+      dom.archiveReport.innerHTML = '';
+      const title = document.createElement('p');
+      title.textContent = `Contents of ${archiveName}:`;
+      dom.archiveReport.appendChild(title);
+
+      const list = document.createElement('ul');
+      archive.files.forEach(part => {
+          const item = document.createElement('li');
+          item.className = 'found';
+          item.innerHTML = '<i class="fas fa-check-circle"></i> ';
+          const count = part.name in result.fileCounts
+              ? ` (${result.fileCounts[part.name]} entries, ${describeLayout(result.layouts[part.name])})`
+              : '';
+          item.appendChild(document.createTextNode(`Found ${part.name}${count}`));
+          list.appendChild(item);
+      });
+      archive.missing.forEach(path => {
+          const item = document.createElement('li');
+          item.className = 'missing';
+          item.innerHTML = '<i class="fas fa-times-circle"></i> ';
+          item.appendChild(document.createTextNode(`Expected ${path} but could not find it`));
+          list.appendChild(item);
+      });
+      dom.archiveReport.appendChild(list);
+
+      if (archive.notIncluded.length > 0) {
+          const note = document.createElement('p');
+          note.className = 'archive-report-note';
+          note.textContent = `Optional lists not in this export: ${archive.notIncluded.join(', ')}`;
+          dom.archiveReport.appendChild(note);
+      }
   }
 
   /**
-   * Processes a batch of following data (typically from upload).
-   * @param {Array} dataArray - Array of following relationship items.
+   * Names an export layout for messages, e.g. 'JSON with usernames in "title" (layout v3)'.
+   * @param {object} [layout] - An AnalyzerCore.EXPORT_LAYOUTS entry.
+   * @returns {string}
    */
-  function processFollowingDataBatch(dataArray) {
-      state.following.clear(); // Clear previous data if reprocessing
-      // Instagram JSON structure might be different for following, adjust if necessary
-      // Assuming similar structure:
-      processFollowingData({ string_list_data: dataArray.flatMap(item => item.string_list_data || []) });
-      console.log(`Processed ${state.following.size} following from upload.`);
+  function describeLayout(layout) {
+      if (!layout) return 'an unknown layout';
+      return layout.version ? `${layout.label} (layout v${layout.version})` : layout.label;
   }
 
-
   /**
-   * Parses a JSON file using FileReader.
-   * @param {File} file - The file object to parse.
-   * @returns {Promise<any>} - A promise resolving with the parsed JSON data.
+   * Stores the records returned by a load job, replacing each loaded list's previous contents.
+   * @param {{lists: Object<string, object[]>, fileReports: object[]}} result - Result of runLoadJob().
+   * @param {{lastModified?: number, archive?: string}} [source] - Where the files came from, for the import report.
    */
-  function parseJsonFile(file) {
-      return new Promise((resolve, reject) => {
-          const reader = new FileReader();
-          reader.onload = e => {
-              try {
-                  if (e.target && typeof e.target.result === 'string') {
-                       resolve(JSON.parse(e.target.result));
-                  } else {
-                       reject(new Error("Failed to read file content."));
-                  }
-              } catch (error) {
-                  reject(new Error(`JSON Parse Error: ${error.message}`));
-              }
-          };
-           reader.onerror = (e) => reject(new Error(`File Read Error: ${reader.error || 'Unknown error'}`));
-          reader.readAsText(file);
+  function applyLoadResult(result, source = {}) {
+      Object.entries(result.lists).forEach(([listKey, records]) => {
+          state.lists[listKey] = new Map(records.map(record => [record.username, record]));
+          if (listKey in state.freshData) state.freshData[listKey] = true;
+          if (listKey in state.uploaded) state.uploaded[listKey] = true;
+          const fileReports = result.fileReports.filter(fileReport => fileReport.listKey === listKey);
+          state.importReport.files[listKey] = fileReports;
+          state.importReport.sources[listKey] = { name: fileReports.map(fileReport => fileReport.name).join(', '), ...source };
+          console.log(`Processed ${records.length} ${listKey}.`);
       });
+      renderImportReport();
   }
 
+  // -------------------------------------------------------------------------
+  // SECTION: Import Report (skipped entries, duplicates, bad links & dates)
+  // -------------------------------------------------------------------------
+
+  // Examples listed per issue in the panel; the downloaded report has all kept examples
+  const IMPORT_REPORT_PANEL_EXAMPLES = 5;
+
   /**
-   * Processes an array of data in batches to avoid blocking the UI thread.
-   * @param {Array} data - The array of data to process.
-   * @param {Function} processor - The function to call for each item.
-   * @returns {Promise<void>}
+   * Builds the import report of the loaded lists.
+   * @returns {{generatedAt: string, files: object[], warnings: Array<{kind: string, message: string}>,
+   *            totals: Object<string, number>}}
    */
-  function processInBatches(data, processor) {
-      return new Promise(resolve => {
-          let index = 0;
-          const totalItems = data.length;
-
-          function processBatch() {
-              const end = Math.min(index + CONFIG.batchSize, totalItems);
-              for (; index < end; index++) {
-                  try {
-                       processor(data[index]);
-                  } catch (e) {
-                       console.warn("Error processing item:", data[index], e);
-                  }
-              }
+  function buildImportReport() {
+      const files = RELATIONSHIP_LISTS.flatMap(list => state.importReport.files[list.key] || []);
+      const hasBothLists = ['followers', 'following'].every(key => state.importReport.files[key]);
+      return {
+          generatedAt: new Date().toISOString(),
+          files: files.map(fileReport => ({ ...fileReport, source: state.importReport.sources[fileReport.listKey] || null })),
+          warnings: hasBothLists ? checkImportConsistency(state.lists, state.importReport.sources) : [],
+          totals: Object.fromEntries(RELATIONSHIP_LISTS
+              .filter(list => state.importReport.files[list.key])
+              .map(list => [list.key, state.lists[list.key].size]))
+      };
+  }
 
-              // Update progress (optional)
-               // updateProgressIndicator(index, totalItems);
+  /**
+   * Renders the import report panel below the upload area.
+   */
+  function renderImportReport() {
+      if (!dom.importReport || !dom.importReportBody) return;
+
+      const report = buildImportReport();
+      dom.importReport.hidden = report.files.length === 0;
+      dom.importReportBody.innerHTML = '';
+      if (report.files.length === 0) return;
+
+      const issueCount = report.files.reduce((sum, fileReport) =>
+          sum + Object.values(fileReport.issues).reduce((fileSum, issue) => fileSum + issue.count, 0), 0);
+      const parts = [];
+      if (report.warnings.length > 0) parts.push(`${report.warnings.length} warning${report.warnings.length === 1 ? '' : 's'}`);
+      if (issueCount > 0) parts.push(`${issueCount} entr${issueCount === 1 ? 'y' : 'ies'} with issues`);
+      if (dom.importReportSummary) dom.importReportSummary.textContent = parts.length > 0 ? parts.join(', ') : 'no problems found';
+      dom.importReport.classList.toggle('has-warnings', report.warnings.length > 0);
+      if (report.warnings.length > 0) dom.importReport.open = true; // Don't hide a likely mix-up
+
+      if (report.warnings.length > 0) {
+          const warnings = document.createElement('ul');
+          warnings.className = 'import-report-warnings';
+          report.warnings.forEach(warning => {
+              const item = document.createElement('li');
+              item.innerHTML = '<i class="fas fa-exclamation-triangle"></i> ';
+              item.appendChild(document.createTextNode(warning.message));
+              warnings.appendChild(item);
+          });
+          dom.importReportBody.appendChild(warnings);
+      }
 
-              if (index < totalItems) {
-                  setTimeout(processBatch, 0); // Yield to UI thread
-              } else {
-                  resolve();
-              }
+      report.files.forEach(fileReport => {
+          const section = document.createElement('div');
+          section.className = 'import-report-file';
+          const title = document.createElement('p');
+          const label = RELATIONSHIP_LISTS.find(list => list.key === fileReport.listKey)?.label || fileReport.listKey;
+          title.textContent = `${label}: ${fileReport.name} (${describeLayout(fileReport.layout)}) — ${fileReport.entries} entries, ${fileReport.accounts} accounts`;
+          section.appendChild(title);
+
+          const issues = IMPORT_ISSUES.filter(issue => fileReport.issues[issue.kind]);
+          if (issues.length === 0) {
+              const ok = document.createElement('p');
+              ok.className = 'import-report-ok';
+              ok.textContent = 'No issues found.';
+              section.appendChild(ok);
           }
-          processBatch();
+          const list = document.createElement('ul');
+          issues.forEach(issue => {
+              const { count, examples } = fileReport.issues[issue.kind];
+              const item = document.createElement('li');
+              item.textContent = `${issue.label}: ${count}`;
+              const shown = examples.slice(0, IMPORT_REPORT_PANEL_EXAMPLES)
+                  .map(example => (example.username ? `@${example.username}: ${example.detail}` : example.detail));
+              if (count > shown.length) shown.push(`… and ${count - shown.length} more`);
+              const details = document.createElement('ul');
+              details.className = 'import-report-examples';
+              shown.forEach(text => {
+                  const detail = document.createElement('li');
+                  detail.textContent = text;
+                  details.appendChild(detail);
+              });
+              item.appendChild(details);
+              list.appendChild(item);
+          });
+          section.appendChild(list);
+          dom.importReportBody.appendChild(section);
       });
   }
 
   /**
-   * Extracts follower usernames from a data item.
-   * Adds valid usernames to the state.followers Set.
-   * @param {object} item - A relationship item from the followers JSON. Needs string_list_data property.
+   * Downloads the import report as JSON, e.g. to attach to a bug report.
    */
-  function processFollowerData(item) {
-      // Expecting item = { string_list_data: [{timestamp: ..., value: '...', href: '...'}, ...] }
-      item.string_list_data?.forEach(entry => {
-          if (entry?.value) {
-              state.followers.add(entry.value.toLowerCase());
-          }
-      });
+  function downloadImportReport() {
+      const report = buildImportReport();
+      if (report.files.length === 0) {
+          showToast("Load your export files first.", "info");
+          return;
+      }
+      downloadFile(JSON.stringify(report, null, 2), `instagram_import_report_${todayStamp()}.json`, 'application/json');
   }
 
+  // -------------------------------------------------------------------------
+  // SECTION: Background Processing (Web Worker)
+  // -------------------------------------------------------------------------
+
+  // Running jobs by slot (usually the id of the file input that started them).
+  // Choosing a new file for the same input cancels the previous job.
+  const activeJobs = new Map();
+
   /**
-   * Extracts following usernames from a data item.
-   * Adds valid usernames to the state.following Set.
-   * @param {object} item - A relationship item from the following JSON. Needs string_list_data property.
+   * Parses, normalizes and diffs files in a dedicated worker, reporting progress.
+   * Falls back to processing on the page (still in yielding batches) where
+   * workers aren't available, e.g. when index.html is opened from disk.
+   * @param {string} slot - Job slot; a new job in the same slot cancels the old one.
+   * @param {Array<{listKey: string, name: string, content: Blob|string}>} files
+   * @returns {Promise<object>} - Result of AnalyzerCore.loadRelationshipFiles().
+   *   Rejects with an error named 'AbortError' when cancelled.
    */
-  function processFollowingData(item) {
-      // Expecting item = { string_list_data: [{timestamp: ..., value: '...', href: '...'}, ...] }
-      item.string_list_data?.forEach(entry => {
-           if (entry?.value) {
-              state.following.add(entry.value.toLowerCase());
+  function runLoadJob(slot, files) {
+      cancelLoadJob(slot);
+
+      // The non-follower calculation needs the side that isn't being loaded
+      const loadsKey = key => files.some(file => file.listKey === key);
+      const context = {
+          followers: loadsKey('followers') ? undefined : [...state.lists.followers.keys()],
+          following: loadsKey('following') ? undefined : [...state.lists.following.keys()]
+      };
+      // The lists the context was taken from. Another job may replace one before this one
+      // finishes (overlapping uploads); its non-followers are then stale
+      const contextLists = ['followers', 'following']
+          .filter(key => context[key] !== undefined)
+          .map(key => [key, state.lists[key]]);
+      const withCurrentContext = (result) => {
+          if (contextLists.some(([key, list]) => state.lists[key] !== list)) {
+              result.nonFollowers = null; // calculateModeUsers recomputes from state.lists
+          }
+          return result;
+      };
+
+      return new Promise((resolve, reject) => {
+          const job = { cancelled: false, worker: null, reject };
+          activeJobs.set(slot, job);
+          const finish = () => {
+              if (activeJobs.get(slot) === job) activeJobs.delete(slot);
+              if (job.worker) job.worker.terminate();
+              updateProgressIndicator();
+          };
+          const onProgress = ({ fraction, message }) => {
+              if (!job.cancelled) updateProgressIndicator(fraction, message);
+          };
+
+          job.worker = createAnalysisWorker();
+          if (job.worker) {
+              job.worker.onmessage = (event) => {
+                  const message = event.data;
+                  if (message.type === 'progress') {
+                      onProgress(message);
+                  } else if (message.type === 'result') {
+                      finish();
+                      resolve(withCurrentContext(message.result));
+                  } else if (message.type === 'error') {
+                      finish();
+                      // Same error as the inline path rejects with, so callers can check error.name
+                      const error = new Error(message.message);
+                      error.name = message.name || 'Error';
+                      reject(error);
+                  }
+              };
+              job.worker.onerror = (event) => {
+                  event.preventDefault();
+                  finish();
+                  reject(new Error(event.message || 'Background processing failed.'));
+              };
+              job.worker.postMessage({ files, context, batchSize: CONFIG.batchSize });
+          } else {
+              AnalyzerCore.loadRelationshipFiles(files, {
+                  context,
+                  batchSize: CONFIG.batchSize,
+                  onProgress,
+                  isCancelled: () => job.cancelled
+              }).then(result => {
+                  finish();
+                  resolve(withCurrentContext(result));
+              }, error => {
+                  finish();
+                  reject(error);
+              });
           }
       });
   }
 
+  /**
+   * Cancels the running job in a slot, if any.
+   * @param {string} slot
+   */
+  function cancelLoadJob(slot) {
+      const job = activeJobs.get(slot);
+      if (!job) return;
+
+      job.cancelled = true;
+      activeJobs.delete(slot);
+      if (job.worker) job.worker.terminate(); // Stops even a long JSON.parse
+      const error = new Error('Processing cancelled.');
+      error.name = 'AbortError';
+      job.reject(error);
+      updateProgressIndicator();
+  }
+
+  /**
+   * Cancels every running job (the progress bar's Cancel button).
+   */
+  function cancelAllLoadJobs() {
+      [...activeJobs.keys()].forEach(cancelLoadJob);
+      clearLoader();
+      showToast("Processing cancelled.", "info");
+  }
+
+  /**
+   * Creates a worker for one job, or returns null if workers can't be used here.
+   * @returns {Worker|null}
+   */
+  function createAnalysisWorker() {
+      if (typeof Worker === 'undefined') return null;
+      try {
+          return new Worker(CONFIG.workerPath);
+      } catch (error) {
+          // Browsers refuse workers for pages opened via file://
+          console.warn("Web Worker unavailable, processing on the page:", error.message);
+          return null;
+      }
+  }
+
+  /**
+   * Shows or hides the progress bar.
+   * @param {number} [fraction] - 0..1; omit to hide the bar once no job is running.
+   * @param {string} [message] - Text shown next to the bar.
+   */
+  function updateProgressIndicator(fraction, message) {
+      if (!dom.progressContainer) return;
+
+      if (fraction === undefined) {
+          if (activeJobs.size === 0) dom.progressContainer.hidden = true;
+          return;
+      }
+      dom.progressContainer.hidden = false;
+      const percent = Math.round(Math.min(Math.max(fraction, 0), 1) * 100);
+      if (dom.progressBar) dom.progressBar.value = percent;
+      if (dom.progressLabel) dom.progressLabel.textContent = `${message || 'Processing...'} ${percent}%`;
+  }
+
+
    /**
    * Checks if both follower and following data have been loaded (from uploads).
    * If ready, triggers the main data processing and UI update.
+   * @param {string[]|null} [nonFollowers] - Non-followers already calculated by the load job.
    */
-  function checkUploadedDataReady() {
-      if (state.uploadedFollowersData && state.uploadedFollowingData) {
+  function checkUploadedDataReady(nonFollowers = null) {
+      if (state.uploaded.followers && state.uploaded.following) {
           showToast("Files loaded. Processing data...", "info");
-          // Data has already been processed into sets by processFollower/FollowingDataBatch
-          processLoadedData();
-      } else if (state.uploadedFollowersData) {
+          // Data has already been processed into state.lists by the load job
+          processLoadedData(nonFollowers);
+      } else if (state.uploaded.followers) {
            showToast("Followers file loaded. Please upload the following file.", "info");
            clearLoader(); // Clear loader while waiting for the other file
-      } else if (state.uploadedFollowingData) {
+      } else if (state.uploaded.following) {
           showToast("Following file loaded. Please upload the followers file.", "info");
           clearLoader(); // Clear loader while waiting for the other file
       }
@@ -426,106 +1139,2244 @@
   // -------------------------------------------------------------------------
 
   /**
-   * Calculates the list of users who are being followed but don't follow back.
-   * Updates the state.nonFollowers array.
+   * Calculates the users in the current relationship mode.
+   * Updates the state.modeUsers and state.users arrays.
+   * @param {string[]|null} [precomputed] - Non-followers already calculated by a load job.
+   */
+  function calculateModeUsers(precomputed = null) {
+      state.modeUsers = (state.mode === 'notFollowingBack' && precomputed) ||
+          computeRelationship(state.mode, state.lists.following, state.lists.followers);
+      sortUsers(state.modeUsers);
+      applyIgnoreList();
+      console.log(`Calculated ${state.modeUsers.length} ${getRelationshipMode().noun} (${state.modeUsers.length - state.users.length} ignored).`);
+  }
+
+  /**
+   * Returns the active relationship mode definition.
+   * @returns {object}
+   */
+  function getRelationshipMode() {
+      return RELATIONSHIP_MODES.find(mode => mode.id === state.mode) || RELATIONSHIP_MODES[0];
+  }
+
+  /**
+   * Switches the relationship mode and refreshes everything that depends on it.
+   * @param {string} modeId - A RELATIONSHIP_MODES id.
+   */
+  function setRelationshipMode(modeId) {
+      if (!RELATIONSHIP_MODES.some(mode => mode.id === modeId) || modeId === state.mode) return;
+      state.mode = modeId;
+      renderModeSwitcher();
+      if (state.lists.followers.size === 0 || state.lists.following.size === 0) return;
+      calculateModeUsers();
+      refreshIgnoredResults();
+  }
+
+  /**
+   * Marks the active mode button and updates the labels that name the mode.
+   */
+  function renderModeSwitcher() {
+      const mode = getRelationshipMode();
+      if (dom.modeSwitcher) {
+          dom.modeSwitcher.querySelectorAll('[data-mode]').forEach(button => {
+              const active = button.getAttribute('data-mode') === mode.id;
+              button.classList.toggle('active', active);
+              button.setAttribute('aria-pressed', active);
+          });
+      }
+      if (dom.stats.modeLabel) dom.stats.modeLabel.textContent = mode.label;
+      if (dom.searchInput) dom.searchInput.placeholder = `Search ${mode.noun}... (try tag:brand, shop*, followed:>2023)`;
+      if (dom.exportTitle) dom.exportTitle.textContent = `Export ${mode.label}`;
+  }
+
+  /**
+   * Non-followers excluding ignored accounts, whatever the current mode (for the review queue).
+   * @returns {string[]}
    */
-  function calculateNonFollowers() {
-      state.nonFollowers = [...state.following].filter(user => !state.followers.has(user));
-      // Sort initially based on current sort state
-      state.nonFollowers.sort((a, b) => state.sortAsc ? a.localeCompare(b) : b.localeCompare(a));
-      console.log(`Calculated ${state.nonFollowers.length} non-followers.`);
+  function getNonFollowers() {
+      return computeNonFollowers(state.lists.following, state.lists.followers)
+          .filter(user => !state.ignored.has(user));
   }
 
 
+
+
   /**
   * Central function called after data is loaded (from static files or uploads).
   * Calculates differences and updates the entire UI.
+  * @param {string[]|null} [nonFollowers] - Non-followers already calculated by the load job.
   */
-  function processLoadedData() {
-      if (state.followers.size === 0 || state.following.size === 0) {
+  function processLoadedData(nonFollowers = null) {
+      if (state.lists.followers.size === 0 || state.lists.following.size === 0) {
           console.log("Waiting for both follower and following data to be loaded.");
           return; // Don't proceed if one set is empty
       }
 
       showLoader(); // Ensure loader is visible during processing
-      calculateNonFollowers();
+      // Suggestions are worked out again for the new data
+      state.suggestionFilter = null;
+      if (state.activeListFilter === 'suggestion') state.activeListFilter = 'all';
+      state.previousSnapshot = null;
+      calculateModeUsers(nonFollowers);
       updateStatistics();
+      renderListFilters(); // Update chip counts for the loaded lists
       renderResults(); // Render the list of non-followers
       renderFollowTimeline(); // Update or render the chart
       generateSmartSuggestions(); // Update suggestions based on data
       clearLoader(); // Hide loader after processing and rendering
       showToast("Analysis complete!", "success");
+      verifyUnfollowDecisions(); // Check "unfollowed" review decisions against the new export
+      saveCurrentSnapshot(); // Record this export in the snapshot history (async)
+      loadPreviousSnapshot().then(generateSmartSuggestions); // Add the snapshot-based suggestions
   }
 
 
   // -------------------------------------------------------------------------
-  // SECTION: API Integration (REMOVED)
+  // SECTION: Snapshot History (IndexedDB)
   // -------------------------------------------------------------------------
 
-  // Functions redirectToInstagramAuth, handleAPIAuth, getAccessToken,
-  // fetchRelationships, processAPIData have been removed or commented out.
+  let snapshotDbPromise = null;
+  let snapshotListLoaded = Promise.resolve(); // Latest refreshSnapshotList() run; saves wait for it
 
+  /**
+   * Opens (and upgrades if needed) the snapshot database. The connection is cached.
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openSnapshotDb() {
+      if (snapshotDbPromise) return snapshotDbPromise;
 
-  // -------------------------------------------------------------------------
-  // SECTION: UI Rendering & Updates
-  // -------------------------------------------------------------------------
+      snapshotDbPromise = new Promise((resolve, reject) => {
+          if (typeof indexedDB === 'undefined') {
+              reject(new Error('IndexedDB is not available in this browser.'));
+              return;
+          }
+          const { name, version, store, profileIndex } = CONFIG.snapshotDb;
+          const request = indexedDB.open(name, version);
+          request.onupgradeneeded = (event) => {
+              const db = request.result;
+              const snapshotStore = db.objectStoreNames.contains(store)
+                  ? request.transaction.objectStore(store)
+                  : db.createObjectStore(store, { keyPath: 'id', autoIncrement: true });
+              if (!snapshotStore.indexNames.contains(profileIndex)) {
+                  snapshotStore.createIndex(profileIndex, 'profileId');
+              }
+              if (event.oldVersion > 0 && event.oldVersion < 2) {
+                  // Version 1 snapshots: mark the ones from before profiles as the default
+                  // profile's (so the index finds them) and store their list sizes
+                  snapshotStore.openCursor().onsuccess = (cursorEvent) => {
+                      const cursor = cursorEvent.target.result;
+                      if (!cursor) return;
+                      const snapshot = cursor.value;
+                      cursor.update({
+                          ...snapshot,
+                          profileId: snapshot.profileId || DEFAULT_PROFILE.id,
+                          followersCount: snapshot.followers.length,
+                          followingCount: snapshot.following.length
+                      });
+                      cursor.continue();
+                  };
+              }
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error || new Error('Could not open snapshot database.'));
+      });
+      // Allow a retry later if opening failed
+      snapshotDbPromise.catch(() => { snapshotDbPromise = null; });
+      return snapshotDbPromise;
+  }
+
+  /**
+   * Runs a single request against the snapshot store.
+   * @param {'readonly' | 'readwrite'} mode
+   * @param {function(IDBObjectStore): IDBRequest} makeRequest
+   * @returns {Promise<any>} - Resolves with the request result once the transaction completes.
+   */
+  async function snapshotStoreRequest(mode, makeRequest) {
+      const db = await openSnapshotDb();
+      return new Promise((resolve, reject) => {
+          const transaction = db.transaction(CONFIG.snapshotDb.store, mode);
+          const request = makeRequest(transaction.objectStore(CONFIG.snapshotDb.store));
+          transaction.oncomplete = () => resolve(request.result);
+          transaction.onerror = () => reject(transaction.error || request.error);
+          transaction.onabort = () => reject(transaction.error || new Error('Snapshot transaction aborted.'));
+      });
+  }
+
+  /**
+   * Identifies the loaded export: its newest follow timestamp (ms, or null) and list sizes.
+   * @returns {{exportDate: number|null, followersCount: number, followingCount: number}}
+   */
+  function describeLoadedExport() {
+      const times = timestampsOf(state.lists.followers).concat(timestampsOf(state.lists.following));
+      return {
+          exportDate: times.length ? times.reduce((a, b) => Math.max(a, b)) : null,
+          followersCount: state.lists.followers.size,
+          followingCount: state.lists.following.size
+      };
+  }
+
+  /**
+   * Whether two export descriptions (snapshot summaries or describeLoadedExport() results) are the same export.
+   * @param {object} a
+   * @param {object} b
+   * @returns {boolean}
+   */
+  function isSameExport(a, b) {
+      return a.exportDate === b.exportDate && a.followersCount === b.followersCount && a.followingCount === b.followingCount;
+  }
+
+  /**
+   * Builds a storable snapshot of the active profile from the current followers/following Maps.
+   * The export date is taken from the newest timestamp in the data, which is
+   * the closest thing the export has to a "downloaded on" date.
+   * @returns {object}
+   */
+  function buildSnapshot() {
+      return {
+          profileId: state.activeProfileId,
+          createdAt: Date.now(),
+          ...describeLoadedExport(), // exportDate, followersCount & followingCount, listed without reading the lists
+          followers: [...state.lists.followers.values()],
+          following: [...state.lists.following.values()]
+      };
+  }
+
+  /**
+   * Saves the current followers/following pair, unless the newest snapshot
+   * already holds the same export. Only saves once both lists have been
+   * (re)loaded, so replacing one file doesn't store a mixed snapshot.
+   */
+  async function saveCurrentSnapshot() {
+      if (!state.freshData.followers || !state.freshData.following) return;
+      state.freshData = { followers: false, following: false };
+
+      try {
+          const snapshot = buildSnapshot();
+          await snapshotListLoaded; // The page may still be reading the history
+          if (state.snapshots.some(summary => isSameExport(summary, snapshot))) {
+              return; // An export already in the history, loaded again
+          }
+          await snapshotStoreRequest('readwrite', store => store.add(snapshot));
+          await refreshSnapshotList();
+          showToast("Snapshot saved to history.", "info");
+      } catch (error) {
+          console.warn("Could not save snapshot:", error);
+      }
+  }
+
+  /**
+   * Reads the full snapshots of a profile, in storage order.
+   * Snapshots saved before there were profiles were moved to the default profile by openSnapshotDb.
+   * @param {string} [profileId] - Defaults to the active profile.
+   * @returns {Promise<object[]>}
+   */
+  function getProfileSnapshots(profileId = state.activeProfileId) {
+      return snapshotStoreRequest('readonly', store => store.index(CONFIG.snapshotDb.profileIndex).getAll(profileId));
+  }
+
+  /**
+   * Loads the active profile's snapshots and keeps lightweight summaries in state, newest first.
+   * @returns {Promise<void>}
+   */
+  function refreshSnapshotList() {
+      snapshotListLoaded = readSnapshotList();
+      return snapshotListLoaded;
+  }
+
+  /**
+   * Reads the summaries for refreshSnapshotList() and renders the history.
+   */
+  async function readSnapshotList() {
+      try {
+          const snapshots = await getProfileSnapshots();
+          state.snapshots = snapshots
+              .map(snapshot => ({
+                  id: snapshot.id,
+                  createdAt: snapshot.createdAt,
+                  exportDate: snapshot.exportDate,
+                  followersCount: snapshot.followersCount,
+                  followingCount: snapshot.followingCount
+              }))
+              .sort((a, b) => (b.exportDate || b.createdAt) - (a.exportDate || a.createdAt) || b.id - a.id);
+      } catch (error) {
+          console.warn("Snapshot history unavailable:", error);
+          state.snapshots = [];
+      }
+      renderSnapshotHistory();
+  }
+
+  /**
+   * Deletes a snapshot and refreshes the history list.
+   * @param {number} id - Snapshot id.
+   */
+  async function removeSnapshot(id) {
+      try {
+          await snapshotStoreRequest('readwrite', store => store.delete(id));
+          await refreshSnapshotList();
+          showToast("Snapshot deleted.", "info");
+      } catch (error) {
+          console.error("Could not delete snapshot:", error);
+          showToast("Could not delete snapshot.", "error");
+      }
+  }
+
+  /**
+   * Reads the two selected snapshots, diffs them and renders the result.
+   */
+  async function compareSelectedSnapshots() {
+      const baseId = Number(dom.snapshotBaseSelect?.value);
+      const targetId = Number(dom.snapshotTargetSelect?.value);
+      if (!baseId || !targetId) {
+          showToast("Select two snapshots to compare.", "info");
+          return;
+      }
+      if (baseId === targetId) {
+          showToast("Pick two different snapshots.", "warning");
+          return;
+      }
+
+      try {
+          const [base, target] = await Promise.all([
+              snapshotStoreRequest('readonly', store => store.get(baseId)),
+              snapshotStoreRequest('readonly', store => store.get(targetId))
+          ]);
+          if (!base || !target) throw new Error('Snapshot not found.');
+          renderSnapshotDiff(diffSnapshots(base, target), base, target);
+      } catch (error) {
+          console.error("Snapshot comparison failed:", error);
+          showToast("Could not compare snapshots.", "error");
+      }
+  }
+
+  /**
+   * Formats a snapshot summary for display in lists and selects.
+   * @param {object} summary - Entry from state.snapshots (or a full snapshot).
+   * @returns {string}
+   */
+  function formatSnapshotLabel(summary) {
+      const date = new Date(summary.exportDate || summary.createdAt).toLocaleDateString();
+      const followersCount = summary.followersCount ?? summary.followers.length;
+      const followingCount = summary.followingCount ?? summary.following.length;
+      return `${date} — ${followersCount} followers / ${followingCount} following`;
+  }
+
+  /**
+   * Renders the snapshot list and fills the comparison selects.
+   * Defaults to comparing the two most recent snapshots.
+   */
+  function renderSnapshotHistory() {
+      if (!dom.snapshotList) return;
+
+      if (state.snapshots.length === 0) {
+          dom.snapshotList.innerHTML = '<p class="placeholder-text">No snapshots yet. Each analyzed export is saved here.</p>';
+      } else {
+          dom.snapshotList.innerHTML = '';
+          const fragment = document.createDocumentFragment();
+          state.snapshots.forEach(summary => {
+              const item = document.createElement('div');
+              item.className = 'snapshot-item';
+
+              const label = document.createElement('span');
+              label.textContent = formatSnapshotLabel(summary);
+              label.title = `Saved ${new Date(summary.createdAt).toLocaleString()}`;
+              item.appendChild(label);
+
+              const deleteButton = document.createElement('button');
+              deleteButton.className = 'btn-small snapshot-delete-btn';
+              deleteButton.title = 'Delete this snapshot';
+              deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
+              deleteButton.setAttribute('aria-label', 'Delete snapshot');
+              deleteButton.setAttribute('data-icon-fallback', '✕');
+              deleteButton.setAttribute('data-id', summary.id);
+              item.appendChild(deleteButton);
+
+              fragment.appendChild(item);
+          });
+          dom.snapshotList.appendChild(fragment);
+      }
+
+      [dom.snapshotBaseSelect, dom.snapshotTargetSelect].forEach((select, index) => {
+          if (!select) return;
+          // Keep the user's choice unless snapshots were added or removed
+          const previous = select.options.length === state.snapshots.length ? select.value : null;
+          select.innerHTML = '';
+          state.snapshots.forEach(summary => {
+              const option = document.createElement('option');
+              option.value = summary.id;
+              option.textContent = formatSnapshotLabel(summary);
+              select.appendChild(option);
+          });
+          if (state.snapshots.some(summary => String(summary.id) === previous)) {
+              select.value = previous;
+          } else if (state.snapshots.length > 0) {
+              // Base = second newest, target = newest
+              select.value = state.snapshots[Math.min(index === 0 ? 1 : 0, state.snapshots.length - 1)].id;
+          }
+      });
+      if (dom.snapshotCompareButton) dom.snapshotCompareButton.disabled = state.snapshots.length < 2;
+  }
+
+  /**
+   * Renders the result of diffSnapshots().
+   * @param {object} diff - Result of diffSnapshots().
+   * @param {object} base - The older snapshot.
+   * @param {object} target - The newer snapshot.
+   */
+  function renderSnapshotDiff(diff, base, target) {
+      if (!dom.snapshotDiffContainer) return;
+
+      const groups = [
+          { key: 'lostFollowers', title: 'Unfollowed you', icon: 'fa-user-minus', className: 'negative' },
+          { key: 'newFollowers', title: 'New followers', icon: 'fa-user-plus', className: 'positive' },
+          { key: 'stoppedFollowing', title: 'You stopped following', icon: 'fa-user-slash', className: '' },
+          { key: 'startedFollowing', title: 'You started following', icon: 'fa-user-check', className: '' },
+          { key: 'newNonFollowers', title: 'New non-followers', icon: 'fa-exclamation-triangle', className: 'negative' },
+          { key: 'resolvedNonFollowers', title: 'No longer non-followers', icon: 'fa-check-circle', className: 'positive' }
+      ];
+
+      dom.snapshotDiffContainer.innerHTML = '';
+      const heading = document.createElement('p');
+      heading.className = 'snapshot-diff-heading';
+      heading.textContent = `Changes from ${formatSnapshotLabel(base)} to ${formatSnapshotLabel(target)}`;
+      dom.snapshotDiffContainer.appendChild(heading);
+
+      const grid = document.createElement('div');
+      grid.className = 'snapshot-diff-grid';
+      groups.forEach(group => grid.appendChild(createAccountGroup(group, diff[group.key])));
+      dom.snapshotDiffContainer.appendChild(grid);
+  }
+
+  /**
+   * Builds one titled column of profile links, as in the snapshot diff.
+   * @param {{title: string, icon: string, className: string}} group
+   * @param {string[]} users
+   * @returns {HTMLElement}
+   */
+  function createAccountGroup(group, users) {
+      const column = document.createElement('div');
+      column.className = `snapshot-diff-group ${group.className}`.trim();
+
+      const title = document.createElement('h4');
+      title.innerHTML = `<i class="fas ${group.icon}"></i> `;
+      title.appendChild(document.createTextNode(`${group.title} (${users.length})`));
+      column.appendChild(title);
+
+      const list = document.createElement('ul');
+      if (users.length === 0) {
+          const empty = document.createElement('li');
+          empty.className = 'placeholder-text';
+          empty.textContent = 'None';
+          list.appendChild(empty);
+      }
+      users.forEach(username => {
+          const item = document.createElement('li');
+          const link = document.createElement('a');
+          link.href = `https://www.instagram.com/${username}/`;
+          link.textContent = `@${username}`;
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer';
+          item.appendChild(link);
+          list.appendChild(item);
+      });
+      column.appendChild(list);
+      return column;
+  }
+
+
+  // -------------------------------------------------------------------------
+  // SECTION: Account Profiles (one workspace, several Instagram accounts)
+  // -------------------------------------------------------------------------
+
+  // Each profile has its own uploads, snapshots (marked with profileId) and the settings in
+  // PROFILE_STORAGE_KEYS. Uploads only live in memory: an inactive profile's lists are kept
+  // here for the session, and after a reload the profile starts from its newest snapshot.
+  const profileSessions = new Map(); // profileId -> { lists, uploaded, freshData, importReport }
+
+  /**
+   * Returns the localStorage key of a per-profile setting. The default profile uses the bare key.
+   * @param {string} key - One of PROFILE_STORAGE_KEYS.
+   * @param {string} [profileId] - Defaults to the active profile.
+   * @returns {string}
+   */
+  function profileStorageKey(key, profileId = state.activeProfileId) {
+      return profileId === DEFAULT_PROFILE.id ? key : `profile:${profileId}:${key}`;
+  }
+
+  /**
+   * Reads the stored active profile, falling back to the default one if it was deleted.
+   * @returns {string}
+   */
+  function readActiveProfileId() {
+      const id = localStorage.getItem('activeProfile');
+      return loadStoredJson('profiles', [DEFAULT_PROFILE]).some(profile => profile.id === id) ? id : DEFAULT_PROFILE.id;
+  }
+
+  /**
+   * Reads a profile's settings, in the shape they have in state.
+   * @param {string} profileId
+   * @returns {object}
+   */
+  function readProfileSettings(profileId) {
+      const load = (key, fallback) => loadStoredJson(profileStorageKey(key, profileId), fallback);
+      return {
+          ignored: new Set(load('ignoreList', [])), // Accounts we never expect to follow back
+          annotations: load('annotations', {}), // username -> { tags: string[], note: string }
+          // Unfollow review queue: decisions are username -> { decision: 'unfollowed'|'kept'|'skipped', decidedAt, decidedWith?, verified? }
+          reviewDecisions: load('reviewDecisions', {}),
+          reviewDailyCap: Number(localStorage.getItem(profileStorageKey('reviewDailyCap', profileId))) || CONFIG.reviewDailyCap,
+          exportColumns: load('exportColumns', EXPORT_COLUMNS.filter(column => column.id !== 'detectedAt').map(column => column.id)),
+          disabledSuggestionRules: load('disabledSuggestionRules', []),
+          savedQueries: load('savedQueries', {}) // name -> query text, see SECTION: Saved Searches
+      };
+  }
+
+  /**
+   * @returns {{id: string, name: string}} - The active profile.
+   */
+  function getActiveProfile() {
+      return state.profiles.find(profile => profile.id === state.activeProfileId) || DEFAULT_PROFILE;
+  }
+
+  /**
+   * Creates empty relationship lists, as in a fresh state.
+   * @returns {Object<string, Map>}
+   */
+  function createEmptyLists() {
+      return Object.fromEntries(RELATIONSHIP_LISTS.map(list => [list.key, new Map()]));
+  }
+
+  /**
+   * Reads a profile's followers/following: the loaded lists of the active profile, those kept
+   * for an inactive profile this session, or else its newest snapshot.
+   * @param {string} profileId
+   * @returns {Promise<{lists: Object<string, Map>, snapshot: object|null}|null>} - null if the profile has no data.
+   */
+  async function loadProfileLists(profileId) {
+      const session = profileId === state.activeProfileId ? state : profileSessions.get(profileId);
+      if (session && (session.lists.followers.size > 0 || session.lists.following.size > 0)) {
+          return { lists: session.lists, snapshot: null };
+      }
+
+      let snapshots = [];
+      try {
+          snapshots = await getProfileSnapshots(profileId);
+      } catch (error) {
+          console.warn("Snapshot history unavailable:", error);
+      }
+      const snapshotTime = snapshot => snapshot.exportDate || snapshot.createdAt;
+      const newest = snapshots.sort((a, b) => snapshotTime(b) - snapshotTime(a))[0];
+      if (!newest) return null;
+
+      const lists = createEmptyLists();
+      lists.followers = new Map(newest.followers.map(record => [record.username, record]));
+      lists.following = new Map(newest.following.map(record => [record.username, record]));
+      return { lists, snapshot: newest };
+  }
+
+  /**
+   * Loads the active profile's newest snapshot when the page starts.
+   */
+  async function restoreProfileSnapshot() {
+      const data = await loadProfileLists(state.activeProfileId);
+      if (state.lists.followers.size > 0 || state.lists.following.size > 0) return; // An upload came first
+      if (!data) {
+          clearLoader();
+          showToast(`No data for ${getActiveProfile().name} yet. Upload its export to start.`, "info");
+          return;
+      }
+      state.lists = data.lists;
+      processLoadedData();
+  }
+
+  /**
+   * Switches to another profile: keeps the current profile's loaded lists for the session,
+   * loads the other profile's settings and data, and refreshes the page.
+   * @param {string} profileId
+   */
+  async function switchProfile(profileId) {
+      if (profileId === state.activeProfileId || !state.profiles.some(profile => profile.id === profileId)) return;
+
+      // A file still being read belongs to the profile we're leaving
+      [...activeJobs.keys()].forEach(cancelLoadJob);
+      profileSessions.set(state.activeProfileId, {
+          lists: state.lists,
+          uploaded: state.uploaded,
+          freshData: state.freshData,
+          importReport: state.importReport
+      });
+
+      state.activeProfileId = profileId;
+      localStorage.setItem('activeProfile', profileId);
+      Object.assign(state, readProfileSettings(profileId), {
+          lists: createEmptyLists(),
+          uploaded: { followers: false, following: false },
+          freshData: { followers: false, following: false },
+          importReport: { files: {}, sources: {} },
+          reviewQueue: [],
+          selected: new Set(),
+          selectionAnchor: null,
+          bulkOpenQueue: [],
+          exportSubset: null,
+          suggestionFilter: null,
+          previousSnapshot: null,
+          detectionDates: new Map(),
+          activeListFilter: 'all'
+      });
+      resetFileInputs();
+      renderProfileSwitcher();
+      renderSavedQueries();
+      renderImportReport();
+      if (dom.overlapResults) dom.overlapResults.innerHTML = '';
+
+      const session = profileSessions.get(profileId);
+      profileSessions.delete(profileId);
+      if (session) {
+          Object.assign(state, session);
+      } else {
+          const data = await loadProfileLists(profileId);
+          if (state.activeProfileId !== profileId) return; // Switched again meanwhile
+          if (data) state.lists = data.lists;
+      }
+      refreshSnapshotList();
+
+      if (state.lists.followers.size > 0 && state.lists.following.size > 0) {
+          processLoadedData();
+      } else {
+          calculateModeUsers();
+          refreshIgnoredResults();
+          renderFollowTimeline();
+      }
+      showToast(`Switched to ${getActiveProfile().name}.`, "info");
+  }
+
+  /**
+   * Clears the upload inputs and their file names, which belong to the previous profile.
+   */
+  function resetFileInputs() {
+      if (!dom.jsonSourceContainer) return;
+      dom.jsonSourceContainer.querySelectorAll('input[type="file"]').forEach(input => { input.value = ''; });
+      dom.jsonSourceContainer.querySelectorAll('.file-name').forEach(label => { label.textContent = 'No file selected'; });
+      if (dom.archiveReport) dom.archiveReport.innerHTML = '';
+  }
+
+  /**
+   * Asks for a profile name. Names must be non-empty and unique (ignoring case).
+   * @param {string} message - Prompt text.
+   * @param {string} [current] - Pre-filled name; kept as valid when renaming.
+   * @returns {string|null} - The name, or null if cancelled or invalid.
+   */
+  function promptProfileName(message, current = '') {
+      const input = window.prompt(message, current);
+      if (input === null) return null;
+      const name = input.trim();
+      if (!name) {
+          showToast("Profile names can't be empty.", "warning");
+          return null;
+      }
+      const taken = state.profiles.some(profile =>
+          profile.name.toLowerCase() === name.toLowerCase() && profile.name !== current);
+      if (taken) {
+          showToast(`There is already a profile named "${name}".`, "warning");
+          return null;
+      }
+      return name;
+  }
+
+  /**
+   * Adds a profile and switches to it.
+   */
+  function createProfile() {
+      const name = promptProfileName("Name of the new account profile (e.g. the brand's handle):");
+      if (!name) return;
+      const profile = { id: `p${Date.now().toString(36)}`, name };
+      state.profiles.push(profile);
+      saveStoredJson('profiles', state.profiles);
+      switchProfile(profile.id);
+  }
+
+  /**
+   * Renames the active profile.
+   */
+  function renameProfile() {
+      const profile = getActiveProfile();
+      const name = promptProfileName("New name of this profile:", profile.name);
+      if (!name || name === profile.name) return;
+      state.profiles = state.profiles.map(entry => (entry.id === profile.id ? { ...entry, name } : entry));
+      saveStoredJson('profiles', state.profiles);
+      renderProfileSwitcher();
+      showToast(`Renamed to ${name}.`, "success");
+  }
+
+  /**
+   * Deletes the active profile with its settings and snapshots, then switches to the default one.
+   * The default profile can't be deleted.
+   */
+  async function deleteProfile() {
+      const profile = getActiveProfile();
+      if (profile.id === DEFAULT_PROFILE.id) {
+          showToast("The first profile can't be deleted, but you can rename it.", "info");
+          return;
+      }
+      if (!window.confirm(`Delete the profile "${profile.name}" with its ignore list, tags, saved searches and snapshots?`)) return;
+
+      await switchProfile(DEFAULT_PROFILE.id);
+      state.profiles = state.profiles.filter(entry => entry.id !== profile.id);
+      saveStoredJson('profiles', state.profiles);
+      profileSessions.delete(profile.id);
+      PROFILE_STORAGE_KEYS.forEach(key => localStorage.removeItem(profileStorageKey(key, profile.id)));
+      try {
+          const ids = await snapshotStoreRequest('readonly', store => store.index(CONFIG.snapshotDb.profileIndex).getAllKeys(profile.id));
+          await Promise.all(ids.map(id => snapshotStoreRequest('readwrite', store => store.delete(id))));
+      } catch (error) {
+          console.warn("Could not delete the profile's snapshots:", error);
+      }
+      renderProfileSwitcher();
+      showToast(`Deleted the profile "${profile.name}".`, "info");
+  }
+
+  /**
+   * Fills the header's profile select and the overlap view's profile selects.
+   */
+  function renderProfileSwitcher() {
+      const fillSelect = (select, selectedId) => {
+          if (!select) return;
+          select.innerHTML = '';
+          state.profiles.forEach(profile => {
+              const option = document.createElement('option');
+              option.value = profile.id;
+              option.textContent = profile.name;
+              select.appendChild(option);
+          });
+          select.value = selectedId;
+      };
+
+      fillSelect(dom.profileSelect, state.activeProfileId);
+      if (dom.deleteProfileButton) dom.deleteProfileButton.disabled = state.activeProfileId === DEFAULT_PROFILE.id;
+
+      // Keep the picked pair, defaulting to the active profile and the next one
+      const keep = (select, fallback) => (state.profiles.some(profile => profile.id === select?.value) ? select.value : fallback);
+      const other = state.profiles.find(profile => profile.id !== state.activeProfileId) || getActiveProfile();
+      const firstId = keep(dom.overlapFirstSelect, state.activeProfileId);
+      const secondId = keep(dom.overlapSecondSelect, other.id);
+      fillSelect(dom.overlapFirstSelect, firstId);
+      fillSelect(dom.overlapSecondSelect, secondId);
+      if (dom.overlapCompareButton) dom.overlapCompareButton.disabled = state.profiles.length < 2;
+  }
+
+  /**
+   * Compares the picked list (followers or following) of the two selected profiles.
+   */
+  async function compareProfiles() {
+      const firstId = dom.overlapFirstSelect?.value;
+      const secondId = dom.overlapSecondSelect?.value;
+      const listKey = dom.overlapListSelect?.value === 'following' ? 'following' : 'followers';
+      if (!firstId || !secondId || firstId === secondId) {
+          showToast("Pick two different profiles to compare.", "warning");
+          return;
+      }
+
+      const profileName = id => state.profiles.find(profile => profile.id === id)?.name || id;
+      const [first, second] = await Promise.all([loadProfileLists(firstId), loadProfileLists(secondId)]);
+      const missing = [[firstId, first], [secondId, second]].find(([, data]) => !data);
+      if (missing) {
+          showToast(`${profileName(missing[0])} has no data yet. Switch to it and load its export first.`, "warning", 5000);
+          return;
+      }
+      renderProfileOverlap(computeAccountOverlap(first.lists[listKey], second.lists[listKey]), listKey,
+          { name: profileName(firstId), snapshot: first.snapshot },
+          { name: profileName(secondId), snapshot: second.snapshot });
+  }
+
+  /**
+   * Renders the result of computeAccountOverlap().
+   * @param {{onlyFirst: string[], both: string[], onlySecond: string[]}} overlap
+   * @param {'followers'|'following'} listKey - The compared list.
+   * @param {{name: string, snapshot: object|null}} first - Profile name and the snapshot its data came from, if any.
+   * @param {{name: string, snapshot: object|null}} second
+   */
+  function renderProfileOverlap(overlap, listKey, first, second) {
+      if (!dom.overlapResults) return;
+
+      const describe = (included, excluded) => (listKey === 'followers'
+          ? `Follow ${included} but not ${excluded}`
+          : `Followed by ${included} but not ${excluded}`);
+      const groups = [
+          { key: 'onlyFirst', title: describe(first.name, second.name), icon: 'fa-user-minus', className: '' },
+          { key: 'both', title: listKey === 'followers' ? 'Follow both' : 'Followed by both', icon: 'fa-user-friends', className: 'positive' },
+          { key: 'onlySecond', title: describe(second.name, first.name), icon: 'fa-user-minus', className: '' }
+      ];
+
+      dom.overlapResults.innerHTML = '';
+      const heading = document.createElement('p');
+      heading.className = 'snapshot-diff-heading';
+      const source = profile => (profile.snapshot ? `${profile.name} (snapshot of ${formatSnapshotLabel(profile.snapshot)})` : profile.name);
+      heading.textContent = `${listKey === 'followers' ? 'Followers' : 'Following'} of ${source(first)} and ${source(second)}`;
+      dom.overlapResults.appendChild(heading);
+
+      const grid = document.createElement('div');
+      grid.className = 'snapshot-diff-grid';
+      groups.forEach(group => grid.appendChild(createAccountGroup(group, overlap[group.key])));
+      dom.overlapResults.appendChild(grid);
+  }
+
+
+  // -------------------------------------------------------------------------
+  // SECTION: Workspace Bundles (export & import for a teammate, optionally encrypted)
+  // -------------------------------------------------------------------------
+
+  // The bundle format and encryption are in analyzer-core.js. The file is built and
+  // opened in the browser; nothing passes through a server.
+
+  /**
+   * Opens the dialog that exports the active profile's workspace.
+   */
+  function openWorkspaceExport() {
+      if (!dom.workspaceModal) return;
+      if (state.lists.followers.size === 0 && state.lists.following.size === 0) {
+          showToast("Load an export first.", "info");
+          return;
+      }
+      const counts = [
+          `${Object.keys(state.annotations).length} tagged accounts`,
+          `${state.ignored.size} ignored accounts`,
+          `${Object.keys(state.reviewDecisions).length} review decisions`
+      ];
+      openWorkspaceDialog({ mode: 'export' }, 'Export workspace',
+          `Packs the loaded lists of ${getActiveProfile().name} with ${counts.join(', ')} into one file. ` +
+          'Add a passphrase to encrypt it and share the passphrase separately; without one, anyone with the file can read it.',
+          'Download');
+  }
+
+  /**
+   * Shows the workspace dialog.
+   * @param {object} dialog - Stored in state.workspaceDialog.
+   * @param {string} title
+   * @param {string} description
+   * @param {string} submitLabel
+   */
+  function openWorkspaceDialog(dialog, title, description, submitLabel) {
+      state.workspaceDialog = dialog;
+      dom.workspaceTitle.textContent = title;
+      dom.workspaceDescription.textContent = description;
+      dom.workspaceSubmitLabel.textContent = submitLabel;
+      dom.workspaceConfirmGroup.hidden = dialog.mode !== 'export';
+      dom.workspacePassphraseInput.value = '';
+      dom.workspacePassphraseConfirmInput.value = '';
+      dom.workspaceModal.style.display = 'block';
+      dom.workspacePassphraseInput.focus();
+  }
+
+  /**
+   * Hides the workspace dialog and forgets the typed passphrase.
+   */
+  function closeWorkspaceDialog() {
+      if (!dom.workspaceModal) return;
+      dom.workspaceModal.style.display = 'none';
+      dom.workspacePassphraseInput.value = '';
+      dom.workspacePassphraseConfirmInput.value = '';
+      state.workspaceDialog = null;
+  }
+
+  /**
+   * Exports or unlocks the workspace, depending on the dialog's mode.
+   * @param {Event} event - The form's submit event.
+   */
+  async function submitWorkspaceDialog(event) {
+      event.preventDefault();
+      const dialog = state.workspaceDialog;
+      const passphrase = dom.workspacePassphraseInput.value;
+      if (!dialog) return;
+
+      if (dialog.mode === 'export') {
+          if (passphrase !== dom.workspacePassphraseConfirmInput.value) {
+              showToast("The passphrases don't match.", "warning");
+              return;
+          }
+          closeWorkspaceDialog();
+          await exportWorkspace(passphrase);
+          return;
+      }
+
+      if (!passphrase) {
+          showToast("Enter the workspace's passphrase.", "info");
+          return;
+      }
+      try {
+          const workspace = readWorkspaceBundle(await decryptWorkspace(dialog.envelope, passphrase));
+          closeWorkspaceDialog();
+          applyWorkspace(workspace, dialog.fileName);
+      } catch (error) {
+          if (error.name === 'WorkspaceError') {
+              showToast(error.message, "error");
+              return;
+          }
+          console.error(`Could not import "${dialog.fileName}":`, error);
+          showToast(`Could not import "${dialog.fileName}": ${error.message}`, "error");
+      }
+  }
+
+  /**
+   * Downloads the active profile's workspace bundle.
+   * @param {string} passphrase - Encrypts the bundle unless empty.
+   */
+  async function exportWorkspace(passphrase) {
+      try {
+          const bundle = createWorkspaceBundle({
+              lists: state.lists,
+              annotations: state.annotations,
+              ignored: state.ignored,
+              reviewDecisions: state.reviewDecisions,
+              profileName: getActiveProfile().name
+          });
+          const content = passphrase ? await encryptWorkspace(bundle, passphrase) : bundle;
+          downloadFile(JSON.stringify(content), `instagram_workspace_${todayStamp()}.json`, 'application/json');
+          showToast(passphrase ? "Encrypted workspace downloaded." : "Workspace downloaded.", "success");
+      } catch (error) {
+          console.error("Workspace export failed:", error);
+          showToast(`Could not export the workspace: ${error.message}`, "error");
+      }
+  }
+
+  /**
+   * Reads the file picked with "Import workspace". Encrypted files open the dialog
+   * to ask for the passphrase.
+   * @param {Event} event - The file input change event.
+   */
+  async function importWorkspaceFile(event) {
+      const file = event.target.files[0];
+      if (!file) return;
+
+      try {
+          let parsed;
+          try {
+              parsed = JSON.parse(await file.text());
+          } catch (error) {
+              throw new Error('This is not a workspace file.');
+          }
+          if (isEncryptedWorkspace(parsed)) {
+              openWorkspaceDialog({ mode: 'import', fileName: file.name, envelope: parsed }, 'Import workspace',
+                  `"${file.name}" is encrypted. Enter the passphrase you were given with it.`, 'Unlock');
+              return;
+          }
+          applyWorkspace(readWorkspaceBundle(parsed), file.name);
+      } catch (error) {
+          showToast(`Could not import "${file.name}": ${error.message}`, "error");
+      } finally {
+          event.target.value = null; // Allow importing the same file again
+      }
+  }
+
+  /**
+   * Replaces the active profile's lists, tags, ignore list and review decisions with
+   * an imported workspace, after asking if the profile already has any of them.
+   * @param {object} workspace - From readWorkspaceBundle().
+   * @param {string} fileName - For messages.
+   */
+  function applyWorkspace(workspace, fileName) {
+      const profile = getActiveProfile();
+      const hasData = state.lists.followers.size > 0 || state.lists.following.size > 0 || state.ignored.size > 0 ||
+          Object.keys(state.annotations).length > 0 || Object.keys(state.reviewDecisions).length > 0;
+      if (hasData && !window.confirm(`Replace the lists, tags, ignore list and review decisions of "${profile.name}" with "${fileName}"?`)) return;
+
+      [...activeJobs.keys()].forEach(cancelLoadJob);
+      Object.assign(state, {
+          lists: workspace.lists,
+          annotations: workspace.annotations,
+          ignored: new Set(workspace.ignored),
+          reviewDecisions: workspace.reviewDecisions,
+          reviewQueue: [],
+          // Counts as uploaded, but isn't a new export to snapshot or check review decisions against
+          uploaded: { followers: workspace.lists.followers.size > 0, following: workspace.lists.following.size > 0 },
+          freshData: { followers: false, following: false },
+          importReport: { files: {}, sources: {} }
+      });
+      saveStoredJson(profileStorageKey('annotations'), state.annotations);
+      saveStoredJson(profileStorageKey('reviewDecisions'), state.reviewDecisions);
+      saveIgnoreList();
+      resetFileInputs();
+      renderImportReport();
+
+      if (state.lists.followers.size > 0 && state.lists.following.size > 0) {
+          processLoadedData();
+      } else {
+          calculateModeUsers();
+          refreshIgnoredResults();
+          renderFollowTimeline();
+      }
+      const from = workspace.profileName ? ` (${workspace.profileName})` : '';
+      showToast(`Imported workspace "${fileName}"${from}.`, "success");
+  }
+
+
+  // -------------------------------------------------------------------------
+  // SECTION: API Integration (REMOVED)
+  // -------------------------------------------------------------------------
+
+  // Functions redirectToInstagramAuth, handleAPIAuth, getAccessToken,
+  // fetchRelationships, processAPIData have been removed or commented out.
+
+
+  // -------------------------------------------------------------------------
+  // SECTION: UI Rendering & Updates
+  // -------------------------------------------------------------------------
+
+  /**
+   * Updates the statistics displayed on the page.
+   */
+  function updateStatistics() {
+      if (!dom.stats.followers || !dom.stats.following || !dom.stats.mode) return;
+      dom.stats.followers.textContent = state.lists.followers.size;
+      dom.stats.following.textContent = state.lists.following.size;
+      dom.stats.mode.textContent = state.users.length;
+      if (dom.ignoredCountLabel) {
+          dom.ignoredCountLabel.textContent = state.modeUsers.filter(user => state.ignored.has(user)).length;
+      }
+  }
+
+  /**
+   * Renders the users of the current relationship mode in the container.
+   * Applies current search filter and sort order.
+   */
+  function renderResults() {
+      if (!dom.container) return;
+
+      // Parse the search query (syntax: SECTION: Search Queries in analyzer-core.js)
+      const searchTerm = dom.searchInput ? dom.searchInput.value.trim() : '';
+      let queryError = null;
+      try {
+          state.searchQuery = parseSearchQuery(searchTerm, { savedQueries: state.savedQueries });
+      } catch (error) {
+          if (error.name !== 'SearchQueryError') throw error;
+          state.searchQuery = null;
+          queryError = error.message;
+      }
+      if (dom.searchInput) {
+          dom.searchInput.classList.toggle('invalid', queryError !== null);
+          dom.searchInput.setAttribute('aria-invalid', queryError !== null);
+      }
+
+      // Start from the active filter chip (everyone in the current mode by default)
+      const activeFilter = getActiveListFilter();
+      const baseUsers = (activeFilter ? activeFilter.select() : state.users)
+          .filter(user => state.showIgnored || !state.ignored.has(user));
+
+      // Filter users based on the query
+      const searchContext = { lists: state.lists, annotations: state.annotations };
+      const filteredUsers = queryError !== null ? [] : baseUsers.filter(user =>
+          matchSearchQuery(state.searchQuery, user, searchContext)
+      );
+
+      // Sort the filtered list (tags or ignored status may have changed since state.users was sorted)
+      sortUsers(filteredUsers);
+
+      if (filteredUsers.length === 0) {
+          // Clear previous results
+          dom.container.innerHTML = '';
+          state.visibleUsers = [];
+          state.activeIndex = -1;
+          dom.container.removeAttribute('aria-activedescendant');
+
+          if (queryError !== null) {
+              const message = document.createElement('p');
+              message.className = 'info search-error';
+              message.textContent = `Can't run this search: ${queryError}`;
+              dom.container.appendChild(message);
+          } else if (baseUsers.length > 0 && searchTerm) {
+              dom.container.innerHTML = '<p class="info">No users match your search.</p>';
+          } else if (activeFilter) {
+              dom.container.innerHTML = '<p class="info">No accounts in this category.</p>';
+          } else if (state.lists.followers.size > 0 || state.lists.following.size > 0) {
+               // Only show the mode's empty message (e.g. "Everyone follows back") if data was actually processed
+               dom.container.innerHTML = `<p class="info">${getRelationshipMode().empty}</p>`;
+          } else {
+               // Initial state or error state before data load
+               // Keep the loader or initial message if appropriate
+               if (!state.isDataProcessing && dom.container.querySelector('.loader')) {
+                    dom.container.innerHTML = '<p class="info">Upload your followers & following JSON files to begin.</p>';
+               } else if (!dom.container.querySelector('.loader')) {
+                    // If loader was cleared due to an error or initial load failure
+                    dom.container.innerHTML = '<p class="info">Upload your followers & following JSON files to begin.</p>';
+               }
+               // Otherwise, let the loader stay if it's still processing
+          }
+      } else {
+          renderVirtualList(filteredUsers);
+      }
+      pruneSelection();
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Sorting (multi-column, kept in the URL so shared links keep the order)
+  // -------------------------------------------------------------------------
+
+  /**
+   * Reads sort levels from a "sort" query parameter such as "-followedAt,username"
+   * ('-' for descending). Unknown and repeated keys are dropped.
+   * @param {string|null} text
+   * @returns {Array<{key: string, descending: boolean}>|null} - null if nothing usable.
+   */
+  function parseSortParam(text) {
+      const levels = [];
+      (text || '').split(',').forEach(part => {
+          const key = part.trim().replace(/^-/, '');
+          if (SORT_KEYS.some(sortKey => sortKey.id === key) && !levels.some(level => level.key === key)) {
+              levels.push({ key, descending: part.trim().startsWith('-') });
+          }
+      });
+      return levels.length > 0 ? levels.slice(0, MAX_SORT_LEVELS) : null;
+  }
+
+  /**
+   * Formats sort levels as a "sort" query parameter value.
+   * @param {Array<{key: string, descending: boolean}>} levels
+   * @returns {string}
+   */
+  function formatSortParam(levels) {
+      return levels.map(level => (level.descending ? '-' : '') + level.key).join(',');
+  }
+
+  /**
+   * The sort order in the page's URL, or the default.
+   * @returns {Array<{key: string, descending: boolean}>}
+   */
+  function readSortFromUrl() {
+      return parseSortParam(new URLSearchParams(window.location.search).get('sort')) || DEFAULT_SORT.map(level => ({ ...level }));
+  }
+
+  /**
+   * Puts the sort order in the URL (without a new history entry); the default order leaves it out.
+   */
+  function writeSortToUrl() {
+      const url = new URL(window.location.href);
+      const value = formatSortParam(state.sort);
+      if (value === formatSortParam(DEFAULT_SORT)) {
+          url.searchParams.delete('sort');
+      } else {
+          url.searchParams.set('sort', value);
+      }
+      try {
+          history.replaceState(history.state, '', url);
+      } catch (error) {
+          console.warn("Could not store the sort order in the URL:", error); // Some browsers refuse on file:// pages
+      }
+  }
+
+  /**
+   * Sorts usernames in place by the sort levels, then by username.
+   * @param {string[]} users
+   * @returns {string[]} - The same array.
+   */
+  function sortUsers(users) {
+      const levels = state.sort.map(level => ({
+          ...level,
+          sortKey: SORT_KEYS.find(sortKey => sortKey.id === level.key),
+          values: new Map() // Computed once per account
+      }));
+      const valueOf = (level, user) => {
+          if (!level.values.has(user)) level.values.set(user, level.sortKey.value(user));
+          return level.values.get(user);
+      };
+      return users.sort((a, b) => {
+          for (const level of levels) {
+              const valueA = valueOf(level, a);
+              const valueB = valueOf(level, b);
+              if (valueA === valueB) continue;
+              if (valueA === null) return 1;
+              if (valueB === null) return -1;
+              const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+              if (order !== 0) return level.descending ? -order : order;
+          }
+          return a.localeCompare(b);
+      });
+  }
+
+  /**
+   * Changes the key of one sort level; an empty key removes that level and the ones after it.
+   * @param {number} levelIndex
+   * @param {string} key - A SORT_KEYS id, or '' for none.
+   */
+  function setSortKey(levelIndex, key) {
+      const levels = state.sort.slice(0, levelIndex);
+      if (key) {
+          levels.push({ key, descending: false }); // The directions mean something else for each key
+          // Keep the later levels that don't repeat a key
+          state.sort.slice(levelIndex + 1).forEach(level => {
+              if (!levels.some(existing => existing.key === level.key)) levels.push(level);
+          });
+      }
+      state.sort = levels.length > 0 ? levels : DEFAULT_SORT.map(level => ({ ...level }));
+      applySort();
+  }
+
+  /**
+   * Reverses one sort level.
+   * @param {number} levelIndex
+   */
+  function toggleSortDirection(levelIndex) {
+      const level = state.sort[levelIndex];
+      if (!level) return;
+      level.descending = !level.descending;
+      applySort();
+  }
+
+  /**
+   * Re-sorts the results after the sort order changed.
+   */
+  function applySort() {
+      writeSortToUrl();
+      renderSortControls();
+      sortUsers(state.modeUsers);
+      applyIgnoreList(); // state.users (and so the exports) follow the new order
+      renderResults();
+  }
+
+  /**
+   * Fills the sort dropdowns and direction buttons from state.sort. Level 0 always has a
+   * key; a "then by" level can be "None" and only shows once the level before it is set.
+   */
+  function renderSortControls() {
+      if (!dom.sortControls) return;
+      dom.sortControls.querySelectorAll('select[data-sort-level]').forEach(select => {
+          const levelIndex = Number(select.getAttribute('data-sort-level'));
+          const level = state.sort[levelIndex];
+          // Keys of earlier levels would have no effect here
+          const usedKeys = state.sort.slice(0, levelIndex).map(earlier => earlier.key);
+          const options = SORT_KEYS.filter(sortKey => !usedKeys.includes(sortKey.id))
+              .map(sortKey => [sortKey.id, sortKey.label]);
+          if (levelIndex > 0) options.unshift(['', 'None']);
+          select.innerHTML = '';
+          options.forEach(([value, label]) => select.add(new Option(label, value)));
+          select.value = level ? level.key : '';
+
+          const wrapper = select.closest('.sort-level');
+          if (wrapper) wrapper.hidden = levelIndex > state.sort.length;
+          const button = dom.sortControls.querySelector(`button[data-sort-level="${levelIndex}"]`);
+          if (!button) return;
+          const sortKey = SORT_KEYS.find(candidate => candidate.id === level?.key);
+          button.hidden = !sortKey;
+          if (sortKey) {
+              button.innerHTML = `<i class="fas fa-sort-amount-${level.descending ? 'down' : 'up'}"></i> `;
+              button.appendChild(document.createTextNode(sortKey.directions[level.descending ? 1 : 0]));
+              button.title = `Switch to ${sortKey.directions[level.descending ? 0 : 1]}`;
+          }
+      });
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Virtual List (only the rows in view are mounted)
+  // -------------------------------------------------------------------------
+
+  let virtualRange = { first: -1, last: -1 }; // Rows currently mounted
+  let virtualFrameRequested = false;
+
+  /**
+   * Shows a list of usernames in the results container as a windowed list.
+   * Keeps the keyboard-selected user (or else the scroll offset) across re-sorts and searches.
+   * @param {string[]} users - Filtered & sorted usernames.
+   */
+  function renderVirtualList(users) {
+      const activeUser = state.visibleUsers[state.activeIndex];
+      const previousScrollTop = dom.container.scrollTop;
+
+      let spacer = dom.container.querySelector('.virtual-spacer');
+      if (!spacer) {
+          // Replace messages / previous content with the list structure
+          dom.container.innerHTML = '';
+          spacer = document.createElement('div');
+          spacer.className = 'virtual-spacer';
+          const windowElement = document.createElement('div');
+          windowElement.className = 'virtual-window';
+          spacer.appendChild(windowElement);
+          dom.container.appendChild(spacer);
+      }
+      // Drop leftover messages (errors, "no results") but keep the loader
+      [...dom.container.children].forEach(child => {
+          if (child !== spacer && !child.classList.contains('loader')) child.remove();
+      });
+
+      state.visibleUsers = users;
+      state.activeIndex = activeUser ? users.indexOf(activeUser) : -1;
+      spacer.style.height = `${users.length * CONFIG.rowHeight}px`;
+
+      if (state.activeIndex !== -1) {
+          scrollRowIntoView(state.activeIndex);
+      } else {
+          dom.container.scrollTop = previousScrollTop; // Browser clamps to the new height
+      }
+      renderVirtualWindow(true);
+  }
+
+  /**
+   * Mounts the rows visible in the container's viewport (plus overscan).
+   * @param {boolean} [force=false] - Re-render even if the visible range didn't change.
+   */
+  function renderVirtualWindow(force = false) {
+      const windowElement = dom.container?.querySelector('.virtual-window');
+      if (!windowElement) return;
+
+      const users = state.visibleUsers;
+      // clientHeight is 0 before layout (e.g. hidden container); assume a typical viewport
+      const viewportHeight = dom.container.clientHeight || 600;
+      const scrollTop = dom.container.scrollTop;
+      const first = Math.max(0, Math.floor(scrollTop / CONFIG.rowHeight) - CONFIG.overscanRows);
+      const last = Math.min(users.length, Math.ceil((scrollTop + viewportHeight) / CONFIG.rowHeight) + CONFIG.overscanRows);
+
+      if (!force && first === virtualRange.first && last === virtualRange.last) return;
+      virtualRange = { first, last };
+
+      const fragment = document.createDocumentFragment();
+      for (let index = first; index < last; index++) {
+          const row = createUserElement(users[index]);
+          row.id = `user-row-${index}`;
+          row.setAttribute('data-index', index);
+          row.setAttribute('role', 'option');
+          row.setAttribute('aria-selected', index === state.activeIndex ? 'true' : 'false');
+          if (index === state.activeIndex) row.classList.add('active');
+          fragment.appendChild(row);
+      }
+      windowElement.style.transform = `translateY(${first * CONFIG.rowHeight}px)`;
+      windowElement.replaceChildren(fragment);
+
+      if (state.activeIndex !== -1) {
+          dom.container.setAttribute('aria-activedescendant', `user-row-${state.activeIndex}`);
+      } else {
+          dom.container.removeAttribute('aria-activedescendant');
+      }
+  }
+
+  /**
+   * Re-renders the visible rows on the next animation frame (scroll/resize handler).
+   */
+  function scheduleVirtualWindowRender() {
+      if (virtualFrameRequested) return;
+      virtualFrameRequested = true;
+      requestAnimationFrame(() => {
+          virtualFrameRequested = false;
+          renderVirtualWindow();
+      });
+  }
+
+  /**
+   * Scrolls the container just enough to show a row.
+   * @param {number} index - Row index in state.visibleUsers.
+   */
+  function scrollRowIntoView(index) {
+      const rowTop = index * CONFIG.rowHeight;
+      const rowBottom = rowTop + CONFIG.rowHeight;
+      const viewportHeight = dom.container.clientHeight || 600;
+      if (rowTop < dom.container.scrollTop) {
+          dom.container.scrollTop = rowTop;
+      } else if (rowBottom > dom.container.scrollTop + viewportHeight) {
+          dom.container.scrollTop = rowBottom - viewportHeight;
+      }
+  }
+
+  /**
+   * Selects a row for keyboard actions and brings it into view.
+   * @param {number} index - Row index in state.visibleUsers.
+   */
+  function setActiveRow(index) {
+      if (state.visibleUsers.length === 0) return;
+      state.activeIndex = Math.min(Math.max(index, 0), state.visibleUsers.length - 1);
+      scrollRowIntoView(state.activeIndex);
+      renderVirtualWindow(true);
+  }
+
+  /**
+   * Keyboard navigation for the results list:
+   * arrows/Page/Home/End move the selection, Space ticks the row (Shift+Space a range),
+   * Enter opens the profile, "c" copies the username.
+   * @param {KeyboardEvent} event
+   */
+  function handleListKeydown(event) {
+      if (state.visibleUsers.length === 0) return;
+      // Leave keys alone while a button or link inside a row has focus
+      if (event.target.closest('button, a, input, textarea, select')) return;
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+      const pageRows = Math.max(1, Math.floor((dom.container.clientHeight || 600) / CONFIG.rowHeight) - 1);
+      const current = state.activeIndex;
+      const username = state.visibleUsers[current];
+
+      switch (event.key) {
+          case 'ArrowDown':
+              setActiveRow(current + 1);
+              break;
+          case 'ArrowUp':
+              setActiveRow(current === -1 ? 0 : current - 1);
+              break;
+          case 'PageDown':
+              setActiveRow(current + pageRows);
+              break;
+          case 'PageUp':
+              setActiveRow(current - pageRows);
+              break;
+          case 'Home':
+              setActiveRow(0);
+              break;
+          case 'End':
+              setActiveRow(state.visibleUsers.length - 1);
+              break;
+          case 'Enter':
+              if (!username) return;
+              window.open(`https://www.instagram.com/${username}/`, '_blank', 'noopener,noreferrer');
+              break;
+          case 'c':
+          case 'C':
+              if (!username) return;
+              copyUsername(username);
+              break;
+          case ' ':
+              if (!username) return;
+              toggleSelected(username, !state.selected.has(username), event.shiftKey);
+              break;
+          default:
+              return; // Let other keys through
+      }
+      event.preventDefault();
+  }
+
+
+  // -------------------------------------------------------------------------
+  // SECTION: Bulk Selection (row checkboxes and the batch action bar)
+  // -------------------------------------------------------------------------
+
+  let bulkOpenCooldown = null; // Timer while "Open in tabs" waits before the next group
+
+  /**
+   * The selected usernames: the ones in view in list order, then those hidden by the search or filters.
+   * @returns {string[]}
+   */
+  function getSelectedUsers() {
+      const inView = state.visibleUsers.filter(user => state.selected.has(user));
+      const shown = new Set(inView);
+      return inView.concat(state.modeUsers.filter(user => state.selected.has(user) && !shown.has(user)));
+  }
+
+  /**
+   * Ticks or unticks an account. With `range`, every row between the last ticked account and this one follows.
+   * @param {string} username
+   * @param {boolean} selected
+   * @param {boolean} [range=false] - Shift-click / Shift+Space.
+   */
+  function toggleSelected(username, selected, range = false) {
+      const anchorIndex = range ? state.visibleUsers.indexOf(state.selectionAnchor) : -1;
+      const index = state.visibleUsers.indexOf(username);
+      const users = anchorIndex !== -1 && index !== -1
+          ? state.visibleUsers.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+          : [username];
+      users.forEach(user => {
+          if (selected) state.selected.add(user);
+          else state.selected.delete(user);
+      });
+      state.selectionAnchor = username;
+      selectionChanged();
+  }
+
+  /**
+   * Ticks every account currently shown (after search & filter chips).
+   */
+  function selectFilteredUsers() {
+      if (state.visibleUsers.length === 0) {
+          showToast("No accounts to select in the current view.", "info");
+          return;
+      }
+      state.visibleUsers.forEach(user => state.selected.add(user));
+      state.selectionAnchor = null;
+      selectionChanged();
+      showToast(`Selected ${state.visibleUsers.length} accounts.`, "info");
+  }
+
+  /**
+   * Unticks everything.
+   */
+  function clearSelection() {
+      state.selected.clear();
+      state.selectionAnchor = null;
+      selectionChanged();
+  }
+
+  /**
+   * Drops selected accounts that left the current mode (new export, mode or profile switch).
+   * Called after every render of the results.
+   */
+  function pruneSelection() {
+      if (state.selected.size > 0) {
+          const modeUsers = new Set(state.modeUsers);
+          const before = state.selected.size;
+          state.selected.forEach(user => {
+              if (!modeUsers.has(user)) state.selected.delete(user);
+          });
+          if (state.selected.size !== before) state.bulkOpenQueue = [];
+      }
+      updateBulkActionBar();
+  }
+
+  /**
+   * Redraws the checkboxes and the action bar; a new selection restarts "Open in tabs".
+   */
+  function selectionChanged() {
+      state.bulkOpenQueue = [];
+      renderVirtualWindow(true);
+      updateBulkActionBar();
+  }
+
+  /**
+   * Shows the action bar with the selection count while anything is selected.
+   */
+  function updateBulkActionBar() {
+      if (!dom.bulkActionBar) return;
+      const count = state.selected.size;
+      dom.bulkActionBar.hidden = count === 0;
+      if (count === 0) return;
+
+      const hidden = count - state.visibleUsers.filter(user => state.selected.has(user)).length;
+      dom.bulkSelectionCount.textContent = `${count} selected` + (hidden > 0 ? ` (${hidden} not shown)` : '');
+      if (dom.bulkOpenButton) {
+          const left = state.bulkOpenQueue.length;
+          dom.bulkOpenButton.querySelector('.bulk-open-label').textContent = left > 0
+              ? `Open next ${Math.min(left, CONFIG.bulkOpenGroupSize)} (${left} left)`
+              : 'Open in tabs';
+      }
+  }
+
+  /**
+   * Handles a button of the action bar.
+   * @param {string} action - 'copy', 'export', 'tag', 'ignore', 'review', 'open' or 'clear'.
+   */
+  function handleBulkAction(action) {
+      const users = getSelectedUsers();
+      if (users.length === 0) return;
+
+      switch (action) {
+          case 'copy':
+              navigator.clipboard.writeText(users.map(user => `@${user}`).join('\n'))
+                  .then(() => showToast(`Copied ${users.length} usernames to clipboard!`, 'success'))
+                  .catch(err => {
+                      console.error('Failed to copy usernames: ', err);
+                      showToast('Failed to copy usernames.', 'error');
+                  });
+              break;
+          case 'export':
+              showExportModal({ label: 'Selected accounts', fileName: 'selected_accounts', users });
+              break;
+          case 'tag':
+              tagSelectedUsers(users);
+              break;
+          case 'ignore': {
+              if (!confirm(`Ignore the ${users.length} selected accounts?`)) return;
+              clearSelection();
+              const added = ignoreUsers(users);
+              showToast(`Ignored ${added} accounts.`, "success");
+              break;
+          }
+          case 'review':
+              openReviewQueue(users);
+              break;
+          case 'open':
+              openSelectedProfiles(users);
+              break;
+          case 'clear':
+              clearSelection();
+              break;
+      }
+  }
+
+  /**
+   * Asks for tags and adds them to every selected account, keeping their existing tags and notes.
+   * @param {string[]} users
+   */
+  function tagSelectedUsers(users) {
+      const knownTags = getKnownTags().slice(0, 5);
+      const input = window.prompt(`Tags to add to ${users.length} accounts (comma-separated)` +
+          (knownTags.length > 0 ? `\nIn use: ${knownTags.join(', ')}` : '') + ':', '');
+      if (input === null) return;
+      const tags = parseTags(input);
+      if (tags.length === 0) {
+          showToast("Enter at least one tag.", "warning");
+          return;
+      }
+      // Written in one go instead of setAnnotation per account: selections can hold thousands
+      users.forEach(username => {
+          const annotation = getAnnotation(username);
+          state.annotations[username] = { tags: [...new Set(annotation.tags.concat(tags))], note: annotation.note };
+      });
+      saveStoredJson(profileStorageKey('annotations'), state.annotations);
+      renderResults();
+      showToast(`Tagged ${users.length} accounts with ${tags.join(', ')}.`, "success");
+  }
+
+  /**
+   * Opens the next group of selected profiles in new tabs. Each click opens
+   * CONFIG.bulkOpenGroupSize of them, then the button pauses for CONFIG.bulkOpenCooldownMs:
+   * browsers only allow pop-ups from a click, and Instagram rate-limits bursts of profile views.
+   * @param {string[]} users - The selection, used when no group is pending.
+   */
+  function openSelectedProfiles(users) {
+      if (bulkOpenCooldown) return;
+      if (state.bulkOpenQueue.length === 0) state.bulkOpenQueue = users.slice();
+
+      const group = state.bulkOpenQueue.splice(0, CONFIG.bulkOpenGroupSize);
+      const blocked = [];
+      group.forEach(username => {
+          // No 'noopener' feature: window.open would return null and hide blocked pop-ups
+          const tab = window.open(`https://www.instagram.com/${username}/`, '_blank');
+          if (tab) tab.opener = null;
+          else blocked.push(username);
+      });
+      state.bulkOpenQueue = blocked.concat(state.bulkOpenQueue);
+
+      const left = state.bulkOpenQueue.length;
+      if (blocked.length > 0) {
+          showToast("Your browser blocked the new tabs. Allow pop-ups for this page, then click again.", "warning");
+      } else if (left > 0) {
+          showToast(`Opened ${group.length} profiles, ${left} left. Click again for the next group.`, "info");
+      } else {
+          showToast(`Opened ${group.length} profiles.`, "success");
+      }
+      updateBulkActionBar();
+
+      if (left > 0 && blocked.length === 0 && dom.bulkOpenButton) {
+          dom.bulkOpenButton.disabled = true;
+          bulkOpenCooldown = setTimeout(() => {
+              bulkOpenCooldown = null;
+              dom.bulkOpenButton.disabled = false;
+          }, CONFIG.bulkOpenCooldownMs);
+      }
+  }
+
+
+  // -------------------------------------------------------------------------
+  // SECTION: Ignore List (persisted in localStorage next to the theme)
+  // -------------------------------------------------------------------------
+
+  /**
+   * Derives state.users from state.modeUsers and the ignore list.
+   */
+  function applyIgnoreList() {
+      state.users = state.showIgnored
+          ? state.modeUsers.slice()
+          : state.modeUsers.filter(user => !state.ignored.has(user));
+  }
+
+  /**
+   * Re-applies the ignore list and refreshes everything that shows the results.
+   */
+  function refreshIgnoredResults() {
+      applyIgnoreList();
+      updateStatistics();
+      renderListFilters();
+      renderResults();
+      generateSmartSuggestions();
+  }
+
+  /**
+   * Persists the ignore list.
+   */
+  function saveIgnoreList() {
+      saveStoredJson(profileStorageKey('ignoreList'), [...state.ignored].sort());
+  }
+
+  /**
+   * Adds usernames to the ignore list.
+   * @param {string[]} usernames
+   * @returns {number} - How many were newly ignored.
+   */
+  function ignoreUsers(usernames) {
+      const before = state.ignored.size;
+      usernames.forEach(username => state.ignored.add(normalizeUsername(username)));
+      saveIgnoreList();
+      refreshIgnoredResults();
+      return state.ignored.size - before;
+  }
+
+  /**
+   * Ignores or un-ignores a single account (per-row action).
+   * @param {string} username
+   */
+  function toggleIgnored(username) {
+      if (state.ignored.has(username)) {
+          state.ignored.delete(username);
+          saveIgnoreList();
+          refreshIgnoredResults();
+          showToast(`@${username} is no longer ignored.`, "info");
+      } else {
+          ignoreUsers([username]);
+          showToast(`Ignoring @${username}.`, "info");
+      }
+  }
+
+  /**
+   * Bulk-ignores every account currently shown (after search & filter chips).
+   */
+  function ignoreFilteredUsers() {
+      const users = state.visibleUsers.filter(user => !state.ignored.has(user));
+      if (users.length === 0) {
+          showToast("No accounts to ignore in the current view.", "info");
+          return;
+      }
+      if (!confirm(`Ignore all ${users.length} accounts in the current view?`)) return;
+      const added = ignoreUsers(users);
+      showToast(`Ignored ${added} accounts.`, "success");
+  }
+
+  /**
+   * Downloads the ignore list as a text file, one username per line.
+   */
+  function exportIgnoreList() {
+      if (state.ignored.size === 0) {
+          showToast("The ignore list is empty.", "info");
+          return;
+      }
+      downloadFile([...state.ignored].sort().join('\n') + '\n', `instagram_ignore_list_${todayStamp()}.txt`, 'text/plain');
+  }
+
+  /**
+   * Merges an ignore list file into the current one.
+   * Accepts one username per line (with or without '@', '#' comments allowed) or a JSON array.
+   * @param {Event} event - The file input change event.
+   */
+  async function importIgnoreList(event) {
+      const file = event.target.files[0];
+      if (!file) return;
+
+      try {
+          const usernames = parseUsernameList(await file.text());
+          if (usernames.length === 0) throw new Error('No usernames found.');
+          const added = ignoreUsers(usernames);
+          showToast(`Imported ${usernames.length} usernames (${added} new).`, "success");
+      } catch (error) {
+          showToast(`Could not import "${file.name}": ${error.message}`, "error");
+      } finally {
+          event.target.value = null; // Allow importing the same file again
+      }
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Tags & Notes (persisted in localStorage, keyed by username so they
+  // carry over to new exports)
+  // -------------------------------------------------------------------------
+
+  /**
+   * Returns the tags and note for an account.
+   * @param {string} username
+   * @returns {{tags: string[], note: string}}
+   */
+  function getAnnotation(username) {
+      const annotation = state.annotations[username];
+      return { tags: annotation?.tags || [], note: annotation?.note || '' };
+  }
+
+  /**
+   * Stores the tags and note for an account; empty annotations are removed.
+   * @param {string} username
+   * @param {string[]} tags
+   * @param {string} note
+   */
+  function setAnnotation(username, tags, note) {
+      if (tags.length === 0 && !note) {
+          delete state.annotations[username];
+      } else {
+          state.annotations[username] = { tags, note };
+      }
+      saveStoredJson(profileStorageKey('annotations'), state.annotations);
+  }
+
+  /**
+   * Splits and normalizes comma-separated tags (see AnalyzerCore.normalizeTags).
+   * @param {string} text - Comma-separated tags.
+   * @returns {string[]}
+   */
+  function parseTags(text) {
+      return normalizeTags(text.split(','));
+  }
+
+  /**
+   * Every tag in use, most used first.
+   * @returns {string[]}
+   */
+  function getKnownTags() {
+      const counts = new Map();
+      Object.values(state.annotations).forEach(({ tags }) => {
+          tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+      });
+      return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+  }
+
+  /**
+   * Opens the tags & note editor for an account.
+   * @param {string} username
+   */
+  function openAnnotationEditor(username) {
+      if (!dom.annotationModal) return;
+      const annotation = getAnnotation(username);
+      state.annotationTarget = username;
+      dom.annotationTitle.textContent = `Tags & note for @${username}`;
+      dom.annotationTagsInput.value = annotation.tags.join(', ');
+      dom.annotationNoteInput.value = annotation.note;
+      dom.annotationKnownTags.innerHTML = '';
+      getKnownTags().forEach(tag => {
+          const chip = document.createElement('button');
+          chip.type = 'button';
+          chip.className = 'tag-pill';
+          chip.textContent = tag;
+          dom.annotationKnownTags.appendChild(chip);
+      });
+      dom.annotationModal.style.display = 'block';
+      dom.annotationTagsInput.focus();
+  }
+
+  /**
+   * Appends a known tag to the tags input of the editor.
+   * @param {string} tag
+   */
+  function addTagToEditor(tag) {
+      const tags = parseTags(dom.annotationTagsInput.value);
+      if (!tags.includes(tag)) tags.push(tag);
+      dom.annotationTagsInput.value = tags.join(', ');
+      dom.annotationTagsInput.focus();
+  }
+
+  /**
+   * Saves the editor's tags & note and refreshes the list.
+   */
+  function saveAnnotationEditor() {
+      const username = state.annotationTarget;
+      if (!username) return;
+      setAnnotation(username, parseTags(dom.annotationTagsInput.value), dom.annotationNoteInput.value.trim());
+      closeAnnotationEditor();
+      renderResults();
+      showToast(`Saved tags & note for @${username}.`, "success");
+  }
+
+  /**
+   * Closes the tags & note editor without saving.
+   */
+  function closeAnnotationEditor() {
+      if (!dom.annotationModal) return;
+      dom.annotationModal.style.display = 'none';
+      state.annotationTarget = null;
+      if (dom.container) dom.container.focus({ preventScroll: true });
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Saved Searches (named queries, persisted in localStorage)
+  // -------------------------------------------------------------------------
+
+  // Names are used as saved:name inside other queries, so they're single words
+  const SAVED_QUERY_NAME_PATTERN = /^[\w.-]+$/;
+
+  /**
+   * Saves the search box's query under a name the user picks.
+   */
+  function saveCurrentQuery() {
+      const text = dom.searchInput ? dom.searchInput.value.trim() : '';
+      if (!text) {
+          showToast("Type a search to save first.", "info");
+          return;
+      }
+      try {
+          parseSearchQuery(text, { savedQueries: state.savedQueries });
+      } catch (error) {
+          showToast(`Can't save this search: ${error.message}`, "error");
+          return;
+      }
+
+      const name = prompt('Name this search (letters, digits, "_", "-" or "."):', '')?.trim();
+      if (!name) return;
+      if (!SAVED_QUERY_NAME_PATTERN.test(name)) {
+          showToast(`"${name}" can't be used as a name: use letters, digits, "_", "-" or ".".`, "error");
+          return;
+      }
+      const existing = Object.keys(state.savedQueries).find(key => key.toLowerCase() === name.toLowerCase());
+      if (existing !== undefined) {
+          if (!confirm(`Replace the saved search "${existing}"?`)) return;
+          delete state.savedQueries[existing];
+      }
+      state.savedQueries[name] = text;
+      saveStoredJson(profileStorageKey('savedQueries'), state.savedQueries);
+      renderSavedQueries();
+      showToast(`Saved search "${name}". Use it with saved:${name}.`, "success");
+  }
+
+  /**
+   * Puts a saved query in the search box and runs it.
+   * @param {string} name
+   */
+  function applySavedQuery(name) {
+      if (!dom.searchInput || !(name in state.savedQueries)) return;
+      dom.searchInput.value = state.savedQueries[name];
+      renderResults();
+  }
+
+  /**
+   * Deletes a saved query. Queries referring to it with saved:name stop working until it's saved again.
+   * @param {string} name
+   */
+  function deleteSavedQuery(name) {
+      if (!(name in state.savedQueries)) return;
+      delete state.savedQueries[name];
+      saveStoredJson(profileStorageKey('savedQueries'), state.savedQueries);
+      renderSavedQueries();
+      renderResults();
+      showToast(`Deleted saved search "${name}".`, "info");
+  }
+
+  /**
+   * Renders a chip per saved query below the search box.
+   */
+  function renderSavedQueries() {
+      if (!dom.savedQueriesContainer) return;
+      dom.savedQueriesContainer.innerHTML = '';
+      Object.keys(state.savedQueries).sort((a, b) => a.localeCompare(b)).forEach(name => {
+          const chip = document.createElement('span');
+          chip.className = 'filter-chip saved-query';
+          const applyButton = document.createElement('button');
+          applyButton.type = 'button';
+          applyButton.setAttribute('data-saved-query', name);
+          applyButton.title = state.savedQueries[name];
+          applyButton.innerHTML = '<i class="fas fa-bookmark"></i> ';
+          applyButton.appendChild(document.createTextNode(name));
+          const deleteButton = document.createElement('button');
+          deleteButton.type = 'button';
+          deleteButton.className = 'saved-query-delete';
+          deleteButton.setAttribute('data-delete-query', name);
+          deleteButton.setAttribute('aria-label', `Delete saved search ${name}`);
+          deleteButton.innerHTML = '&times;';
+          chip.append(applyButton, deleteButton);
+          dom.savedQueriesContainer.appendChild(chip);
+      });
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Unfollow Review Queue (manual, one account at a time)
+  // -------------------------------------------------------------------------
+
+  /**
+   * Whether an account has a final review decision (skips don't count).
+   * @param {string} username
+   * @returns {boolean}
+   */
+  function isReviewed(username) {
+      const review = state.reviewDecisions[username];
+      return Boolean(review) && review.decision !== 'skipped';
+  }
+
+  /**
+   * Number of accounts marked as unfollowed since local midnight.
+   * @returns {number}
+   */
+  function countUnfollowedToday() {
+      const midnight = new Date().setHours(0, 0, 0, 0);
+      return Object.values(state.reviewDecisions)
+          .filter(review => review.decision === 'unfollowed' && review.decidedAt >= midnight)
+          .length;
+  }
+
+  /**
+   * Builds the queue: unreviewed non-followers, never-seen accounts before skipped ones.
+   * @param {string|string[]|null} [startWith] - Account(s) to put first.
+   */
+  function buildReviewQueue(startWith = null) {
+      const pending = getNonFollowers().filter(user => !isReviewed(user));
+      const unseen = pending.filter(user => !state.reviewDecisions[user]);
+      const skipped = pending.filter(user => state.reviewDecisions[user])
+          .sort((a, b) => state.reviewDecisions[a].decidedAt - state.reviewDecisions[b].decidedAt);
+      state.reviewQueue = unseen.concat(skipped);
+      if (startWith) {
+          const first = [].concat(startWith);
+          state.reviewQueue = first.concat(state.reviewQueue.filter(user => !first.includes(user)));
+      }
+  }
+
+  /**
+   * Opens the review queue.
+   * @param {string|string[]|null} [startWith] - Account(s) to review first (from a row's Review button or a suggestion).
+   */
+  function openReviewQueue(startWith = null) {
+      if (!dom.reviewModal) return;
+      if (getNonFollowers().length === 0 && !startWith) {
+          showToast("No non-followers to review.", "info");
+          return;
+      }
+      buildReviewQueue(startWith);
+      dom.reviewDailyCapInput.value = state.reviewDailyCap;
+      dom.reviewModal.style.display = 'block';
+      renderReviewQueue();
+      dom.reviewActions.querySelector('button')?.focus();
+  }
+
+  /**
+   * Closes the review queue and refreshes the list to show the new decisions.
+   */
+  function closeReviewQueue() {
+      if (!dom.reviewModal) return;
+      dom.reviewModal.style.display = 'none';
+      renderResults();
+      if (dom.container) dom.container.focus({ preventScroll: true });
+  }
+
+  /**
+   * Renders progress, the current account, the daily counter and verification results.
+   */
+  function renderReviewQueue() {
+      if (!dom.reviewModal) return;
+
+      const nonFollowers = getNonFollowers();
+      const total = nonFollowers.length;
+      const reviewed = nonFollowers.filter(isReviewed).length;
+      dom.reviewProgressBar.max = Math.max(total, 1);
+      dom.reviewProgressBar.value = reviewed;
+      dom.reviewProgressLabel.textContent = `${reviewed} of ${total} non-followers reviewed`;
+
+      const unfollowedToday = countUnfollowedToday();
+      dom.reviewDailyLabel.textContent = `Unfollowed today: ${unfollowedToday} / ${state.reviewDailyCap}`;
+      dom.reviewDailyLabel.classList.toggle('warning', unfollowedToday >= state.reviewDailyCap * CONFIG.reviewCapWarningRatio);
+
+      const username = state.reviewQueue[0];
+      dom.reviewCurrent.innerHTML = '';
+      dom.reviewActions.querySelectorAll('button').forEach(button => { button.disabled = !username; });
+      if (!username) {
+          dom.reviewCurrent.innerHTML = '<p class="info">All caught up! 🎉 Every non-follower has been reviewed.</p>';
+      } else {
+          const link = document.createElement('a');
+          link.className = 'review-username';
+          link.href = `https://www.instagram.com/${username}/`;
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer';
+          link.textContent = `@${username}`;
+          dom.reviewCurrent.appendChild(link);
+
+          const { tags, note } = getAnnotation(username);
+          const previous = state.reviewDecisions[username];
+          const details = [
+              tags.length > 0 ? `Tags: ${tags.join(', ')}` : '',
+              note ? `Note: ${note}` : '',
+              previous ? `Previously ${previous.decision} on ${new Date(previous.decidedAt).toLocaleDateString()}` : '',
+              `${state.reviewQueue.length - 1} more in the queue`
+          ].filter(Boolean);
+          details.forEach(text => {
+              const line = document.createElement('p');
+              line.className = 'review-detail';
+              line.textContent = text;
+              dom.reviewCurrent.appendChild(line);
+          });
+      }
+
+      renderReviewVerification();
+  }
+
+  /**
+   * Lists accounts marked as unfollowed that the latest export still shows as followed.
+   */
+  function renderReviewVerification() {
+      const stillFollowing = Object.keys(state.reviewDecisions)
+          .filter(user => state.reviewDecisions[user].verified === 'still-following');
+      if (stillFollowing.length === 0) {
+          dom.reviewVerification.innerHTML = '';
+          return;
+      }
+      dom.reviewVerification.innerHTML = `
+          <p><i class="fas fa-exclamation-triangle"></i> ${stillFollowing.length} account(s) marked as unfollowed are still in your latest following list
+          (if that export was requested before you unfollowed, load a newer one):</p>
+          <p class="review-still-following"></p>
+          <button class="btn-small review-requeue-btn"><i class="fas fa-redo"></i> Put them back in the queue</button>`;
+      dom.reviewVerification.querySelector('.review-still-following').textContent =
+          stillFollowing.map(user => `@${user}`).join(', ');
+  }
+
+  /**
+   * Handles a review button: open the profile or record a decision.
+   * @param {string} action - 'open', 'unfollowed', 'kept' or 'skipped'.
+   */
+  function handleReviewAction(action) {
+      const username = state.reviewQueue[0];
+      if (!username) return;
+
+      if (action === 'open') {
+          window.open(`https://www.instagram.com/${username}/`, '_blank', 'noopener');
+          return;
+      }
+
+      if (action === 'unfollowed' && countUnfollowedToday() >= state.reviewDailyCap &&
+          !confirm(`You've already unfollowed ${state.reviewDailyCap} accounts today. Instagram may temporarily block further actions. Record this one anyway?`)) {
+          return;
+      }
+
+      // The export the decision was made with; verification waits for a newer one
+      state.reviewDecisions[username] = { decision: action, decidedAt: Date.now(), decidedWith: describeLoadedExport() };
+      saveStoredJson(profileStorageKey('reviewDecisions'), state.reviewDecisions);
+
+      // Done with this account; skipped ones come back at the end of the queue
+      state.reviewQueue.shift();
+      if (action === 'skipped') state.reviewQueue.push(username);
+      renderReviewQueue();
+
+      if (action === 'unfollowed' && countUnfollowedToday() === Math.ceil(state.reviewDailyCap * CONFIG.reviewCapWarningRatio)) {
+          showToast(`Heads up: ${countUnfollowedToday()} of your ${state.reviewDailyCap} daily unfollows used.`, "warning", 5000);
+      }
+  }
+
+  /**
+   * Keyboard shortcuts inside the review queue: O open, U unfollowed, K kept, S skip.
+   * @param {KeyboardEvent} event
+   */
+  function handleReviewKeydown(event) {
+      if (event.key === 'Escape') {
+          closeReviewQueue();
+          return;
+      }
+      if (event.target.closest('input, textarea, select') || event.ctrlKey || event.metaKey || event.altKey) return;
+      const action = { o: 'open', u: 'unfollowed', k: 'kept', s: 'skipped' }[event.key.toLowerCase()];
+      if (action) {
+          event.preventDefault();
+          handleReviewAction(action);
+      }
+  }
+
+  /**
+   * After a new export is loaded, checks whether the accounts marked as
+   * unfollowed really left the following list. Skipped for the export a decision
+   * was made with (or the newest snapshot) and for older exports.
+   */
+  function verifyUnfollowDecisions() {
+      if (!state.freshData.followers || !state.freshData.following) return;
+
+      // Loading the newest saved export again, or an older one, says nothing about unfollows since
+      const loaded = describeLoadedExport();
+      const isNotNewer = seen => isSameExport(seen, loaded) ||
+          (seen.exportDate !== null && loaded.exportDate !== null && loaded.exportDate < seen.exportDate);
+      const latest = state.snapshots[0];
+      if (latest && isNotNewer(latest)) return;
+
+      let confirmed = 0;
+      let stillFollowing = 0;
+      Object.entries(state.reviewDecisions).forEach(([username, review]) => {
+          if (review.decision !== 'unfollowed' || review.verified === 'left') return;
+          if (review.decidedWith && isNotNewer(review.decidedWith)) return; // No snapshot history, e.g. private browsing
+          if (state.lists.following.has(username)) {
+              review.verified = 'still-following';
+              stillFollowing++;
+          } else {
+              review.verified = 'left';
+              review.verifiedAt = Date.now();
+              confirmed++;
+          }
+      });
+      if (confirmed === 0 && stillFollowing === 0) return;
+
+      saveStoredJson(profileStorageKey('reviewDecisions'), state.reviewDecisions);
+      renderResults();
+      if (stillFollowing > 0) {
+          showToast(`${confirmed} unfollow(s) confirmed, ${stillFollowing} account(s) still followed. See the review queue.`, "warning", 6000);
+      } else {
+          showToast(`All ${confirmed} unfollow(s) confirmed by the new export.`, "success");
+      }
+  }
+
+  /**
+   * Clears the decisions of unfollowed accounts still being followed so they are reviewed again.
+   */
+  function requeueStillFollowing() {
+      Object.keys(state.reviewDecisions).forEach(username => {
+          if (state.reviewDecisions[username].verified === 'still-following') {
+              delete state.reviewDecisions[username];
+          }
+      });
+      saveStoredJson(profileStorageKey('reviewDecisions'), state.reviewDecisions);
+      buildReviewQueue(state.reviewQueue[0] || null);
+      renderReviewQueue();
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Relationship List Filters (chips above the results)
+  // -------------------------------------------------------------------------
+
+  // Each chip cross-references one of the optional lists with the analysis.
+  // `list` is the RELATIONSHIP_LISTS key the chip depends on.
+  const LIST_FILTERS = [
+      {
+          id: 'closeFriends', list: 'closeFriends', label: 'Close friends',
+          select: () => state.users.filter(user => state.lists.closeFriends.has(user))
+      },
+      {
+          id: 'restricted', list: 'restricted', label: 'Restricted',
+          select: () => state.users.filter(user => state.lists.restricted.has(user))
+      },
+      {
+          id: 'pendingRequests', list: 'pendingRequests', label: 'Pending requests never accepted',
+          select: () => setDifference(state.lists.pendingRequests, state.lists.following)
+      },
+      {
+          id: 'recentlyUnfollowed', list: 'recentlyUnfollowed', label: 'Unfollowed but still follow you',
+          select: () => [...state.lists.recentlyUnfollowed.keys()].filter(user => state.lists.followers.has(user))
+      },
+      {
+          id: 'blocked', list: 'blocked', label: 'Blocked',
+          select: () => [...state.lists.blocked.keys()]
+      },
+      {
+          id: 'removedSuggestions', list: 'removedSuggestions', label: 'Removed suggestions',
+          select: () => [...state.lists.removedSuggestions.keys()]
+      }
+  ];
 
   /**
-   * Updates the statistics displayed on the page.
+   * Returns the active filter chip definition, or null for everyone in the current mode.
+   * @returns {object|null}
    */
-  function updateStatistics() {
-      if (!dom.stats.followers || !dom.stats.following || !dom.stats.nonFollowers) return;
-      dom.stats.followers.textContent = state.followers.size;
-      dom.stats.following.textContent = state.following.size;
-      dom.stats.nonFollowers.textContent = state.nonFollowers.length;
+  function getActiveListFilter() {
+      if (state.activeListFilter === 'suggestion' && state.suggestionFilter) {
+          const { label, users } = state.suggestionFilter;
+          return { id: 'suggestion', label, select: () => state.users.filter(user => users.has(user)) };
+      }
+      return LIST_FILTERS.find(filter => filter.id === state.activeListFilter) || null;
   }
 
   /**
-   * Renders the list of non-followers in the container.
-   * Applies current search filter and sort order.
+   * Activates a filter chip and re-renders the results.
+   * @param {string} filterId - A LIST_FILTERS id, or 'all'.
    */
-  function renderResults() {
-      if (!dom.container) return;
-
-      // Get search term
-      const searchTerm = dom.searchInput ? dom.searchInput.value.toLowerCase() : '';
-
-      // Filter users based on search term
-      const filteredUsers = state.nonFollowers.filter(user =>
-          user.toLowerCase().includes(searchTerm)
-      );
-
-      // Sort the filtered list (state.nonFollowers is already sorted, but filter changes order)
-      filteredUsers.sort((a, b) => state.sortAsc ? a.localeCompare(b) : b.localeCompare(a));
-
-      // Clear previous results
-      dom.container.innerHTML = '';
+  function setListFilter(filterId) {
+      if (filterId !== 'suggestion') state.suggestionFilter = null;
+      state.activeListFilter = filterId;
+      renderListFilters();
+      renderResults();
+  }
 
-      if (filteredUsers.length === 0) {
-          if (state.nonFollowers.length > 0 && searchTerm) {
-              dom.container.innerHTML = '<p class="info">No users match your search.</p>';
-          } else if (state.followers.size > 0 || state.following.size > 0) {
-               // Only show "Everyone follows back" if data was actually processed
-               dom.container.innerHTML = '<p class="info">Everyone you follow follows you back! 🎉</p>';
-          } else {
-               // Initial state or error state before data load
-               // Keep the loader or initial message if appropriate
-               if (!state.isDataProcessing && dom.container.querySelector('.loader')) {
-                    dom.container.innerHTML = '<p class="info">Upload your followers & following JSON files to begin.</p>';
-               } else if (!dom.container.querySelector('.loader')) {
-                    // If loader was cleared due to an error or initial load failure
-                    dom.container.innerHTML = '<p class="info">Upload your followers & following JSON files to begin.</p>';
-               }
-               // Otherwise, let the loader stay if it's still processing
-          }
-      } else {
-          const fragment = document.createDocumentFragment();
-          filteredUsers.forEach(user => {
-              const userElement = createUserElement(user);
-              fragment.appendChild(userElement);
-          });
-          dom.container.appendChild(fragment);
+  /**
+   * Renders the filter chips with their counts.
+   * Chips for lists that weren't loaded are disabled.
+   */
+  function renderListFilters() {
+      if (!dom.listFiltersContainer) return;
+
+      // Fall back to "all" if the active chip's list was cleared
+      const active = getActiveListFilter();
+      if (active && active.list && state.lists[active.list].size === 0) state.activeListFilter = 'all';
+
+      const chips = [{ id: 'all', label: `All ${getRelationshipMode().noun}`, count: state.users.length, available: true }]
+          .concat(LIST_FILTERS.map(filter => {
+              const available = state.lists[filter.list].size > 0;
+              return { id: filter.id, label: filter.label, count: available ? filter.select().length : 0, available };
+          }));
+      const suggestionFilter = getActiveListFilter()?.id === 'suggestion' ? getActiveListFilter() : null;
+      if (suggestionFilter) {
+          chips.push({ id: 'suggestion', label: `Suggestion: ${suggestionFilter.label}`, count: suggestionFilter.select().length, available: true });
       }
+
+      dom.listFiltersContainer.innerHTML = '';
+      const fragment = document.createDocumentFragment();
+      chips.forEach(chip => {
+          const button = document.createElement('button');
+          button.className = 'filter-chip' + (chip.id === state.activeListFilter ? ' active' : '');
+          button.setAttribute('data-filter', chip.id);
+          button.disabled = !chip.available;
+          button.title = chip.available ? chip.label : 'This list was not loaded from your export';
+          button.textContent = chip.available ? `${chip.label} (${chip.count})` : chip.label;
+          fragment.appendChild(button);
+      });
+      dom.listFiltersContainer.appendChild(fragment);
   }
 
 
@@ -535,38 +3386,72 @@
     * @returns {HTMLElement} - The created user element (div).
     */
    function createUserElement(username) {
+       const isIgnored = state.ignored.has(username);
+       const isSelected = state.selected.has(username);
        const userDiv = document.createElement('div');
-       userDiv.className = 'user-item card'; // Added 'card' for consistency
+       userDiv.className = 'user-item card' + (isIgnored ? ' ignored' : '') + (isSelected ? ' selected' : ''); // Added 'card' for consistency
 
        const userInfo = document.createElement('div');
        userInfo.className = 'user-info';
 
+       // --- Batch Selection Checkbox ---
+       const checkbox = document.createElement('input');
+       checkbox.type = 'checkbox';
+       checkbox.className = 'select-checkbox';
+       checkbox.checked = isSelected;
+       checkbox.title = 'Select for a batch action (Shift-click to select a range)';
+       checkbox.setAttribute('aria-label', `Select @${username}`);
+       checkbox.setAttribute('data-username', username);
+       userInfo.appendChild(checkbox);
+
        const userLink = document.createElement('a');
        userLink.href = `https://www.instagram.com/${username}/`;
-       userLink.textContent = `@${username}`;
+       userLink.appendChild(document.createTextNode('@'));
+       appendHighlighted(userLink, username, searchQueryHighlights(state.searchQuery, username));
        userLink.target = '_blank'; // Open in new tab
        userLink.rel = 'noopener noreferrer'; // Security best practice
 
        userInfo.appendChild(userLink);
+
+       // --- Tags & Note ---
+       const annotation = getAnnotation(username);
+       annotation.tags.forEach(tag => {
+           const tagPill = document.createElement('span');
+           tagPill.className = 'tag-pill';
+           tagPill.textContent = tag;
+           userInfo.appendChild(tagPill);
+       });
+       const review = state.reviewDecisions[username];
+       if (review && review.decision !== 'skipped') {
+           const decisionPill = document.createElement('span');
+           decisionPill.className = `decision-pill decision-${review.decision}`;
+           decisionPill.textContent = review.verified === 'still-following' ? 'unfollowed?' : review.decision;
+           decisionPill.title = review.verified === 'still-following'
+               ? 'Marked as unfollowed, but still in the latest following list'
+               : `Marked as ${review.decision} on ${new Date(review.decidedAt).toLocaleDateString()}`;
+           userInfo.appendChild(decisionPill);
+       }
+       if (annotation.note) {
+           const noteSpan = document.createElement('span');
+           noteSpan.className = 'user-note';
+           noteSpan.title = annotation.note;
+           noteSpan.innerHTML = '<i class="fas fa-sticky-note"></i> ';
+           noteSpan.appendChild(document.createTextNode(annotation.note));
+           userInfo.appendChild(noteSpan);
+       }
        userDiv.appendChild(userInfo);
 
        const userActions = document.createElement('div');
        userActions.className = 'user-actions';
 
-       // --- Unfollow Button (Example - Requires API or manual action) ---
-       // This button doesn't actually unfollow via API anymore.
-       // It could be repurposed or removed. Keeping as a visual placeholder.
-       const unfollowButton = document.createElement('button');
-       unfollowButton.className = 'btn-small unfollow-btn'; // Add specific class if needed
-       unfollowButton.title = `Manually unfollow @${username} on Instagram`;
-       unfollowButton.innerHTML = '<i class="fas fa-user-minus"></i> Unfollow';
-       unfollowButton.onclick = () => {
-            // No actual API call here
-            showToast(`Open Instagram to unfollow @${username}`, 'info');
-            // Optionally open the profile link automatically:
-            // window.open(userLink.href, '_blank');
-       };
-       // userActions.appendChild(unfollowButton); // Uncomment if you want the placeholder button
+       // --- Review Button ---
+       // There's no unfollow API: this starts the manual review queue at this account.
+       const reviewButton = document.createElement('button');
+       reviewButton.className = 'btn-small review-btn';
+       reviewButton.title = `Review @${username} in the unfollow queue`;
+       reviewButton.innerHTML = '<i class="fas fa-user-minus"></i> Review';
+       reviewButton.setAttribute('data-username', username);
+       userActions.appendChild(reviewButton);
 
         // --- Copy Button ---
        const copyButton = document.createElement('button');
@@ -576,6 +3461,22 @@
        copyButton.setAttribute('data-username', username); // Store username for the handler
        userActions.appendChild(copyButton);
 
+        // --- Tags Button ---
+       const tagButton = document.createElement('button');
+       tagButton.className = 'btn-small tag-btn';
+       tagButton.title = `Edit tags and note for @${username}`;
+       tagButton.innerHTML = '<i class="fas fa-tag"></i> Tags';
+       tagButton.setAttribute('data-username', username);
+       userActions.appendChild(tagButton);
+
+        // --- Ignore Button ---
+       const ignoreButton = document.createElement('button');
+       ignoreButton.className = 'btn-small ignore-btn';
+       ignoreButton.title = isIgnored ? `Stop ignoring @${username}` : `Never list @${username} as a non-follower`;
+       ignoreButton.innerHTML = isIgnored ? '<i class="fas fa-eye"></i> Unignore' : '<i class="fas fa-eye-slash"></i> Ignore';
+       ignoreButton.setAttribute('data-username', username);
+       userActions.appendChild(ignoreButton);
+
        userDiv.appendChild(userActions);
 
        return userDiv;
@@ -629,37 +3530,100 @@
    }
 
 
-   /**
-    * Toggles the sort order of the results list and re-renders.
-    */
-   function toggleSort() {
-       state.sortAsc = !state.sortAsc;
-       // Update button text/icon
-       if (dom.sortToggleButton) {
-           const icon = dom.sortToggleButton.querySelector('i');
-           if (state.sortAsc) {
-               dom.sortToggleButton.innerHTML = '<i class="fas fa-sort-alpha-down"></i> Sort A-Z';
-               if (icon) icon.className = 'fas fa-sort-alpha-down';
-           } else {
-               dom.sortToggleButton.innerHTML = '<i class="fas fa-sort-alpha-up"></i> Sort Z-A';
-                if (icon) icon.className = 'fas fa-sort-alpha-up';
-           }
-       }
-       renderResults(); // Re-render the list with the new sort order
-   }
-
    /**
     * Displays the export modal.
     */
-   function showExportModal() {
-        if (state.nonFollowers.length === 0) {
-           showToast("No non-followers to export.", "info");
+   function showExportModal(subset = null) {
+        state.exportSubset = subset;
+        if (getExportUsers().length === 0) {
+           showToast(`No ${getRelationshipMode().noun} to export.`, "info");
            return;
         }
        if (dom.exportModal) {
+           if (dom.exportTitle) dom.exportTitle.textContent = subset ? `Export: ${subset.label}` : `Export ${getRelationshipMode().label}`;
            dom.exportModal.style.display = 'block';
+           renderExportColumns();
            updateExportPreview(); // Show initial preview
+           loadDetectionDates().then(updateExportPreview); // Fill in detection dates once the history is read
+       }
+   }
+
+   /**
+    * The accounts the export dialog exports: a suggestion's accounts, or the current list.
+    * @returns {string[]}
+    */
+   function getExportUsers() {
+       return state.exportSubset ? state.exportSubset.users : state.users;
+   }
+
+   /**
+    * Renders the column picker checkboxes of the export modal.
+    */
+   function renderExportColumns() {
+       if (!dom.exportColumnsContainer) return;
+       dom.exportColumnsContainer.innerHTML = '';
+       EXPORT_COLUMNS.forEach(column => {
+           const label = document.createElement('label');
+           label.className = 'checkbox-group';
+           const checkbox = document.createElement('input');
+           checkbox.type = 'checkbox';
+           checkbox.setAttribute('data-column', column.id);
+           checkbox.checked = column.id === 'username' || state.exportColumns.includes(column.id);
+           checkbox.disabled = column.id === 'username'; // Always exported
+           label.appendChild(checkbox);
+           label.appendChild(document.createTextNode(` ${column.label}`));
+           dom.exportColumnsContainer.appendChild(label);
+       });
+   }
+
+   /**
+    * Stores the picked export columns and refreshes the preview.
+    */
+   function handleExportColumnsChange() {
+       state.exportColumns = [...dom.exportColumnsContainer.querySelectorAll('input[data-column]')]
+           .filter(checkbox => checkbox.checked)
+           .map(checkbox => checkbox.getAttribute('data-column'));
+       saveStoredJson(profileStorageKey('exportColumns'), state.exportColumns);
+       updateExportPreview();
+   }
+
+   /**
+    * Works out when each account in the current mode was first detected there:
+    * the oldest snapshot of the unbroken run of snapshots (newest first) that
+    * list it in this relationship. Accounts not in any snapshot fall back to the
+    * date of the loaded export.
+    * @returns {Promise<void>}
+    */
+   async function loadDetectionDates() {
+       const detectionDates = new Map();
+       let snapshots = [];
+       try {
+           snapshots = await getProfileSnapshots();
+       } catch (error) {
+           console.warn("Snapshot history unavailable, using the export date as detection date:", error);
+       }
+
+       const snapshotTime = snapshot => snapshot.exportDate || snapshot.createdAt;
+       snapshots.sort((a, b) => snapshotTime(b) - snapshotTime(a));
+       const running = new Set(state.modeUsers); // Still in the run of consecutive snapshots
+       for (const snapshot of snapshots) {
+           if (running.size === 0) break;
+           const toMap = records => new Map(records.map(record => [record.username, record]));
+           const inMode = new Set(computeRelationship(state.mode, toMap(snapshot.following), toMap(snapshot.followers)));
+           running.forEach(user => {
+               if (inMode.has(user)) {
+                   detectionDates.set(user, snapshotTime(snapshot));
+               } else {
+                   running.delete(user);
+               }
+           });
        }
+
+       const exportDate = buildSnapshot().exportDate;
+       state.modeUsers.forEach(user => {
+           if (!detectionDates.has(user)) detectionDates.set(user, exportDate || Date.now());
+       });
+       state.detectionDates = detectionDates;
    }
 
    /**
@@ -670,93 +3634,85 @@
 
         const format = dom.exportFormatSelect.value;
         const clean = dom.exportCleanUsernamesCheckbox?.checked || false;
-        // Include dates functionality is placeholder for now
-        // const includeDates = dom.exportIncludeDatesCheckbox?.checked || false;
 
         // Get a sample of users for preview (e.g., first 5)
-        const previewUsers = state.nonFollowers.slice(0, 5);
-        let previewText = '';
+        const previewUsers = getExportUsers().slice(0, 5);
 
         if (previewUsers.length === 0) {
-            previewText = "[No non-followers to preview]";
-        } else {
-            const processedUsers = previewUsers.map(user => clean ? user : `@${user}`);
-
-            switch (format) {
-                case 'txt':
-                    previewText = processedUsers.join('\n');
-                    break;
-                case 'csv':
-                    // Basic CSV: just a list of usernames
-                    previewText = "Username\n" + processedUsers.join('\n');
-                    break;
-                case 'json':
-                    // Simple JSON array
-                    previewText = JSON.stringify(processedUsers, null, 2);
-                    break;
-                default:
-                    previewText = "[Invalid format selected]";
-            }
+            dom.exportPreview.textContent = `[No ${getRelationshipMode().noun} to preview]`;
+            return;
         }
 
-        dom.exportPreview.textContent = previewText;
+        const output = formatExport(previewUsers, format, clean);
+        const showFrame = Boolean(output && dom.exportPreviewFrame && output.mimeType === 'text/html');
+        if (dom.exportPreviewFrame) {
+            dom.exportPreviewFrame.hidden = !showFrame;
+            dom.exportPreviewFrame.srcdoc = showFrame ? output.content : '';
+        }
+        dom.exportPreview.hidden = showFrame;
+        if (!showFrame) {
+            dom.exportPreview.textContent = output ? (output.preview || output.content) : "[Invalid format selected]";
+        }
     }
 
+   /**
+    * Builds the export file for a list of users with the picked columns.
+    * @param {string[]} users - Usernames to export.
+    * @param {string} format - 'txt', 'csv', 'json', 'md', 'html', 'pdf' or 'xlsx'.
+    * @param {boolean} clean - Leave out the '@' in front of usernames.
+    * @returns {{content: string|Uint8Array, mimeType: string, extension: string, preview?: string}|null} - null for an unknown format.
+    */
+   function formatExport(users, format, clean) {
+       const records = users.map(user => buildExportRecord(user, state.lists, {
+           annotation: getAnnotation(user),
+           detectedAt: state.detectionDates.get(user) || null
+       }));
+       const options = { columns: ['username', ...state.exportColumns], clean, mode: state.mode };
+
+       switch (format) {
+           case 'html':
+           case 'pdf': // Printed from the HTML report
+               return { content: buildHtmlReport(records, options), mimeType: 'text/html', extension: 'html' };
+           case 'xlsx':
+               return buildXlsxWorkbook(records, options);
+           default:
+               return formatExportRecords(records, format, options);
+       }
+   }
+
    /**
     * Performs the export based on modal selections.
     */
-   function performExport() {
+   async function performExport() {
        if (!dom.exportFormatSelect) return;
 
        const format = dom.exportFormatSelect.value;
        const clean = dom.exportCleanUsernamesCheckbox?.checked || false;
-       // Placeholder: const includeDates = dom.exportIncludeDatesCheckbox?.checked || false;
-
-       const usersToExport = state.nonFollowers.map(user => clean ? user : `@${user}`);
 
-       if (usersToExport.length === 0) {
+       const users = getExportUsers();
+       if (users.length === 0) {
            showToast("Nothing to export.", "warning");
            return;
        }
 
-       let fileContent = '';
-       let mimeType = '';
-       let fileExtension = '';
+       if (state.exportColumns.includes('detectedAt')) await loadDetectionDates();
+       const output = formatExport(users, format, clean);
+       if (!output) {
+           showToast("Invalid export format selected.", "error");
+           return;
+       }
 
-       switch (format) {
-           case 'txt':
-               fileContent = usersToExport.join('\n');
-               mimeType = 'text/plain';
-               fileExtension = 'txt';
-               break;
-           case 'csv':
-               // Add header row
-               fileContent = "Username\n" + usersToExport.join('\n');
-               mimeType = 'text/csv';
-               fileExtension = 'csv';
-               break;
-           case 'json':
-               fileContent = JSON.stringify(usersToExport, null, 2);
-               mimeType = 'application/json';
-               fileExtension = 'json';
-               break;
-           default:
-               showToast("Invalid export format selected.", "error");
-               return;
+       if (format === 'pdf') {
+           printReport(output.content);
+           if (dom.exportModal) dom.exportModal.style.display = 'none';
+           return;
        }
 
        // Create and trigger download
        try {
-           const blob = new Blob([fileContent], { type: mimeType });
-           const url = URL.createObjectURL(blob);
-           const a = document.createElement('a');
-           a.href = url;
-           a.download = `instagram_non_followers_${new Date().toISOString().split('T')[0]}.${fileExtension}`;
-           document.body.appendChild(a);
-           a.click();
-           document.body.removeChild(a);
-           URL.revokeObjectURL(url);
-           showToast(`Exported as ${fileExtension.toUpperCase()}`, "success");
+           const fileName = state.exportSubset ? state.exportSubset.fileName : getRelationshipMode().fileName;
+           downloadFile(output.content, `instagram_${fileName}_${todayStamp()}.${output.extension}`, output.mimeType);
+           showToast(`Exported as ${output.extension.toUpperCase()}`, "success");
            if (dom.exportModal) dom.exportModal.style.display = 'none'; // Close modal on success
        } catch (error) {
            console.error("Export failed:", error);
@@ -765,8 +3721,9 @@
    }
 
    /**
-   * Renders a sample timeline chart using Chart.js.
-   * Note: Uses placeholder data as actual timestamps aren't in basic JSON.
+   * Renders the follow/unfollow timeline chart using Chart.js.
+   * Built from the export timestamps, bucketed by the selected granularity
+   * and limited to the selected date range.
    */
   function renderFollowTimeline() {
     if (!dom.timelineCanvas || typeof Chart === 'undefined') {
@@ -775,11 +3732,7 @@
     }
 
     const ctx = dom.timelineCanvas.getContext('2d');
-
-    // Sample data - replace with real data if available
-    const labels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
-    const followersData = [10, 25, 15, 30, 20, 40]; // Sample follower gains
-    const unfollowersData = [5, 10, 8, 12, 9, 15]; // Sample unfollows (non-followers detected)
+    const series = buildTimelineSeries();
 
     // Destroy previous chart instance if it exists
     if (state.chartInstance) {
@@ -791,26 +3744,34 @@
     const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
     const labelColor = isDarkMode ? '#e0e0e0' : '#333';
     const followerColor = '#1abc9c'; // Teal
+    const followingColor = '#0095f6'; // Instagram Blue
     const unfollowerColor = '#e74c3c'; // Red
 
     state.chartInstance = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: labels,
+            labels: series.labels,
             datasets: [{
-                label: 'New Followers (Sample)',
-                data: followersData,
+                label: 'New Followers',
+                data: series.newFollowers,
                 borderColor: followerColor,
                 backgroundColor: followerColor + '33', // Semi-transparent fill
                 tension: 0.1,
                 fill: true
             }, {
-                label: 'Non-Followers Detected (Sample)',
-                data: unfollowersData,
-                borderColor: unfollowerColor,
-                backgroundColor: unfollowerColor + '33', // Semi-transparent fill
+                label: 'Started Following',
+                data: series.newFollowing,
+                borderColor: followingColor,
+                backgroundColor: followingColor + '33',
                 tension: 0.1,
                 fill: true
+            }, {
+                label: 'Non-Followers (running total)',
+                data: series.nonFollowers,
+                borderColor: unfollowerColor,
+                backgroundColor: unfollowerColor + '33',
+                tension: 0.1,
+                fill: false
             }]
         },
         options: {
@@ -833,7 +3794,7 @@
                 },
                 y: {
                     grid: { color: gridColor },
-                    ticks: { color: labelColor },
+                    ticks: { color: labelColor, precision: 0 },
                     beginAtZero: true
                 }
             }
@@ -841,95 +3802,651 @@
     });
 }
 
+  /**
+   * Reads the timeline controls into state and re-renders the chart.
+   */
+  function handleTimelineControlsChange() {
+      state.timeline.granularity = dom.timelineGranularitySelect?.value || 'month';
+      state.timeline.from = dom.timelineFromInput?.value || null;
+      state.timeline.to = dom.timelineToInput?.value || null;
+      renderFollowTimeline();
+  }
 
-   /**
-    * Generates simple "smart" suggestions based on the data.
-    * (Placeholder implementation)
-    */
-   function generateSmartSuggestions() {
-       if (!dom.aiSuggestionsContainer) return;
+  /**
+   * Buckets the follower/following timestamps into periods.
+   * - newFollowers: accounts that started following us in each period
+   * - newFollowing: accounts we started following in each period
+   * - nonFollowers: accounts followed by the end of the period that had not
+   *   followed us back by then (only users still in the current export count)
+   * @returns {{labels: string[], newFollowers: number[], newFollowing: number[], nonFollowers: number[]}}
+   */
+  function buildTimelineSeries() {
+      const series = { labels: [], newFollowers: [], newFollowing: [], nonFollowers: [] };
+      const granularity = state.timeline.granularity;
+
+      const followerTimes = timestampsOf(state.lists.followers);
+      const followingTimes = timestampsOf(state.lists.following);
+      const allTimes = followerTimes.concat(followingTimes);
+      if (allTimes.length === 0) return series;
+
+      // reduce() rather than Math.min(...) so very large exports don't overflow the stack
+      const rangeStart = state.timeline.from ? parseDateInput(state.timeline.from) : new Date(allTimes.reduce((a, b) => Math.min(a, b)));
+      const rangeEnd = state.timeline.to ? parseDateInput(state.timeline.to) : new Date(allTimes.reduce((a, b) => Math.max(a, b)));
+      if (!rangeStart || !rangeEnd || rangeStart > rangeEnd) return series;
+
+      // Build contiguous period buckets so gaps show up as zero
+      const buckets = [];
+      for (let cursor = startOfPeriod(rangeStart, granularity); cursor <= rangeEnd; cursor = nextPeriod(cursor, granularity)) {
+          buckets.push(cursor);
+      }
 
-       dom.aiSuggestionsContainer.innerHTML = ''; // Clear previous suggestions
+      const bucketIndex = new Map(buckets.map((bucket, index) => [bucket.getTime(), index]));
+      const rangeEndTime = nextPeriod(buckets[buckets.length - 1], granularity).getTime();
+      // -1 before the range, buckets.length after it, otherwise the bucket position
+      const indexOfTime = time => {
+          if (time < buckets[0].getTime()) return -1;
+          if (time >= rangeEndTime) return buckets.length;
+          return bucketIndex.get(startOfPeriod(new Date(time), granularity).getTime());
+      };
+      const countInto = (times) => {
+          const counts = new Array(buckets.length).fill(0);
+          times.forEach(time => {
+              const index = indexOfTime(time);
+              if (index >= 0 && index < buckets.length) counts[index]++;
+          });
+          return counts;
+      };
+
+      series.labels = buckets.map(bucket => formatPeriodLabel(bucket, granularity));
+      series.newFollowers = countInto(followerTimes);
+      series.newFollowing = countInto(followingTimes);
+
+      // A followed account counts as a non-follower from the period we followed it
+      // until the period before it followed back. Accumulate with a difference array.
+      const deltas = new Array(buckets.length + 1).fill(0);
+      state.lists.following.forEach((record, username) => {
+          if (record.timestamp === null) return;
+          const follower = state.lists.followers.get(username);
+          if (follower && follower.timestamp === null) return; // Follows back, date unknown
+
+          const first = Math.max(indexOfTime(record.timestamp * 1000), 0);
+          const last = follower ? Math.min(indexOfTime(follower.timestamp * 1000), buckets.length) : buckets.length;
+          if (first < last) {
+              deltas[first]++;
+              deltas[last]--;
+          }
+      });
+      let running = 0;
+      series.nonFollowers = buckets.map((bucket, index) => (running += deltas[index]));
 
-       if (state.nonFollowers.length === 0 && (state.followers.size > 0 || state.following.size > 0)) {
-           dom.aiSuggestionsContainer.innerHTML = '<p class="ai-suggestion success"><i class="fas fa-check-circle"></i> Great job! Everyone you follow seems to follow you back.</p>';
-           return;
-       }
+      return series;
+  }
 
-       if (state.nonFollowers.length === 0) {
-           dom.aiSuggestionsContainer.innerHTML = '<p class="placeholder-text">Load data to see suggestions.</p>';
-            return;
-       }
+  /**
+   * Collects the known timestamps (in ms) from a relationship Map.
+   * @param {Map<string, object>} records - state.lists.followers or state.lists.following.
+   * @returns {number[]}
+   */
+  function timestampsOf(records) {
+      const times = [];
+      records.forEach(record => {
+          if (record.timestamp !== null) times.push(record.timestamp * 1000);
+      });
+      return times;
+  }
 
-       const fragment = document.createDocumentFragment();
-        let suggestionCount = 0;
-
-       // Suggestion 1: High number of non-followers
-       if (state.nonFollowers.length > 50) {
-            suggestionCount++;
-           const suggestionDiv = document.createElement('div');
-           suggestionDiv.className = 'ai-suggestion warning';
-           suggestionDiv.innerHTML = `
-               <i class="fas fa-exclamation-triangle"></i> You have a significant number (${state.nonFollowers.length}) of non-followers. Consider reviewing this list.
-               <button class="btn-small ai-action-btn" data-action="focus-search" title="Focus search bar"><i class="fas fa-search"></i> Review List</button>
-           `;
-           fragment.appendChild(suggestionDiv);
-       }
+  /**
+   * Parses a YYYY-MM-DD value from a date input as local midnight.
+   * @param {string} value
+   * @returns {Date|null}
+   */
+  function parseDateInput(value) {
+      const [year, month, day] = value.split('-').map(Number);
+      if (!year || !month || !day) return null;
+      return new Date(year, month - 1, day);
+  }
 
-       // Suggestion 2: Follow/Following Ratio (Example)
-       const ratio = state.followers.size / (state.following.size || 1); // Avoid division by zero
-       if (state.following.size > 0 && ratio < 0.8) { // Example threshold: following significantly more than followers
-           suggestionCount++;
-           const suggestionDiv = document.createElement('div');
-           suggestionDiv.className = 'ai-suggestion info';
-           suggestionDiv.innerHTML = `
-               <i class="fas fa-balance-scale-right"></i> Your follower/following ratio is ${ratio.toFixed(2)}. You're following quite a few more people than follow you back.
-           `;
-            fragment.appendChild(suggestionDiv);
-       }
+  /**
+   * Returns the start of the day/week/month containing the given date.
+   * Weeks start on Monday.
+   * @param {Date} date
+   * @param {'day' | 'week' | 'month'} granularity
+   * @returns {Date}
+   */
+  function startOfPeriod(date, granularity) {
+      if (granularity === 'month') return new Date(date.getFullYear(), date.getMonth(), 1);
+      const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+      if (granularity === 'week') {
+          start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+      }
+      return start;
+  }
 
-       // Suggestion 3: Offer export
-        if (state.nonFollowers.length > 0) {
-            suggestionCount++;
-           const suggestionDiv = document.createElement('div');
-           suggestionDiv.className = 'ai-suggestion';
-           suggestionDiv.innerHTML = `
-               <i class="fas fa-file-export"></i> You can export the list of ${state.nonFollowers.length} non-followers for external use.
-               <button class="btn-small ai-action-btn" data-action="open-export" title="Open export options"><i class="fas fa-download"></i> Export Now</button>
-           `;
-            fragment.appendChild(suggestionDiv);
-        }
+  /**
+   * Returns the start of the period following the given period start.
+   * @param {Date} periodStart
+   * @param {'day' | 'week' | 'month'} granularity
+   * @returns {Date}
+   */
+  function nextPeriod(periodStart, granularity) {
+      if (granularity === 'month') return new Date(periodStart.getFullYear(), periodStart.getMonth() + 1, 1);
+      const next = new Date(periodStart);
+      next.setDate(next.getDate() + (granularity === 'week' ? 7 : 1));
+      return next;
+  }
 
-       // Add a default message if no specific suggestions triggered
-       if (suggestionCount === 0 && state.nonFollowers.length > 0) {
-           const suggestionDiv = document.createElement('div');
-           suggestionDiv.className = 'ai-suggestion';
-           suggestionDiv.innerHTML = `<i class="fas fa-list-ul"></i> Found ${state.nonFollowers.length} users who don't follow you back.`;
-           fragment.appendChild(suggestionDiv);
-       }
+  /**
+   * Formats a period start date as a chart label.
+   * @param {Date} periodStart
+   * @param {'day' | 'week' | 'month'} granularity
+   * @returns {string}
+   */
+  function formatPeriodLabel(periodStart, granularity) {
+      if (granularity === 'month') {
+          return periodStart.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+      }
+      const label = periodStart.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+      return granularity === 'week' ? `Week of ${label}` : label;
+  }
 
+  // -------------------------------------------------------------------------
+  // SECTION: Smart Suggestions (rule engine over the loaded lists & snapshot history)
+  // -------------------------------------------------------------------------
 
-       dom.aiSuggestionsContainer.appendChild(fragment);
-   }
+  // Suggestion rules, shown in this order. `evaluate` returns null when the rule has nothing
+  // to say, or {level, message, users}: `users` are the accounts its actions work on.
+  // `actions` are handleAiAction names (see SUGGESTION_ACTIONS); `mode` is the relationship
+  // mode the "filter" action switches to so the accounts show up in the list.
+  // Rules can be turned off in the panel; the ids of disabled rules are kept in localStorage.
+  const SUGGESTION_RULES = [
+      {
+          id: 'staleNonFollowers',
+          label: 'Long-time non-followers',
+          description: `Accounts you followed over ${CONFIG.staleFollowDays} days ago that never followed back`,
+          icon: 'fa-hourglass-end',
+          mode: 'notFollowingBack',
+          actions: ['filter', 'review', 'export'],
+          evaluate: () => {
+              const cutoff = Date.now() / 1000 - CONFIG.staleFollowDays * 24 * 60 * 60;
+              const users = getNonFollowers().filter(user => {
+                  const followedAt = state.lists.following.get(user).timestamp;
+                  return followedAt !== null && followedAt < cutoff;
+              });
+              if (users.length === 0) return null;
+              return {
+                  level: 'warning',
+                  users,
+                  message: `You followed ${users.length} account${users.length === 1 ? '' : 's'} over ${CONFIG.staleFollowDays} days ago and ${users.length === 1 ? 'it' : 'they'} never followed back.`
+              };
+          }
+      },
+      {
+          id: 'lostFollowers',
+          label: 'Unfollowed you',
+          description: 'Accounts that followed you in your previous snapshot but not in this export',
+          icon: 'fa-user-slash',
+          mode: 'all',
+          actions: ['filter', 'review', 'export'],
+          evaluate: () => {
+              const previous = state.previousSnapshot;
+              if (!previous) return null;
+              const users = previous.followers.map(record => record.username)
+                  .filter(user => !state.lists.followers.has(user) && !state.ignored.has(user));
+              if (users.length === 0) return null;
+              const stillFollowed = users.filter(user => state.lists.following.has(user)).length;
+              const date = new Date(previous.exportDate || previous.createdAt).toLocaleDateString();
+              return {
+                  level: 'warning',
+                  users,
+                  message: `${users.length} account${users.length === 1 ? '' : 's'} unfollowed you since your snapshot of ${date}` +
+                      (stillFollowed > 0 ? `; you still follow ${stillFollowed} of them.` : '.')
+              };
+          }
+      },
+      {
+          id: 'closeFriendsNotFollowing',
+          label: "Close friends who don't follow you",
+          description: "Accounts on your close friends list that don't follow you",
+          icon: 'fa-user-friends',
+          mode: 'all',
+          actions: ['filter', 'review', 'export'],
+          evaluate: () => {
+              const users = [...state.lists.closeFriends.keys()]
+                  .filter(user => !state.lists.followers.has(user) && !state.ignored.has(user));
+              if (users.length === 0) return null;
+              return {
+                  level: 'info',
+                  users,
+                  message: `${users.length} of your close friends ${users.length === 1 ? "doesn't" : "don't"} follow you.`
+              };
+          }
+      },
+      {
+          id: 'followRatio',
+          label: 'Follower ratio',
+          description: 'When you follow clearly more accounts than follow you',
+          icon: 'fa-balance-scale-right',
+          actions: [],
+          evaluate: () => {
+              const ratio = state.lists.followers.size / state.lists.following.size;
+              if (ratio >= CONFIG.lowFollowerRatio) return null;
+              return {
+                  level: 'info',
+                  users: [],
+                  message: `Your follower/following ratio is ${ratio.toFixed(2)}: you follow quite a few more people than follow you.`
+              };
+          }
+      }
+  ];
 
-   /**
-    * Handles actions triggered by buttons within AI suggestions.
-    * @param {string} actionName - The value of the data-action attribute.
-    */
-   function handleAiAction(actionName) {
-       switch(actionName) {
-           case 'focus-search':
-               dom.searchInput?.focus();
-               showToast("Search bar focused.", "info");
-               break;
-           case 'open-export':
-               showExportModal();
-               break;
-           // Add more cases for other actions
-           default:
-               console.warn("Unknown AI action:", actionName);
-       }
-   }
+  // Buttons a rule can offer, by handleAiAction name
+  const SUGGESTION_ACTIONS = {
+      filter: { label: 'Show in list', icon: 'fa-filter', title: 'Show only these accounts in the list' },
+      review: { label: 'Review', icon: 'fa-user-check', title: 'Put the ones you still follow first in the review queue' },
+      export: { label: 'Export', icon: 'fa-download', title: 'Export only these accounts' }
+  };
+
+  /**
+   * Reads the newest saved snapshot of an export older than the loaded one into
+   * state.previousSnapshot (null if there's none), for the "Unfollowed you" rule.
+   * @returns {Promise<void>}
+   */
+  async function loadPreviousSnapshot() {
+      state.previousSnapshot = null;
+      const exportDate = buildSnapshot().exportDate;
+      if (!exportDate) return;
+      try {
+          const snapshots = await getProfileSnapshots();
+          const snapshotTime = snapshot => snapshot.exportDate || snapshot.createdAt;
+          state.previousSnapshot = snapshots
+              .filter(snapshot => snapshotTime(snapshot) < exportDate)
+              .sort((a, b) => snapshotTime(b) - snapshotTime(a))[0] || null;
+      } catch (error) {
+          console.warn("Snapshot history unavailable, skipping the snapshot-based suggestions:", error);
+      }
+  }
+
+  /**
+   * Runs the enabled suggestion rules and renders what they found.
+   */
+  function generateSmartSuggestions() {
+      if (!dom.aiSuggestionsContainer) return;
+      renderSuggestionRuleToggles();
+      dom.aiSuggestionsContainer.innerHTML = '';
+      state.suggestions = new Map();
+
+      if (state.lists.followers.size === 0 || state.lists.following.size === 0) {
+          dom.aiSuggestionsContainer.innerHTML = '<p class="placeholder-text">Load data to see suggestions.</p>';
+          return;
+      }
+
+      const fragment = document.createDocumentFragment();
+      SUGGESTION_RULES.filter(rule => !state.disabledSuggestionRules.includes(rule.id)).forEach(rule => {
+          let result;
+          try {
+              result = rule.evaluate();
+          } catch (error) {
+              console.error(`Suggestion rule "${rule.id}" failed:`, error);
+              return;
+          }
+          if (!result) return;
+          state.suggestions.set(rule.id, result);
+
+          const suggestionDiv = document.createElement('div');
+          suggestionDiv.className = `ai-suggestion ${result.level}`;
+          suggestionDiv.setAttribute('data-rule', rule.id);
+          suggestionDiv.innerHTML = `<i class="fas ${rule.icon}"></i>`;
+          const message = document.createElement('span');
+          message.textContent = result.message;
+          suggestionDiv.appendChild(message);
+          rule.actions.forEach(actionName => {
+              const action = SUGGESTION_ACTIONS[actionName];
+              const button = document.createElement('button');
+              button.className = 'btn-small ai-action-btn';
+              button.setAttribute('data-action', actionName);
+              button.setAttribute('data-rule', rule.id);
+              button.title = action.title;
+              button.innerHTML = `<i class="fas ${action.icon}"></i> ${action.label}`;
+              suggestionDiv.appendChild(button);
+          });
+          fragment.appendChild(suggestionDiv);
+      });
+
+      if (state.suggestions.size === 0) {
+          dom.aiSuggestionsContainer.innerHTML = '<p class="ai-suggestion success"><i class="fas fa-check-circle"></i> Nothing to point out in this export.</p>';
+          return;
+      }
+      dom.aiSuggestionsContainer.appendChild(fragment);
+  }
+
+  /**
+   * Renders a checkbox per suggestion rule in the panel's rule settings.
+   */
+  function renderSuggestionRuleToggles() {
+      if (!dom.suggestionRuleToggles) return;
+      dom.suggestionRuleToggles.innerHTML = '';
+      SUGGESTION_RULES.forEach(rule => {
+          const label = document.createElement('label');
+          label.className = 'checkbox-group';
+          label.title = rule.description;
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.setAttribute('data-rule', rule.id);
+          checkbox.checked = !state.disabledSuggestionRules.includes(rule.id);
+          label.appendChild(checkbox);
+          label.appendChild(document.createTextNode(` ${rule.label}`));
+          dom.suggestionRuleToggles.appendChild(label);
+      });
+  }
+
+  /**
+   * Turns a suggestion rule on or off and re-runs the rules.
+   * @param {string} ruleId
+   * @param {boolean} enabled
+   */
+  function setSuggestionRuleEnabled(ruleId, enabled) {
+      state.disabledSuggestionRules = state.disabledSuggestionRules.filter(id => id !== ruleId);
+      if (!enabled) state.disabledSuggestionRules.push(ruleId);
+      saveStoredJson(profileStorageKey('disabledSuggestionRules'), state.disabledSuggestionRules);
+      if (!enabled && state.suggestionFilter?.ruleId === ruleId) setListFilter('all');
+      generateSmartSuggestions();
+  }
+
+  /**
+   * Handles actions triggered by buttons within suggestions.
+   * @param {string} actionName - The value of the data-action attribute, a SUGGESTION_ACTIONS key.
+   * @param {string} ruleId - The rule whose accounts the action works on.
+   */
+  function handleAiAction(actionName, ruleId) {
+      const rule = SUGGESTION_RULES.find(candidate => candidate.id === ruleId);
+      const result = state.suggestions.get(ruleId);
+      if (!rule || !result) return;
+
+      switch (actionName) {
+          case 'filter': {
+              if (rule.mode) setRelationshipMode(rule.mode);
+              state.suggestionFilter = { ruleId, label: rule.label, users: new Set(result.users) };
+              setListFilter('suggestion');
+              const shown = getActiveListFilter().select().length;
+              if (shown < result.users.length) {
+                  showToast(`${result.users.length - shown} of these accounts aren't in your lists anymore, so they can't be shown.`, "info", 5000);
+              }
+              dom.container?.focus({ preventScroll: true });
+              break;
+          }
+          case 'review': {
+              // Only accounts you still follow can be unfollowed
+              const nonFollowers = new Set(getNonFollowers());
+              const users = result.users.filter(user => nonFollowers.has(user) && !isReviewed(user));
+              if (users.length === 0) {
+                  showToast("None of these accounts are left to review.", "info");
+                  return;
+              }
+              openReviewQueue(users);
+              break;
+          }
+          case 'export':
+              showExportModal({ label: rule.label, fileName: rule.id.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`), users: result.users });
+              break;
+          default:
+              console.warn("Unknown AI action:", actionName);
+      }
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTION: Report & Workbook Exports (HTML report, XLSX, printing)
+  // -------------------------------------------------------------------------
+
+  const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+  // Sheet name per record category in the XLSX export
+  const CATEGORY_SHEETS = [
+      { category: 'notFollowingBack', name: 'Not following back' },
+      { category: 'fans', name: 'Fans' },
+      { category: 'mutuals', name: 'Mutuals' }
+  ];
+
+  /**
+   * Escapes text for HTML and XML markup.
+   * @param {string} value
+   * @returns {string}
+   */
+  function escapeMarkup(value) {
+      return String(value)
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;')
+          .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * The timeline chart as a PNG data URL, or null if it isn't drawn.
+   * @returns {string|null}
+   */
+  function getChartImage() {
+      try {
+          return state.chartInstance ? state.chartInstance.toBase64Image() : null;
+      } catch (error) {
+          console.warn("Could not capture the chart image:", error);
+          return null;
+      }
+  }
+
+  /**
+   * Builds a self-contained HTML report: stats, the chart image and a table
+   * with clickable profiles. Styled for the screen and for "Save as PDF".
+   * @param {object[]} records - From buildExportRecord.
+   * @param {{columns: string[], clean: boolean}} options
+   * @returns {string}
+   */
+  function buildHtmlReport(records, { columns, clean }) {
+      const mode = getRelationshipMode();
+      const selected = EXPORT_COLUMNS.filter(column => columns.includes(column.id));
+      const chartImage = getChartImage();
+      const generated = new Date().toLocaleString();
+
+      const rows = records.map(record => `<tr>${selected.map(column => {
+          const text = escapeMarkup(exportFieldText(record, column.id, { clean }));
+          const url = escapeMarkup(record.profileUrl);
+          const linked = column.id === 'username' || column.id === 'profileUrl';
+          return `<td>${linked ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${text}</a>` : text}</td>`;
+      }).join('')}</tr>`).join('\n');
+
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Instagram report: ${escapeMarkup(mode.label)} (${todayStamp()})</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #262626; margin: 2rem; }
+  h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+  .meta { color: #8e8e8e; margin: 0 0 1.5rem; }
+  .stats { display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1.5rem; }
+  .stat { border: 1px solid #dbdbdb; border-radius: 8px; padding: 0.75rem 1.25rem; }
+  .stat strong { display: block; font-size: 1.4rem; }
+  .chart { max-width: 100%; border: 1px solid #dbdbdb; border-radius: 8px; margin-bottom: 1.5rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border-bottom: 1px solid #dbdbdb; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #fafafa; }
+  a { color: #0095f6; text-decoration: none; }
+  @media print {
+    body { margin: 0; }
+    @page { margin: 1.5cm; }
+    thead { display: table-header-group; }
+    tr, .stat, .chart { page-break-inside: avoid; }
+    a { color: inherit; }
+  }
+</style>
+</head>
+<body>
+<h1>${escapeMarkup(mode.label)}</h1>
+<p class="meta">Generated ${escapeMarkup(generated)} with the Instagram Non-Follower Finder</p>
+<div class="stats">
+  <div class="stat"><strong>${state.lists.followers.size}</strong>Followers</div>
+  <div class="stat"><strong>${state.lists.following.size}</strong>Following</div>
+  <div class="stat"><strong>${records.length}</strong>${escapeMarkup(mode.label)}</div>
+</div>
+${chartImage ? `<img class="chart" src="${chartImage}" alt="Follow/unfollow timeline">` : ''}
+<table>
+<thead><tr>${selected.map(column => `<th>${escapeMarkup(column.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Opens the print dialog for an HTML report (choose "Save as PDF" there).
+   * @param {string} html - From buildHtmlReport.
+   */
+  function printReport(html) {
+      const frame = document.createElement('iframe');
+      frame.className = 'print-frame';
+      frame.setAttribute('aria-hidden', 'true');
+      frame.onload = () => {
+          frame.contentWindow.focus();
+          frame.contentWindow.print();
+          // Remove once the dialog is closed (print() blocks in most browsers)
+          setTimeout(() => frame.remove(), 1000);
+      };
+      frame.srcdoc = html;
+      document.body.appendChild(frame);
+  }
+
+  /**
+   * Column letters of a spreadsheet cell (0 -> A, 26 -> AA).
+   * @param {number} index
+   * @returns {string}
+   */
+  function columnLetter(index) {
+      let letters = '';
+      for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+          letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+      }
+      return letters;
+  }
+
+  /**
+   * SpreadsheetML for one worksheet of text cells.
+   * @param {string[][]} rows - First row is the header.
+   * @returns {string}
+   */
+  function xlsxSheetXml(rows) {
+      const sheetRows = rows.map((cells, rowIndex) => `<row r="${rowIndex + 1}">${cells.map((cell, columnIndex) =>
+          `<c r="${columnLetter(columnIndex)}${rowIndex + 1}" t="inlineStr"${rowIndex === 0 ? ' s="1"' : ''}><is><t xml:space="preserve">${escapeMarkup(cell)}</t></is></c>`
+      ).join('')}</row>`).join('');
+      return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+          '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+          `<sheetData>${sheetRows}</sheetData></worksheet>`;
+  }
+
+  /**
+   * Builds an XLSX workbook with one sheet per relationship category among the records.
+   * @param {object[]} records - From buildExportRecord.
+   * @param {{columns: string[], clean: boolean}} options
+   * @returns {{content: Uint8Array, mimeType: string, extension: string, preview: string}}
+   */
+  function buildXlsxWorkbook(records, { columns, clean }) {
+      const selected = EXPORT_COLUMNS.filter(column => columns.includes(column.id));
+      const header = selected.map(column => column.label);
+      const sheets = CATEGORY_SHEETS
+          .map(sheet => ({
+              name: sheet.name,
+              rows: [header].concat(records
+                  .filter(record => record.category === sheet.category)
+                  .map(record => selected.map(column => exportFieldText(record, column.id, { clean }))))
+          }))
+          .filter(sheet => sheet.rows.length > 1);
+      if (sheets.length === 0) sheets.push({ name: getRelationshipMode().label, rows: [header] });
+
+      const files = [
+          {
+              name: '[Content_Types].xml',
+              content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                  '<Default Extension="xml" ContentType="application/xml"/>' +
+                  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                  sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                  '</Types>'
+          },
+          {
+              name: '_rels/.rels',
+              content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                  '</Relationships>'
+          },
+          {
+              name: 'xl/workbook.xml',
+              content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                  '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                  sheets.map((sheet, index) => `<sheet name="${escapeMarkup(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                  '</sheets></workbook>'
+          },
+          {
+              name: 'xl/_rels/workbook.xml.rels',
+              content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                  sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                  `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                  '</Relationships>'
+          },
+          {
+              // Style 1 = bold, used for the header row
+              name: 'xl/styles.xml',
+              content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                  '</styleSheet>'
+          }
+      ].concat(sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: xlsxSheetXml(sheet.rows) })));
+
+      return {
+          content: createZip(files),
+          mimeType: XLSX_MIME_TYPE,
+          extension: 'xlsx',
+          // Text preview: each sheet as tab-separated rows
+          preview: sheets.map(sheet => `[Sheet: ${sheet.name}]\n${sheet.rows.map(row => row.join('\t')).join('\n')}`).join('\n\n')
+      };
+  }
+
+  /**
+   * Before printing the page, adds a plain, complete copy of the filtered list
+   * (the virtual list only has the rows on screen).
+   */
+  function renderPrintList() {
+      removePrintList();
+      if (!dom.container || state.visibleUsers.length === 0) return;
+      const list = document.createElement('ol');
+      list.id = 'printList';
+      list.className = 'print-list';
+      state.visibleUsers.forEach(user => {
+          const item = document.createElement('li');
+          const { tags, note } = getAnnotation(user);
+          item.textContent = [`@${user}`, tags.join(', '), note].filter(Boolean).join(' — ');
+          list.appendChild(item);
+      });
+      dom.container.after(list);
+  }
+
+  /**
+   * Removes the print copy of the list after printing.
+   */
+  function removePrintList() {
+      document.getElementById('printList')?.remove();
+  }
 
    // -------------------------------------------------------------------------
    // SECTION: Utility Functions (Loader, Error Handling, Toast, Debounce)
@@ -987,7 +4504,7 @@
 
    /**
     * Shows a toast notification.
-    * @param {string} message - The message to display.
+    * @param {string} message - The message to display (plain text).
     * @param {'info' | 'success' | 'warning' | 'error'} type - The type of toast.
     * @param {number} duration - How long to display the toast in ms.
     */
@@ -1003,7 +4520,9 @@
         else if (type === 'warning') iconClass = 'fas fa-exclamation-triangle';
         else if (type === 'error') iconClass = 'fas fa-times-circle';
 
-        toast.innerHTML = `<i class="${iconClass}"></i> ${message}`;
+        // Messages carry file, profile and account names: add them as text, never as markup
+        toast.innerHTML = `<i class="${iconClass}"></i> `;
+        toast.appendChild(document.createTextNode(message));
 
         dom.toastContainer.appendChild(toast);
 
@@ -1024,6 +4543,82 @@
         }, duration);
     }
 
+   /**
+    * Reads a JSON array or object from localStorage.
+    * @param {string} key - localStorage key.
+    * @param {Array|Object} fallback - Returned when the value is missing, unreadable or of another shape.
+    * @returns {Array|Object}
+    */
+   function loadStoredJson(key, fallback) {
+       try {
+           const value = JSON.parse(localStorage.getItem(key));
+           const sameShape = value !== null && typeof value === 'object' && Array.isArray(value) === Array.isArray(fallback);
+           return sameShape ? value : fallback;
+       } catch (error) {
+           console.warn(`Ignoring unreadable localStorage "${key}":`, error);
+           return fallback;
+       }
+   }
+
+   /**
+    * Writes a JSON value to localStorage.
+    * @param {string} key - localStorage key.
+    * @param {Array|Object} value
+    */
+   function saveStoredJson(key, value) {
+       try {
+           localStorage.setItem(key, JSON.stringify(value));
+       } catch (error) {
+           console.error(`Could not save "${key}":`, error);
+           showToast("Could not save to browser storage.", "error");
+       }
+   }
+
+   /**
+    * Triggers a download of generated content.
+    * @param {string|Blob} content - File content.
+    * @param {string} fileName - Suggested file name.
+    * @param {string} mimeType - MIME type of the content.
+    */
+   function downloadFile(content, fileName, mimeType) {
+       const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+       const url = URL.createObjectURL(blob);
+       const a = document.createElement('a');
+       a.href = url;
+       a.download = fileName;
+       document.body.appendChild(a);
+       a.click();
+       document.body.removeChild(a);
+       URL.revokeObjectURL(url);
+   }
+
+   /**
+    * Appends text to an element, wrapping the given ranges in <mark> (search matches).
+    * @param {HTMLElement} element
+    * @param {string} text
+    * @param {Array<[number, number]>} ranges - Sorted, non-overlapping [start, end) ranges.
+    */
+   function appendHighlighted(element, text, ranges) {
+       let position = 0;
+       ranges.forEach(([start, end]) => {
+           if (start > position) element.appendChild(document.createTextNode(text.slice(position, start)));
+           const mark = document.createElement('mark');
+           mark.className = 'search-match';
+           mark.textContent = text.slice(start, end);
+           element.appendChild(mark);
+           position = end;
+       });
+       if (position < text.length) element.appendChild(document.createTextNode(text.slice(position)));
+   }
+
+   /**
+    * Today's date as YYYY-MM-DD, for file names.
+    * @returns {string}
+    */
+   function todayStamp() {
+       return new Date().toISOString().split('T')[0];
+   }
+
    /**
     * Debounce function to limit the rate at which a function can fire.
     * @param {Function} func - The function to debounce.
@@ -0,0 +1,260 @@
+/**
+ * Instagram Non-Follower Analyzer - Local Server
+ *
+ * Serves the app and a small JSON API over the Instagram exports kept in a
+ * folder on this machine, so other local tools can query them. Each ZIP or
+ * extracted export folder in EXPORTS_DIR is one snapshot. Parsing and set logic
+ * come from analyzer-core.js, the same code the page runs.
+ *
+ * Environment (see .env.example):
+ *   EXPORTS_DIR  - Folder holding the exports (default ./exports)
+ *   PORT         - Port to listen on (default 3000)
+ *   HOST         - Interface to bind (default 127.0.0.1, this machine only)
+ *   CORS_ORIGIN  - Origin allowed to call the API from a browser (default none)
+ *
+ * Endpoints:
+ *   GET /api/snapshots                      Exports found, newest first
+ *   GET /api/relationships?mode=&snapshot=&format=
+ *                                           Accounts in one relationship mode
+ *                                           (notFollowingBack, fans, mutuals, all)
+ *                                           as json, csv, txt or md
+ *   GET /api/non-followers?snapshot=&format= Same as mode=notFollowingBack
+ *   GET /api/snapshots/:id/diff?base=       Changes since `base` (default: the
+ *                                           snapshot before it)
+ *
+ * The page itself also works here: /followers_1.json and /following.json serve
+ * the newest snapshot, so the "Load local files" button picks it up.
+ */
+
+'use strict';
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const AnalyzerCore = require('./analyzer-core.js');
+const { loadExport } = require('./export-reader.js');
+
+const CONFIG = {
+    exportsDir: path.resolve(process.env.EXPORTS_DIR || 'exports'),
+    port: Number(process.env.PORT) || 3000,
+    host: process.env.HOST || '127.0.0.1',
+    corsOrigin: process.env.CORS_ORIGIN || null,
+    // Only these files of the repository are served to the browser
+    staticFiles: ['index.html', 'main.js', 'analyzer-core.js', 'analyzer-worker.js', 'styles.css',
+        'service-worker.js', 'manifest.webmanifest'],
+    staticFolders: ['assets', 'vendor']
+};
+
+// Parsed exports by snapshot id, reloaded when the file changes on disk
+const exportCache = new Map();
+
+// -------------------------------------------------------------------------
+// SECTION: Snapshots
+// -------------------------------------------------------------------------
+
+/**
+ * Creates an error that the error handler turns into a JSON response.
+ * @param {number} status - HTTP status code.
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Lists the exports in EXPORTS_DIR: every .zip file and every folder.
+ * @returns {Promise<Array<{id: string, path: string, modifiedAt: number}>>}
+ */
+async function listSnapshotSources() {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(CONFIG.exportsDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') throw httpError(500, `Exports folder not found: ${CONFIG.exportsDir}`);
+        throw error;
+    }
+
+    const sources = [];
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        if (!entry.isDirectory() && !/\.zip$/i.test(entry.name)) continue;
+        const sourcePath = path.join(CONFIG.exportsDir, entry.name);
+        const stats = await fs.promises.stat(sourcePath);
+        sources.push({ id: entry.name, path: sourcePath, modifiedAt: stats.mtimeMs });
+    }
+    return sources;
+}
+
+/**
+ * Loads one export, using the cache while the file is unchanged.
+ * @param {{id: string, path: string, modifiedAt: number}} source
+ * @returns {Promise<object>} - loadExport() result plus `id`.
+ */
+async function loadSnapshot(source) {
+    let cached = exportCache.get(source.id);
+    if (!cached || cached.modifiedAt !== source.modifiedAt) {
+        cached = { modifiedAt: source.modifiedAt };
+        try {
+            cached.snapshot = { id: source.id, ...await loadExport(source.path) };
+        } catch (error) {
+            cached.error = httpError(422, `${source.id}: ${error.message}`);
+            console.warn(cached.error.message);
+        }
+        exportCache.set(source.id, cached);
+    }
+    if (cached.error) throw cached.error;
+    return cached.snapshot;
+}
+
+/**
+ * Loads every export, ordered by export date (newest follow timestamp), then by
+ * file date. Exports that fail to load are logged once and skipped.
+ * @returns {Promise<object[]>} - Oldest first.
+ */
+async function loadSnapshots() {
+    const snapshots = [];
+    for (const source of await listSnapshotSources()) {
+        try {
+            snapshots.push({ ...await loadSnapshot(source), modifiedAt: source.modifiedAt });
+        } catch (error) {
+            if (!error.status) throw error;
+        }
+    }
+    const sortDate = snapshot => snapshot.exportDate || snapshot.modifiedAt;
+    return snapshots.sort((a, b) => (sortDate(a) - sortDate(b)) || (a.modifiedAt - b.modifiedAt));
+}
+
+/**
+ * Finds a snapshot by id, or the newest one when no id is given.
+ * @param {object[]} snapshots - From loadSnapshots().
+ * @param {string} [id]
+ * @returns {object}
+ */
+function findSnapshot(snapshots, id) {
+    if (snapshots.length === 0) throw httpError(404, `No exports found in ${CONFIG.exportsDir}`);
+    if (!id) return snapshots[snapshots.length - 1];
+    const snapshot = snapshots.find(item => item.id === id);
+    if (!snapshot) throw httpError(404, `Unknown snapshot "${id}"`);
+    return snapshot;
+}
+
+/**
+ * Summary of a snapshot for /api/snapshots.
+ * @param {object} snapshot
+ * @returns {object}
+ */
+function describeSnapshot(snapshot) {
+    return {
+        id: snapshot.id,
+        exportDate: snapshot.exportDate ? new Date(snapshot.exportDate).toISOString() : null,
+        followers: snapshot.lists.followers.size,
+        following: snapshot.lists.following.size,
+        lists: Object.fromEntries(Object.entries(snapshot.lists).map(([key, records]) => [key, records.size])),
+        layouts: Object.fromEntries(Object.entries(snapshot.layouts).map(([name, layout]) => [name, layout.id])),
+        notIncluded: snapshot.notIncluded
+    };
+}
+
+// -------------------------------------------------------------------------
+// SECTION: API
+// -------------------------------------------------------------------------
+
+/**
+ * Sends the accounts of one relationship mode in the requested format.
+ * @param {object} req
+ * @param {object} res
+ * @param {string} mode - One of AnalyzerCore.RELATIONSHIP_MODES.
+ */
+async function sendRelationship(req, res, mode) {
+    const format = req.query.format || 'json';
+    if (!AnalyzerCore.RELATIONSHIP_MODES.includes(mode)) {
+        throw httpError(400, `Unknown mode "${mode}". Expected one of: ${AnalyzerCore.RELATIONSHIP_MODES.join(', ')}`);
+    }
+
+    const snapshot = findSnapshot(await loadSnapshots(), req.query.snapshot);
+    const { followers, following } = snapshot.lists;
+    const records = AnalyzerCore.computeRelationship(mode, following, followers)
+        .sort((a, b) => a.localeCompare(b))
+        .map(username => AnalyzerCore.buildExportRecord(username, { following, followers }));
+    const columns = AnalyzerCore.EXPORT_COLUMNS
+        .map(column => column.id)
+        .filter(id => id !== 'detectedAt');
+
+    const output = AnalyzerCore.formatExportRecords(records, format, { columns, mode });
+    if (!output) throw httpError(400, `Unknown format "${format}". Expected one of: json, csv, txt, md`);
+    res.type(output.mimeType).send(output.content);
+}
+
+/**
+ * Converts a record Map back into the Instagram JSON export layout.
+ * @param {Map<string, {username: string, href: string, timestamp: number|null}>} records
+ * @returns {Array}
+ */
+function toInstagramJson(records) {
+    return [...records.values()].map(record => ({
+        title: '',
+        media_list_data: [],
+        string_list_data: [{ href: record.href, value: record.username, timestamp: record.timestamp || 0 }]
+    }));
+}
+
+const app = express();
+app.disable('x-powered-by');
+if (CONFIG.corsOrigin) app.use('/api', cors({ origin: CONFIG.corsOrigin }));
+
+app.get('/api/snapshots', async (req, res) => {
+    const snapshots = await loadSnapshots();
+    res.json(snapshots.reverse().map(describeSnapshot));
+});
+
+app.get('/api/relationships', (req, res) => sendRelationship(req, res, req.query.mode || 'all'));
+
+app.get('/api/non-followers', (req, res) => sendRelationship(req, res, 'notFollowingBack'));
+
+app.get('/api/snapshots/:id/diff', async (req, res) => {
+    const snapshots = await loadSnapshots();
+    const target = findSnapshot(snapshots, req.params.id);
+    const targetIndex = snapshots.indexOf(target);
+    const base = req.query.base ? findSnapshot(snapshots, req.query.base) : snapshots[targetIndex - 1];
+    if (!base) throw httpError(400, `"${target.id}" is the oldest snapshot; pass ?base= to compare with another one`);
+
+    const toArrays = snapshot => ({
+        followers: [...snapshot.lists.followers.values()],
+        following: [...snapshot.lists.following.values()]
+    });
+    res.json({ base: base.id, target: target.id, ...AnalyzerCore.diffSnapshots(toArrays(base), toArrays(target)) });
+});
+
+app.use('/api', (req, res) => {
+    throw httpError(404, `Unknown endpoint ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+// The page's "Load local files" button fetches these two
+app.get(['/followers_1.json', '/following.json'], async (req, res) => {
+    const snapshot = findSnapshot(await loadSnapshots());
+    const listKey = req.path === '/following.json' ? 'following' : 'followers';
+    const records = toInstagramJson(snapshot.lists[listKey]);
+    res.json(listKey === 'following' ? { relationships_following: records } : records);
+});
+
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+CONFIG.staticFiles.forEach(file => app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file))));
+CONFIG.staticFolders.forEach(folder => app.use(`/${folder}`, express.static(path.join(__dirname, folder))));
+
+// Errors thrown by the handlers above, sent as { error }
+app.use((error, req, res, next) => {
+    const status = error.status || 500;
+    if (status >= 500) console.error(error);
+    res.status(status).json({ error: error.message });
+});
+
+app.listen(CONFIG.port, CONFIG.host, () => {
+    console.log(`Analyzer running at http://${CONFIG.host}:${CONFIG.port}/`);
+    console.log(`Reading exports from ${CONFIG.exportsDir}`);
+});
@@ -0,0 +1,85 @@
+/**
+ * Instagram Non-Follower Analyzer - Service Worker
+ *
+ * Caches the app shell (page, scripts, styles, vendored libraries, fonts and
+ * icons) so the page works without a network connection and can be installed
+ * as a Progressive Web App. Exports are never cached: uploads are read locally,
+ * and the default export files and the local server's API go to the network.
+ *
+ * Shell files are served from the cache and refreshed in the background, so an
+ * update shows on the next visit. Bump CACHE_NAME when APP_SHELL changes.
+ */
+
+const CACHE_NAME = 'ig-analyzer-v1';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'main.js',
+    'analyzer-core.js',
+    'analyzer-worker.js',
+    'manifest.webmanifest',
+    'assets/icon.svg',
+    'assets/icon-192.png',
+    'assets/icon-512.png',
+    'vendor/chart.js/chart.umd.min.js',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-v4compatibility.woff2',
+    'vendor/inter/inter.css',
+    'vendor/inter/files/inter-latin-400-normal.woff2',
+    'vendor/inter/files/inter-latin-500-normal.woff2',
+    'vendor/inter/files/inter-latin-600-normal.woff2',
+    'vendor/inter/files/inter-latin-700-normal.woff2'
+];
+
+// Absolute URLs (without query string) of the shell files
+const SHELL_URLS = new Set(APP_SHELL.map(path => new URL(path, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    // The page keeps its sort order in the query string (?sort=...), so match without it
+    const key = url.origin + url.pathname;
+    if (!SHELL_URLS.has(key)) return; // Exports, API responses and anything else go to the network
+    event.respondWith(respondFromCache(event, key));
+});
+
+/**
+ * Answers with the cached copy of a shell file and refreshes it from the network
+ * in the background. Falls back to the network if the file isn't cached yet.
+ * @param {FetchEvent} event
+ * @param {string} key - Cache key: the request URL without its query string.
+ * @returns {Promise<Response>}
+ */
+async function respondFromCache(event, key) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(key);
+    const refresh = fetch(event.request).then(response => {
+        if (response.ok) return cache.put(key, response.clone()).then(() => response);
+        return response;
+    });
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {})); // Offline: keep serving the cached copy
+    return cached;
+}
@@ -0,0 +1,66 @@
+/**
+ * Tests for bin/ig-nonfollowers.js: output, options and exit codes.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'ig-nonfollowers.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Runs the CLI.
+ * @param {string[]} args
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function run(args) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+    return { status, stdout, stderr };
+}
+
+describe('ig-nonfollowers analyze', () => {
+    it('prints the non-followers with a summary on stderr', () => {
+        const result = run(['analyze', path.join(FIXTURES, 'basic'), '--columns', 'username']);
+        assert.equal(result.status, 0);
+        assert.equal(result.stdout, '@banana\n@watermelon\n');
+        assert.equal(result.stderr, '2 accounts not following back in basic\n');
+    });
+
+    it('writes machine-readable JSON for another mode', () => {
+        const result = run(['analyze', path.join(FIXTURES, 'basic'), '--mode', 'fans', '--format', 'json', '--quiet']);
+        assert.equal(result.status, 0);
+        assert.equal(result.stderr, '');
+        const data = JSON.parse(result.stdout);
+        assert.equal(data.mode, 'fans');
+        assert.deepEqual(data.accounts.map(account => account.username), ['@cherry']);
+    });
+
+    it('leaves out the accounts in the ignore list', () => {
+        const result = run(['analyze', path.join(FIXTURES, 'basic'), '-f', 'csv', '-c', 'username', '--clean',
+            '--ignore', path.join(FIXTURES, 'ignore.txt')]);
+        assert.equal(result.status, 0);
+        assert.equal(result.stdout, 'Username\r\nwatermelon\r\n');
+        assert.match(result.stderr, /\(1 ignored\)/);
+    });
+
+    it('exits with 2 on invalid options', () => {
+        assert.equal(run(['analyze', path.join(FIXTURES, 'basic'), '--mode', 'strangers']).status, 2);
+        assert.equal(run(['analyze', path.join(FIXTURES, 'basic'), '--format', 'xml']).status, 2);
+        assert.equal(run(['analyze']).status, 2);
+        assert.equal(run(['compare', 'a', 'b']).status, 2);
+        assert.equal(run(['analyze', path.join(FIXTURES, 'basic'), '--unknown']).status, 2);
+    });
+
+    it('exits with 3 when the export cannot be loaded', () => {
+        const result = run(['analyze', path.join(FIXTURES, 'malformed')]);
+        assert.equal(result.status, 3);
+        assert.equal(result.stdout, '');
+        assert.match(result.stderr, /followers_1\.json/);
+        assert.equal(run(['analyze', path.join(FIXTURES, 'does-not-exist')]).status, 3);
+        assert.equal(run(['analyze', path.join(FIXTURES, 'basic'), '--ignore', path.join(FIXTURES, 'nope.txt')]).status, 3);
+    });
+});
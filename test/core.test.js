@@ -0,0 +1,726 @@
+/**
+ * Tests for analyzer-core.js: parsing, normalization, set logic, diffs,
+ * export formatting and ZIP handling.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const AnalyzerCore = require('../analyzer-core.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Reads a fixture file as text.
+ * @param {string} name - Path below test/fixtures/.
+ * @returns {string}
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Loads fixture files through the same pipeline the page and worker use.
+ * @param {Object<string, string|string[]>} filesByList - Fixture path(s) per list key.
+ * @returns {Promise<object>} - loadRelationshipFiles() result.
+ */
+function loadFixtures(filesByList) {
+    const files = Object.entries(filesByList).flatMap(([listKey, names]) =>
+        [].concat(names).map(name => ({ listKey, name: path.basename(name), content: readFixture(name) })));
+    return AnalyzerCore.loadRelationshipFiles(files, { batchSize: 2 });
+}
+
+/**
+ * Turns a loaded list into a username -> record Map, like state.lists in the page.
+ * @param {object[]} records
+ * @returns {Map<string, object>}
+ */
+function toMap(records = []) {
+    return new Map(records.map(record => [record.username, record]));
+}
+
+describe('parseExportText', () => {
+    it('reads the plain array layout of followers_1.json', () => {
+        const items = AnalyzerCore.parseExportText(readFixture('basic/followers_1.json'), 'followers_1.json');
+        assert.equal(items.length, 2);
+        assert.equal(items[0].string_list_data[0].value, 'apple');
+    });
+
+    it('unwraps the relationships_following object of following.json', () => {
+        const items = AnalyzerCore.parseExportText(readFixture('basic/following.json'), 'following.json');
+        assert.deepEqual(items.map(item => item.string_list_data[0].value), ['banana', 'apple', 'watermelon']);
+    });
+
+    it('accepts empty lists in both layouts', () => {
+        assert.deepEqual(AnalyzerCore.parseExportText(readFixture('empty/followers_1.json'), 'followers_1.json'), []);
+        assert.deepEqual(AnalyzerCore.parseExportText(readFixture('empty/following.json'), 'following.json'), []);
+    });
+
+    it('throws on malformed JSON', () => {
+        assert.throws(() => AnalyzerCore.parseExportText(readFixture('malformed/followers_1.json'), 'followers_1.json'), /JSON Parse Error/);
+    });
+
+    it('takes usernames from "title" when "value" is empty', () => {
+        const items = AnalyzerCore.parseExportText(readFixture('title-based/following.json'), 'following.json');
+        assert.deepEqual(items.map(item => item.string_list_data[0].value), ['banana', 'Apple', 'watermelon']);
+        assert.equal(items[0].string_list_data[0].href, 'https://www.instagram.com/_u/banana');
+    });
+
+    it('detects HTML by content, even with a .json name', () => {
+        assert.equal(AnalyzerCore.detectExportFormat(readFixture('html/followers_1.html'), 'followers_1.json'), 'html');
+        assert.equal(AnalyzerCore.detectExportFormat('  [{"title": ""}]', 'followers_1.html'), 'json');
+    });
+});
+
+describe('readExportLayout', () => {
+    const layoutOf = (fixture) => AnalyzerCore.readExportLayout(readFixture(fixture), path.basename(fixture)).layout;
+
+    it('reports the layout each known export matches', () => {
+        assert.equal(layoutOf('basic/followers_1.json').id, 'array');
+        assert.equal(layoutOf('basic/following.json').id, 'wrapped');
+        assert.equal(layoutOf('title-based/following.json').id, 'title');
+        assert.equal(layoutOf('html/following.html').id, 'html');
+        assert.equal(layoutOf('empty/following.json').id, 'wrapped');
+    });
+
+    it('numbers the JSON layouts in the order they appeared', () => {
+        assert.deepEqual(AnalyzerCore.EXPORT_LAYOUTS.filter(layout => layout.version).map(layout => [layout.id, layout.version]),
+            [['array', 1], ['wrapped', 2], ['title', 3]]);
+    });
+
+    it('finds the relationships_ wrapper among other keys', () => {
+        const text = JSON.stringify({ version: 2, relationships_close_friends: [{ string_list_data: [{ value: 'apple' }] }] });
+        const { layout, items } = AnalyzerCore.readExportLayout(text, 'close_friends.json');
+        assert.equal(layout.id, 'wrapped');
+        assert.equal(items.length, 1);
+    });
+
+    const diagnostics = [
+        ['an empty file', '  \n', /^The file is empty\.$/],
+        ['a truncated file', readFixture('malformed/followers_1.json'), /^JSON Parse Error: .* The file may be cut off/],
+        ['an object without an account list', '{"name": "not an export", "count": 3}', /No list of accounts found: .* the keys "name", "count"/],
+        ['a scalar', '"followers"', /Expected a list of accounts, but the file holds a string/],
+        ['entries of another shape', '[{"username": "apple"}]', /entries don't match any known layout: .* the first one has "username"/],
+        ['entries without usernames', '[{"title": "", "string_list_data": [{"href": "x", "value": ""}]}]', /None of the 1 entries has a username/]
+    ];
+    diagnostics.forEach(([name, text, message]) => {
+        it(`explains why ${name} matches no layout`, () => {
+            assert.throws(() => AnalyzerCore.readExportLayout(text, 'following.json'), { name: 'ExportFormatError', message });
+        });
+    });
+});
+
+describe('parseHtmlExport', () => {
+    it('reads usernames, profile links and dates from the older layout', () => {
+        const items = AnalyzerCore.parseHtmlExport(readFixture('html/followers_1.html'));
+        assert.deepEqual(items.map(item => item.string_list_data[0]), [
+            { href: 'https://www.instagram.com/apple', value: 'apple', timestamp: new Date(2024, 6, 16, 12, 28).getTime() / 1000 },
+            { href: 'https://www.instagram.com/o.neil_x', value: 'o.neil_x', timestamp: new Date(2023, 0, 2, 9, 5).getTime() / 1000 }
+        ]);
+    });
+
+    it('takes the username from the profile URL when the heading is not one', () => {
+        const items = AnalyzerCore.parseHtmlExport(readFixture('html/following.html'));
+        assert.deepEqual(items.map(item => item.string_list_data[0].value), ['apple', 'fish.chips.co']);
+        assert.equal(items[1].string_list_data[0].timestamp, new Date(2024, 1, 29, 23, 45).getTime() / 1000);
+    });
+
+    it('throws on a page that is not an Instagram export', () => {
+        assert.throws(() => AnalyzerCore.parseHtmlExport('<html><body><p>Hello</p></body></html>'), /does not look like an Instagram export/);
+    });
+});
+
+describe('loadRelationshipFiles', () => {
+    it('normalizes both lists and finds the non-followers', async () => {
+        const result = await loadFixtures({ followers: 'basic/followers_1.json', following: 'basic/following.json' });
+        assert.deepEqual(result.lists.followers.map(record => record.username), ['apple', 'cherry']);
+        assert.deepEqual(result.nonFollowers, ['banana', 'watermelon']);
+        assert.deepEqual(result.fileCounts, { 'followers_1.json': 2, 'following.json': 3 });
+    });
+
+    it('keeps a bare-name href as it appears in the export', async () => {
+        const result = await loadFixtures({ following: 'basic/following.json' });
+        assert.equal(result.lists.following[0].href, 'banana');
+        assert.equal(result.nonFollowers, null, 'no non-followers without the followers list');
+    });
+
+    it('merges multi-part files and keeps the earliest timestamp', async () => {
+        const dir = 'multi-part/connections/followers_and_following';
+        const result = await loadFixtures({
+            followers: [`${dir}/followers_1.json`, `${dir}/followers_2.json`],
+            following: `${dir}/following.json`
+        });
+        const followers = toMap(result.lists.followers);
+        assert.deepEqual([...followers.keys()], ['apple', 'banana', 'cherry']);
+        assert.equal(followers.get('banana').timestamp, 1700000000);
+        assert.deepEqual(result.nonFollowers, ['dave']);
+    });
+
+    it('orders the parts of a list by part number', () => {
+        const followers = AnalyzerCore.RELATIONSHIP_LISTS.find(list => list.key === 'followers');
+        const parts = ['followers_10.json', 'followers_2.json', 'export/followers_1.json'].map(name => ({ name }));
+        assert.deepEqual(AnalyzerCore.sortListParts(followers, parts).map(part => part.name),
+            ['export/followers_1.json', 'followers_2.json', 'followers_10.json']);
+    });
+
+    it('collapses duplicate and mixed-case usernames', async () => {
+        const result = await loadFixtures({ followers: 'duplicates/followers_1.json', following: 'duplicates/following.json' });
+        const followers = toMap(result.lists.followers);
+        assert.deepEqual([...followers.keys()], ['alice', 'bob']);
+        assert.equal(followers.get('alice').timestamp, 1700000100);
+        assert.equal(followers.get('alice').href, 'https://www.instagram.com/Alice');
+        assert.deepEqual(result.lists.following.map(record => record.username), ['alice', 'carol']);
+        assert.deepEqual(result.nonFollowers, ['carol']);
+    });
+
+    it('returns empty lists and no non-followers for an empty export', async () => {
+        const result = await loadFixtures({ followers: 'empty/followers_1.json', following: 'empty/following.json' });
+        assert.deepEqual(result.lists, { followers: [], following: [] });
+        assert.equal(result.nonFollowers, null);
+    });
+
+    it('loads title-based entries and reports the layout of each file', async () => {
+        const result = await loadFixtures({ followers: 'title-based/followers_1.json', following: 'title-based/following.json' });
+        assert.deepEqual(result.lists.following.map(record => record.username), ['banana', 'apple', 'watermelon']);
+        assert.deepEqual(result.nonFollowers, ['banana', 'watermelon']);
+        assert.deepEqual(Object.fromEntries(Object.entries(result.layouts).map(([name, layout]) => [name, layout.id])),
+            { 'followers_1.json': 'array', 'following.json': 'title' });
+    });
+
+    it('loads HTML exports into the same shape as JSON', async () => {
+        const result = await loadFixtures({ followers: 'html/followers_1.html', following: 'html/following.html' });
+        assert.deepEqual(result.nonFollowers, ['fish.chips.co']);
+    });
+
+    it('names the file that failed to parse', async () => {
+        await assert.rejects(
+            loadFixtures({ followers: 'malformed/followers_1.json', following: 'malformed/following.json' }),
+            { name: 'ExportFormatError', message: /^followers_1\.json: JSON Parse Error/ }
+        );
+    });
+
+    it('uses the context for the list that is not being loaded', async () => {
+        const result = await AnalyzerCore.loadRelationshipFiles(
+            [{ listKey: 'following', name: 'following.json', content: readFixture('basic/following.json') }],
+            { context: { followers: ['banana'] } }
+        );
+        assert.deepEqual(result.nonFollowers, ['apple', 'watermelon']);
+    });
+
+    it('stops with an AbortError when cancelled', async () => {
+        await assert.rejects(
+            AnalyzerCore.loadRelationshipFiles(
+                [{ listKey: 'followers', name: 'followers_1.json', content: readFixture('basic/followers_1.json') }],
+                { isCancelled: () => true }
+            ),
+            { name: 'AbortError' }
+        );
+    });
+});
+
+describe('analyzer-worker.js', () => {
+    /**
+     * Runs the worker script with a stand-in worker scope and sends it one job.
+     * @param {object} job - The message the page posts.
+     * @returns {Promise<object[]>} - The messages the worker posted back.
+     */
+    async function runWorker(job) {
+        const messages = [];
+        const self = { AnalyzerCore, postMessage: message => messages.push(message) };
+        vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'analyzer-worker.js'), 'utf8'), { self, importScripts: () => {} });
+        await self.onmessage({ data: job });
+        return messages;
+    }
+
+    it('posts the result after the progress updates', async () => {
+        const messages = await runWorker({
+            files: [{ listKey: 'followers', name: 'followers_1.json', content: readFixture('basic/followers_1.json') }],
+            context: { following: ['apple', 'banana'] },
+            batchSize: 2
+        });
+        assert.ok(messages.slice(0, -1).every(message => message.type === 'progress'));
+        assert.deepEqual(messages.at(-1).result.nonFollowers, ['banana']);
+    });
+
+    it('posts the error name with the message', async () => {
+        const files = [{ listKey: 'followers', name: 'followers_1.json', content: readFixture('malformed/followers_1.json') }];
+        const inline = await AnalyzerCore.loadRelationshipFiles(files, {}).catch(error => error);
+        const messages = await runWorker({ files, context: {}, batchSize: 2 });
+        assert.deepEqual({ ...messages.at(-1) }, { type: 'error', name: 'ExportFormatError', message: inline.message });
+    });
+});
+
+describe('import report', () => {
+    const issueCounts = fileReport => Object.fromEntries(Object.entries(fileReport.issues).map(([kind, issue]) => [kind, issue.count]));
+
+    it('counts bare-name hrefs as malformed', async () => {
+        const result = await loadFixtures({ followers: 'basic/followers_1.json', following: 'basic/following.json' });
+        const [followers, following] = result.fileReports;
+        assert.equal(followers.layout.id, 'array');
+        assert.deepEqual([followers.entries, followers.accounts], [2, 2]);
+        assert.deepEqual(issueCounts(followers), { malformedHref: 1 });
+        assert.deepEqual(following.issues.malformedHref.examples, [{ username: 'banana', detail: 'href is "banana"' }]);
+    });
+
+    it('reports collapsed duplicates and missing dates', async () => {
+        const result = await loadFixtures({ followers: 'duplicates/followers_1.json' });
+        const [report] = result.fileReports;
+        assert.deepEqual([report.entries, report.accounts], [4, 2]);
+        assert.deepEqual(issueCounts(report), { duplicate: 2, missingTimestamp: 1 });
+        assert.deepEqual(report.issues.duplicate.examples.map(example => example.detail), ['"alice" (entry 2)', '"ALICE" (entry 3)']);
+    });
+
+    it('reports skipped entries, missing links and out-of-range dates', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const content = JSON.stringify([
+            { string_list_data: [{ href: 'https://www.instagram.com/apple', value: 'apple', timestamp: 1000 }] },
+            { string_list_data: [{ href: 'https://www.instagram.com/someone_else', value: 'banana', timestamp: now + 30 * 86400 }] },
+            { string_list_data: [{ value: 'cherry', timestamp: 1700000000 }] },
+            { string_list_data: [{ href: 'https://www.instagram.com/x', timestamp: 1700000000 }] },
+            { string_list_data: [{ value: 42 }] }
+        ]);
+        const result = await AnalyzerCore.loadRelationshipFiles([{ listKey: 'followers', name: 'followers_1.json', content }]);
+        const [report] = result.fileReports;
+        assert.equal(report.accounts, 3);
+        assert.deepEqual(issueCounts(report), { timestampOutOfRange: 2, malformedHref: 1, missingHref: 1, skipped: 2 });
+        assert.equal(report.issues.malformedHref.examples[0].detail, 'href links to @someone_else');
+        assert.match(report.issues.skipped.examples[0].detail, /^Entry 4 has no username/);
+        assert.match(report.issues.skipped.examples[1].detail, /^Entry 5 could not be read/);
+    });
+
+    it('keeps a limited number of examples but the full count', async () => {
+        const content = JSON.stringify(Array.from({ length: 50 }, () => ({ string_list_data: [{ href: 'x', value: 'same' }] })));
+        const result = await AnalyzerCore.loadRelationshipFiles([{ listKey: 'following', name: 'following.json', content }]);
+        const { duplicate } = result.fileReports[0].issues;
+        assert.equal(duplicate.count, 49);
+        assert.equal(duplicate.examples.length, 20);
+    });
+});
+
+describe('checkImportConsistency', () => {
+    const list = (names, timestamp = 1700000000) => new Map(names.map(username => [username, { username, timestamp }]));
+    const names = (prefix, count) => Array.from({ length: count }, (_, index) => `${prefix}${index}`);
+
+    it('finds nothing wrong with lists that belong together', () => {
+        const following = list([...names('shared', 10), ...names('a', 20)]);
+        const followers = list([...names('shared', 10), ...names('b', 20)]);
+        assert.deepEqual(AnalyzerCore.checkImportConsistency({ followers, following }), []);
+    });
+
+    it('warns about empty lists', () => {
+        const warnings = AnalyzerCore.checkImportConsistency({ followers: new Map(), following: list(['apple']) });
+        assert.deepEqual(warnings.map(warning => warning.kind), ['emptyList']);
+        assert.match(warnings[0].message, /followers list is empty/);
+    });
+
+    it('warns when the lists share almost no accounts', () => {
+        const warnings = AnalyzerCore.checkImportConsistency({ followers: list(names('a', 30)), following: list(names('b', 30)) });
+        assert.deepEqual(warnings.map(warning => warning.kind), ['differentAccounts']);
+    });
+
+    it('warns when the files were saved on different dates', () => {
+        const lists = { followers: list(['apple']), following: list(['apple']) };
+        const sources = {
+            followers: { name: 'followers_1.json', lastModified: Date.UTC(2024, 0, 1) },
+            following: { name: 'following.json', lastModified: Date.UTC(2024, 5, 1) }
+        };
+        const warnings = AnalyzerCore.checkImportConsistency(lists, sources);
+        assert.deepEqual(warnings.map(warning => warning.kind), ['differentExportDates']);
+        assert.match(warnings[0].message, /dated 2024-01-01 but the following file 2024-06-01/);
+        sources.followers.archive = sources.following.archive = 'export.zip';
+        assert.deepEqual(AnalyzerCore.checkImportConsistency(lists, sources), [], 'files from one ZIP share its date');
+    });
+
+    it('warns when the newest follows are far apart', () => {
+        const warnings = AnalyzerCore.checkImportConsistency({
+            followers: list(['apple'], Date.UTC(2021, 0, 1) / 1000),
+            following: list(['apple'], Date.UTC(2024, 0, 1) / 1000)
+        });
+        assert.deepEqual(warnings.map(warning => warning.kind), ['differentExportDates']);
+    });
+});
+
+describe('relationship set logic', () => {
+    const following = new Set(['apple', 'banana', 'watermelon']);
+    const followers = new Set(['apple', 'cherry']);
+
+    it('computes every relationship mode', () => {
+        assert.deepEqual(AnalyzerCore.computeRelationship('notFollowingBack', following, followers), ['banana', 'watermelon']);
+        assert.deepEqual(AnalyzerCore.computeRelationship('fans', following, followers), ['cherry']);
+        assert.deepEqual(AnalyzerCore.computeRelationship('mutuals', following, followers), ['apple']);
+        assert.deepEqual(AnalyzerCore.computeRelationship('all', following, followers).sort(), ['apple', 'banana', 'cherry', 'watermelon']);
+    });
+
+    it('throws on an unknown mode', () => {
+        assert.throws(() => AnalyzerCore.computeRelationship('strangers', following, followers), /Unknown relationship mode/);
+    });
+
+    it('classifies single accounts', () => {
+        assert.equal(AnalyzerCore.classifyRelationship('apple', following, followers), 'mutuals');
+        assert.equal(AnalyzerCore.classifyRelationship('banana', following, followers), 'notFollowingBack');
+        assert.equal(AnalyzerCore.classifyRelationship('cherry', following, followers), 'fans');
+        assert.equal(AnalyzerCore.classifyRelationship('nobody', following, followers), null);
+    });
+});
+
+describe('parseUsernameList', () => {
+    it('reads one username per line with @ and # comments', () => {
+        assert.deepEqual(AnalyzerCore.parseUsernameList('# brands\n@Nike\r\n  adidas # shoes\n\nPuma, reebok\n'), ['nike', 'adidas', 'puma', 'reebok']);
+    });
+
+    it('reads a JSON array', () => {
+        assert.deepEqual(AnalyzerCore.parseUsernameList('["@Nike", "adidas"]'), ['nike', 'adidas']);
+    });
+
+    it('rejects JSON that is not an array', () => {
+        assert.throws(() => AnalyzerCore.parseUsernameList('[1, 2'), SyntaxError);
+    });
+});
+
+describe('diffSnapshots', () => {
+    const record = username => ({ username, href: '', timestamp: null });
+    const snapshot = (followers, following) => ({ followers: followers.map(record), following: following.map(record) });
+
+    it('reports every kind of change between two exports', () => {
+        const base = snapshot(['apple', 'dave'], ['apple', 'kiwi', 'watermelon']);
+        const target = snapshot(['apple', 'zoe', 'watermelon'], ['apple', 'banana', 'watermelon']);
+        assert.deepEqual(AnalyzerCore.diffSnapshots(base, target), {
+            lostFollowers: ['dave'],
+            newFollowers: ['watermelon', 'zoe'],
+            stoppedFollowing: ['kiwi'],
+            startedFollowing: ['banana'],
+            newNonFollowers: ['banana'],
+            resolvedNonFollowers: ['kiwi', 'watermelon']
+        });
+    });
+
+    it('finds no changes between identical exports', () => {
+        const base = snapshot(['apple'], ['apple', 'banana']);
+        const diff = AnalyzerCore.diffSnapshots(base, base);
+        Object.values(diff).forEach(list => assert.deepEqual(list, []));
+    });
+});
+
+describe('computeAccountOverlap', () => {
+    it('splits two accounts\' lists into only-first, both and only-second', () => {
+        const brand = new Map([['apple', {}], ['zoe', {}], ['dave', {}]]);
+        assert.deepEqual(AnalyzerCore.computeAccountOverlap(brand, ['kiwi', 'apple']), {
+            onlyFirst: ['dave', 'zoe'],
+            both: ['apple'],
+            onlySecond: ['kiwi']
+        });
+    });
+
+    it('handles an empty list', () => {
+        assert.deepEqual(AnalyzerCore.computeAccountOverlap(new Set(), new Set(['apple'])), {
+            onlyFirst: [],
+            both: [],
+            onlySecond: ['apple']
+        });
+    });
+});
+
+describe('export records', () => {
+    const following = new Map([
+        ['banana', { username: 'banana', href: 'banana', timestamp: 1721125706 }],
+        ['apple', { username: 'apple', href: 'https://www.instagram.com/apple/', timestamp: null }]
+    ]);
+    const followers = new Map([
+        ['apple', { username: 'apple', href: 'https://www.instagram.com/apple/', timestamp: 1700000000 }]
+    ]);
+
+    it('replaces a bare-name href with the profile URL', () => {
+        const record = AnalyzerCore.buildExportRecord('banana', { following, followers });
+        assert.equal(record.profileUrl, 'https://www.instagram.com/banana/');
+        assert.equal(record.followedAt, '2024-07-16T10:28:26.000Z');
+        assert.equal(record.followedYouAt, null);
+        assert.equal(record.category, 'notFollowingBack');
+    });
+
+    it('includes tags, note and detection date', () => {
+        const record = AnalyzerCore.buildExportRecord('apple', { following, followers }, {
+            annotation: { tags: ['friend', 'ask'], note: 'Met at "the" café, 2023' },
+            detectedAt: Date.UTC(2024, 0, 1)
+        });
+        assert.equal(record.category, 'mutuals');
+        assert.equal(record.detectedAt, '2024-01-01T00:00:00.000Z');
+        assert.deepEqual(record.tags, ['friend', 'ask']);
+    });
+
+    const records = [
+        AnalyzerCore.buildExportRecord('apple', { following, followers }, { annotation: { tags: ['friend', 'ask'], note: 'Met at "the" café, 2023' } }),
+        AnalyzerCore.buildExportRecord('banana', { following, followers })
+    ];
+    const columns = ['username', 'followedAt', 'tags', 'note'];
+
+    it('formats TXT with the chosen columns', () => {
+        const output = AnalyzerCore.formatExportRecords(records, 'txt', { columns });
+        assert.equal(output.content, '@apple |  | friend, ask | Met at "the" café, 2023\n@banana | 2024-07-16 |  | ');
+        assert.equal(output.mimeType, 'text/plain');
+    });
+
+    it('formats CSV with quoting and CRLF line ends', () => {
+        const output = AnalyzerCore.formatExportRecords(records, 'csv', { columns, clean: true });
+        assert.equal(output.content, [
+            'Username,Date you followed,Tags,Note',
+            'apple,,friend;ask,"Met at ""the"" café, 2023"',
+            'banana,2024-07-16,,'
+        ].join('\r\n'));
+    });
+
+    it('formats JSON with the schema version and typed values', () => {
+        const output = AnalyzerCore.formatExportRecords(records, 'json', { columns, mode: 'all' });
+        const data = JSON.parse(output.content);
+        assert.equal(data.schemaVersion, AnalyzerCore.EXPORT_SCHEMA_VERSION);
+        assert.equal(data.mode, 'all');
+        assert.equal(data.count, 2);
+        assert.deepEqual(data.columns, columns);
+        assert.deepEqual(data.accounts[0], { username: '@apple', followedAt: null, tags: ['friend', 'ask'], note: 'Met at "the" café, 2023' });
+    });
+
+    it('formats a Markdown table with linked usernames', () => {
+        const output = AnalyzerCore.formatExportRecords(records.slice(1), 'md', { columns: ['username', 'profileUrl'] });
+        assert.equal(output.content, [
+            '| Username | Profile URL |',
+            '| --- | --- |',
+            '| [@banana](https://www.instagram.com/banana/) | <https://www.instagram.com/banana/> |',
+            ''
+        ].join('\n'));
+    });
+
+    it('returns null for an unknown format', () => {
+        assert.equal(AnalyzerCore.formatExportRecords(records, 'xml'), null);
+    });
+});
+
+describe('search queries', () => {
+    const day = (year, month, date) => Date.UTC(year, month - 1, date) / 1000;
+    const context = {
+        lists: {
+            following: new Map([
+                ['shop_one', { timestamp: day(2023, 6, 1) }],
+                ['jonathan', { timestamp: day(2022, 2, 1) }],
+                ['brandshop', { timestamp: null }]
+            ]),
+            followers: new Map([['jonathan', { timestamp: day(2024, 1, 1) }], ['fan.page', { timestamp: day(2021, 1, 1) }]]),
+            closeFriends: new Map([['brandshop', {}]])
+        },
+        annotations: { shop_one: { tags: ['brand', 'inactive'] } }
+    };
+    const users = ['shop_one', 'jonathan', 'brandshop', 'fan.page'];
+    const search = (text, savedQueries) => {
+        const query = AnalyzerCore.parseSearchQuery(text, { savedQueries });
+        return users.filter(user => AnalyzerCore.matchSearchQuery(query, user, context));
+    };
+
+    it('matches everyone with an empty query', () => {
+        assert.equal(AnalyzerCore.parseSearchQuery('  '), null);
+        assert.deepEqual(search(''), users);
+    });
+
+    it('matches substrings, prefixes, suffixes and regular expressions', () => {
+        assert.deepEqual(search('shop'), ['shop_one', 'brandshop']);
+        assert.deepEqual(search('SHOP*'), ['shop_one']);
+        assert.deepEqual(search('*shop'), ['brandshop']);
+        assert.deepEqual(search('b*sh*p'), ['brandshop']);
+        assert.deepEqual(search('@jon'), ['jonathan']);
+        assert.deepEqual(search('/^[a-z]+\\.page$/'), ['fan.page']);
+        assert.deepEqual(search('/^JON/'), ['jonathan'], 'case-insensitive like the rest of the search');
+    });
+
+    it('tolerates typos in fuzzy terms', () => {
+        assert.deepEqual(search('~jonahtan'), ['jonathan']);
+        assert.deepEqual(search('~jonatan'), ['jonathan']);
+        assert.deepEqual(search('~brandshp'), ['brandshop']);
+        assert.deepEqual(search('~jxn'), [], 'short terms must match exactly');
+    });
+
+    it('filters by tag, category, list and dates', () => {
+        assert.deepEqual(search('tag:brand tag:inactive'), ['shop_one']);
+        assert.deepEqual(search('category:notFollowingBack'), ['shop_one', 'brandshop']);
+        assert.deepEqual(search('category:MUTUALS'), ['jonathan']);
+        assert.deepEqual(search('category:fans'), ['fan.page']);
+        assert.deepEqual(search('category:closefriends'), ['brandshop']);
+        assert.deepEqual(search('followed:>2023-01-01'), ['shop_one']);
+        assert.deepEqual(search('followed:2022'), ['jonathan']);
+        assert.deepEqual(search('followed:<=2022-02'), ['jonathan']);
+        assert.deepEqual(search('followed:<2022-02-01'), []);
+        assert.deepEqual(search('followedyou:>=2024'), ['jonathan']);
+    });
+
+    it('combines terms with AND, OR, NOT and parentheses', () => {
+        assert.deepEqual(search('shop -tag:brand'), ['brandshop']);
+        assert.deepEqual(search('NOT shop'), ['jonathan', 'fan.page']);
+        assert.deepEqual(search('jon OR fan'), ['jonathan', 'fan.page']);
+        assert.deepEqual(search('shop AND one OR fan'), ['shop_one', 'fan.page']);
+        assert.deepEqual(search('shop (one OR brand)'), ['shop_one', 'brandshop']);
+        assert.deepEqual(search('-(shop OR jon)'), ['fan.page']);
+        assert.deepEqual(search('"or"'), []);
+    });
+
+    it('expands saved queries', () => {
+        const savedQueries = { Shops: 'shop', notBrands: '-tag:brand' };
+        assert.deepEqual(search('saved:shops saved:notbrands', savedQueries), ['brandshop']);
+        assert.throws(() => search('saved:loop', { loop: 'saved:loop' }), /refers to itself/);
+        assert.throws(() => search('saved:missing', savedQueries), /no saved search named "missing"/);
+    });
+
+    it('explains queries it cannot run', () => {
+        const errors = {
+            '(shop': /missing its closing "\)"/,
+            'shop)': /has no matching "\("/,
+            '/(shop/': /Invalid regular expression/,
+            '/shop': /missing its closing "\/"/,
+            '"shop': /missing its closing quote/,
+            'color:red': /Unknown filter "color:"/,
+            'category:friends': /Unknown category "friends"/,
+            'tag:': /needs a value/,
+            'followed:yesterday': /Can't read the date/,
+            'followed:2023-02-30': /not a valid date/,
+            'OR shop': /needs a term on both sides/,
+            'shop OR': /ends too early/
+        };
+        Object.entries(errors).forEach(([text, message]) => {
+            assert.throws(() => AnalyzerCore.parseSearchQuery(text), { name: 'SearchQueryError', message }, text);
+        });
+    });
+
+    it('highlights where the username terms match', () => {
+        const highlights = (text, username) => AnalyzerCore.searchQueryHighlights(AnalyzerCore.parseSearchQuery(text), username);
+        assert.deepEqual(highlights('shop', 'brandshop'), [[5, 9]]);
+        assert.deepEqual(highlights('b*sh*p', 'brandshop'), [[0, 1], [5, 7], [8, 9]]);
+        assert.deepEqual(highlights('bra OR and tag:x', 'brandshop'), [[0, 5]], 'overlapping matches are merged');
+        assert.deepEqual(highlights('~jonahtan', 'jonathan_fan'), [[0, 8]]);
+        assert.deepEqual(highlights('fan -jon', 'jonathan_fan'), [[9, 12]], 'negated terms are not highlighted');
+        assert.deepEqual(highlights('/x*/', 'jonathan'), []);
+    });
+});
+
+describe('ZIP archives', () => {
+    it('finds the relationship lists in an export ZIP, in part order', async () => {
+        const folder = 'connections/followers_and_following/';
+        const zip = new Blob([AnalyzerCore.createZip([
+            { name: `${folder}followers_2.json`, content: readFixture('multi-part/connections/followers_and_following/followers_2.json') },
+            { name: `${folder}followers_1.json`, content: readFixture('multi-part/connections/followers_and_following/followers_1.json') },
+            { name: `${folder}following.json`, content: readFixture('multi-part/connections/followers_and_following/following.json') },
+            { name: 'personal_information/personal_information.json', content: '{}' }
+        ])]);
+        const archive = await AnalyzerCore.readInstagramArchive(zip);
+        assert.deepEqual(archive.files.map(file => file.name), [
+            `${folder}followers_1.json`,
+            `${folder}followers_2.json`,
+            `${folder}following.json`
+        ]);
+        assert.deepEqual(archive.missing, []);
+        assert.ok(archive.notIncluded.includes('Close friends'));
+
+        const result = await AnalyzerCore.loadRelationshipFiles(archive.files);
+        assert.deepEqual(result.nonFollowers, ['dave']);
+    });
+
+    it('lists the required files that are missing', async () => {
+        const zip = new Blob([AnalyzerCore.createZip([
+            { name: 'followers_and_following/followers_1.json', content: readFixture('basic/followers_1.json') }
+        ])]);
+        const archive = await AnalyzerCore.readInstagramArchive(zip);
+        assert.deepEqual(archive.missing, ['connections/followers_and_following/following.json (or .html)']);
+    });
+
+    it('rejects a file that is not a ZIP', async () => {
+        await assert.rejects(AnalyzerCore.readInstagramArchive(new Blob(['not a zip'])));
+    });
+});
+
+describe('workspace bundles', () => {
+    const workspace = {
+        lists: {
+            followers: new Map([['apple', { username: 'apple', href: 'https://www.instagram.com/apple/', timestamp: 1700000000 }]]),
+            following: new Map([['banana', { username: 'banana', href: 'banana', timestamp: null }]]),
+            closeFriends: new Map()
+        },
+        annotations: { banana: { tags: ['brand'], note: 'Ask first' } },
+        ignored: new Set(['zoe', 'kiwi']),
+        reviewDecisions: { banana: { decision: 'kept', decidedAt: 1 } },
+        profileName: 'Brand'
+    };
+
+    it('round-trips the lists, tags, ignore list and review decisions', () => {
+        const bundle = JSON.parse(JSON.stringify(AnalyzerCore.createWorkspaceBundle(workspace)));
+        assert.equal(bundle.format, AnalyzerCore.WORKSPACE_FORMAT);
+        assert.deepEqual(Object.keys(bundle.lists), ['followers', 'following']);
+        assert.deepEqual(bundle.ignoreList, ['kiwi', 'zoe']);
+
+        const restored = AnalyzerCore.readWorkspaceBundle(bundle);
+        assert.deepEqual(restored.lists.followers, workspace.lists.followers);
+        assert.deepEqual(restored.lists.following, workspace.lists.following);
+        assert.equal(restored.lists.blocked.size, 0);
+        assert.deepEqual(restored.annotations, workspace.annotations);
+        assert.deepEqual(restored.ignored, ['kiwi', 'zoe']);
+        assert.deepEqual(restored.reviewDecisions, workspace.reviewDecisions);
+        assert.equal(restored.profileName, 'Brand');
+    });
+
+    it('normalizes imported tags the way the tag editor does', () => {
+        const bundle = JSON.parse(JSON.stringify(AnalyzerCore.createWorkspaceBundle(workspace)));
+        bundle.annotations.banana.tags = ['Close Friend', 'close  friend', ' VIP ', ''];
+
+        const restored = AnalyzerCore.readWorkspaceBundle(bundle);
+        assert.deepEqual(restored.annotations.banana.tags, ['close-friend', 'vip']);
+        assert.ok(AnalyzerCore.matchSearchQuery(AnalyzerCore.parseSearchQuery('tag:close-friend'), 'banana', restored));
+    });
+
+    it('leaves out tags, notes and review decisions of the wrong shape', () => {
+        const bundle = JSON.parse(JSON.stringify(AnalyzerCore.createWorkspaceBundle(workspace)));
+        bundle.annotations = {
+            ...bundle.annotations,
+            alice: { tags: 'x', note: '' },
+            bob: null,
+            carol: { tags: ['ok', 3], note: '' },
+            dave: { tags: [], note: 5 }
+        };
+        bundle.reviewDecisions = {
+            ...bundle.reviewDecisions,
+            alice: null,
+            bob: { decision: 'deleted', decidedAt: 1 },
+            carol: { decision: 'unfollowed', decidedAt: '2024-01-01' },
+            dave: { decision: 'unfollowed', decidedAt: 2, verified: 'maybe', decidedWith: 'yesterday' }
+        };
+
+        const restored = AnalyzerCore.readWorkspaceBundle(bundle);
+        assert.deepEqual(restored.annotations, workspace.annotations);
+        assert.deepEqual(restored.reviewDecisions, { ...workspace.reviewDecisions, dave: { decision: 'unfollowed', decidedAt: 2 } });
+    });
+
+    it('rejects files that are not workspaces it can read', () => {
+        const bundle = AnalyzerCore.createWorkspaceBundle(workspace);
+        assert.throws(() => AnalyzerCore.readWorkspaceBundle({ schemaVersion: 1 }), { name: 'WorkspaceError', message: /not a workspace/ });
+        assert.throws(() => AnalyzerCore.readWorkspaceBundle({ ...bundle, version: 99 }), /newer version/);
+        assert.throws(() => AnalyzerCore.readWorkspaceBundle({ ...bundle, lists: { followers: [{ href: 'x' }] } }),
+            /followers list of the workspace is damaged/);
+    });
+
+    it('encrypts with a passphrase and only decrypts with the same one', async () => {
+        const bundle = AnalyzerCore.createWorkspaceBundle(workspace);
+        const envelope = JSON.parse(JSON.stringify(await AnalyzerCore.encryptWorkspace(bundle, 'correct horse')));
+        assert.ok(AnalyzerCore.isEncryptedWorkspace(envelope));
+        assert.doesNotMatch(JSON.stringify(envelope), /banana/);
+        assert.throws(() => AnalyzerCore.readWorkspaceBundle(envelope), /needs its passphrase/);
+
+        await assert.rejects(AnalyzerCore.decryptWorkspace(envelope, 'wrong horse'), { name: 'WorkspaceError', message: /Wrong passphrase/ });
+        const restored = AnalyzerCore.readWorkspaceBundle(await AnalyzerCore.decryptWorkspace(envelope, 'correct horse'));
+        assert.deepEqual(restored.lists.following, workspace.lists.following);
+        assert.deepEqual(restored.annotations, workspace.annotations);
+    });
+
+    it('refuses key derivation settings that would freeze the page', async () => {
+        const envelope = await AnalyzerCore.encryptWorkspace(AnalyzerCore.createWorkspaceBundle(workspace), 'correct horse');
+        for (const iterations of [1e12, 1, 0, -600000]) {
+            await assert.rejects(AnalyzerCore.decryptWorkspace({ ...envelope, encrypted: { ...envelope.encrypted, iterations } }, 'correct horse'),
+                { name: 'WorkspaceError', message: /encryption settings of this workspace are damaged/ });
+        }
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for export-reader.js: loading exports from folders and ZIPs on disk.
+ */
+
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalyzerCore = require('../analyzer-core.js');
+const { loadExport } = require('../export-reader.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+describe('loadExport', () => {
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ig-export-'));
+    });
+
+    after(async () => {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('loads an extracted folder with the files at its root', async () => {
+        const data = await loadExport(path.join(FIXTURES, 'basic'));
+        assert.deepEqual([...data.lists.followers.keys()], ['apple', 'cherry']);
+        assert.deepEqual([...data.lists.following.keys()], ['banana', 'apple', 'watermelon']);
+        assert.equal(data.lists.closeFriends.size, 0);
+        assert.ok(data.notIncluded.includes('Close friends'));
+        assert.equal(data.exportDate, 1721125706 * 1000);
+    });
+
+    it('finds multi-part files in the nested export layout', async () => {
+        const data = await loadExport(path.join(FIXTURES, 'multi-part'));
+        assert.deepEqual(Object.keys(data.fileCounts), [
+            'connections/followers_and_following/followers_1.json',
+            'connections/followers_and_following/followers_2.json',
+            'connections/followers_and_following/following.json'
+        ]);
+        assert.equal(data.lists.followers.size, 3);
+    });
+
+    it('loads an export ZIP', async () => {
+        const dir = path.join(FIXTURES, 'multi-part/connections/followers_and_following');
+        const zipPath = path.join(tempDir, 'export.zip');
+        const zip = AnalyzerCore.createZip(fs.readdirSync(dir).map(name => ({
+            name: `connections/followers_and_following/${name}`,
+            content: fs.readFileSync(path.join(dir, name), 'utf8')
+        })));
+        await fs.promises.writeFile(zipPath, zip);
+
+        const data = await loadExport(zipPath);
+        assert.deepEqual(AnalyzerCore.computeNonFollowers(data.lists.following, data.lists.followers), ['dave']);
+    });
+
+    it('loads HTML exports', async () => {
+        const data = await loadExport(path.join(FIXTURES, 'html'));
+        assert.deepEqual([...data.lists.following.keys()], ['apple', 'fish.chips.co']);
+    });
+
+    it('has no export date when the lists are empty', async () => {
+        const data = await loadExport(path.join(FIXTURES, 'empty'));
+        assert.equal(data.lists.followers.size, 0);
+        assert.equal(data.exportDate, null);
+    });
+
+    it('rejects a folder without the required lists', async () => {
+        await fs.promises.mkdir(path.join(tempDir, 'partial'));
+        await fs.promises.copyFile(path.join(FIXTURES, 'basic/followers_1.json'), path.join(tempDir, 'partial/followers_1.json'));
+        await assert.rejects(loadExport(path.join(tempDir, 'partial')), /missing following\.json/);
+    });
+
+    it('rejects malformed JSON', async () => {
+        await assert.rejects(loadExport(path.join(FIXTURES, 'malformed')), /followers_1\.json: JSON Parse Error/);
+    });
+
+    it('rejects a path that does not exist', async () => {
+        await assert.rejects(loadExport(path.join(tempDir, 'nope')), { code: 'ENOENT' });
+    });
+});
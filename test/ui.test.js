@@ -0,0 +1,982 @@
+/**
+ * Page-level tests: runs index.html with analyzer-core.js and main.js in jsdom
+ * and drives it like a user would (uploads, mode switch, search, export modal).
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory } = require('fake-indexeddb');
+const AnalyzerCore = require('../analyzer-core.js');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Loads the page in jsdom. By default there are no default export files to fetch,
+ * no Worker (the load pipeline runs on the page) and no IndexedDB, as on a page
+ * opened straight from disk in a restrictive browser.
+ * @param {string} [url='http://localhost/'] - Page URL, e.g. with query parameters.
+ * @param {object} [options]
+ * @param {object} [options.indexedDB] - An IDBFactory for the snapshot history (e.g. a fake-indexeddb one).
+ * @param {string} [options.staticExport] - Fixture folder served as the default export files next to the page.
+ * @returns {Promise<{window: object, document: object, downloads: Array<{fileName: string, content: Blob}>}>}
+ */
+async function loadApp(url = 'http://localhost/', { indexedDB = null, staticExport = null } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script\b[^>]*\bsrc="[^"]*"[^>]*><\/script>/g, '');
+    const dom = new JSDOM(html, {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole() // The app logs progress; keep test output clean
+    });
+    const { window } = dom;
+
+    window.fetch = async (fileName) => {
+        const file = staticExport && path.join(FIXTURES, staticExport, fileName);
+        if (!file || !fs.existsSync(file)) return { ok: false, status: 404, text: async () => '' };
+        return { ok: true, status: 200, text: async () => fs.readFileSync(file, 'utf8') };
+    };
+    if (indexedDB) window.indexedDB = indexedDB;
+    const downloads = [];
+    window.URL.createObjectURL = blob => {
+        downloads.push({ content: blob });
+        return 'blob:test';
+    };
+    window.URL.revokeObjectURL = () => {};
+    window.HTMLAnchorElement.prototype.click = function() {
+        if (this.download) downloads[downloads.length - 1].fileName = this.download;
+    };
+
+    ['analyzer-core.js', 'main.js'].forEach(file => window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8')));
+    // jsdom fires DOMContentLoaded itself after this synchronous setup; dispatching it
+    // here as well would initialize the page twice and register every listener twice
+    // Initialization ends with the load of the default export files (failing unless staticExport is set)
+    await waitFor(() => staticExport
+        ? [...window.document.querySelectorAll('#toast-container .toast')].some(toast => toast.textContent.includes('Analysis complete!'))
+        : window.document.querySelector('.error'));
+
+    return { window, document: window.document, downloads };
+}
+
+/**
+ * Polls until `check` returns something truthy.
+ * @param {function(): any} check
+ * @param {number} [timeout=3000]
+ * @returns {Promise<any>} - The value returned by `check`.
+ */
+async function waitFor(check, timeout = 3000) {
+    const start = Date.now();
+    for (;;) {
+        const value = check();
+        if (value) return value;
+        if (Date.now() - start > timeout) throw new Error(`Timed out waiting for ${check}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Selects fixture files in one of the page's file inputs.
+ * @param {object} app - From loadApp().
+ * @param {string} inputId
+ * @param {string|string[]} fixtures - Path(s) below test/fixtures/.
+ */
+function upload(app, inputId, fixtures) {
+    const { window, document } = app;
+    const input = document.getElementById(inputId);
+    const files = [].concat(fixtures).map(fixture => new window.File([fs.readFileSync(path.join(FIXTURES, fixture))], path.basename(fixture)));
+    Object.defineProperty(input, 'files', { value: files, configurable: true });
+    input.dispatchEvent(new window.Event('change'));
+}
+
+/**
+ * Uploads a followers and a following fixture and waits for the results.
+ * @param {object} app - From loadApp().
+ * @param {string} folder - Fixture folder holding followers_1 and following files.
+ * @param {string} [extension='json']
+ */
+async function uploadExport(app, folder, extension = 'json') {
+    upload(app, 'followersFile', `${folder}/followers_1.${extension}`);
+    await waitFor(() => toasts(app).some(text => text.includes('Please upload the following file')));
+    upload(app, 'followingFile', `${folder}/following.${extension}`);
+    await waitFor(() => app.document.getElementById('totalFollowing').textContent !== '0');
+}
+
+/**
+ * Usernames of the rows in the results list.
+ * @param {object} app
+ * @returns {string[]}
+ */
+function listedUsers(app) {
+    return [...app.document.querySelectorAll('#users-list .user-info > a')].map(link => link.textContent.trim());
+}
+
+/**
+ * Texts of the toasts shown so far.
+ * @param {object} app
+ * @returns {string[]}
+ */
+function toasts(app) {
+    return [...app.document.querySelectorAll('#toast-container .toast')].map(toast => toast.textContent.trim());
+}
+
+describe('renderResults', () => {
+    let app;
+    beforeEach(async () => { app = await loadApp(); });
+    afterEach(() => app.window.close());
+
+    it('lists the non-followers and updates the stats', async () => {
+        await uploadExport(app, 'basic');
+        assert.deepEqual(listedUsers(app), ['@banana', '@watermelon']);
+        assert.deepEqual(['totalFollowers', 'totalFollowing', 'modeCount'].map(id => app.document.getElementById(id).textContent), ['2', '3', '2']);
+    });
+
+    it('links bare-name hrefs to the full profile URL', async () => {
+        await uploadExport(app, 'basic');
+        const link = app.document.querySelector('#users-list .user-info > a');
+        assert.equal(link.href, 'https://www.instagram.com/banana/');
+    });
+
+    it('shows the accounts of the selected relationship mode', async () => {
+        await uploadExport(app, 'basic');
+        app.document.querySelector('.mode-btn[data-mode="fans"]').click();
+        assert.deepEqual(listedUsers(app), ['@cherry']);
+        app.document.querySelector('.mode-btn[data-mode="mutuals"]').click();
+        assert.deepEqual(listedUsers(app), ['@apple']);
+    });
+
+    it('filters the list by search text', async () => {
+        await uploadExport(app, 'basic');
+        const search = app.document.getElementById('searchInput');
+        search.value = 'water';
+        search.dispatchEvent(new app.window.Event('input'));
+        await waitFor(() => listedUsers(app).length === 1);
+        assert.deepEqual(listedUsers(app), ['@watermelon']);
+    });
+
+    it('collapses duplicate and mixed-case usernames', async () => {
+        await uploadExport(app, 'duplicates');
+        assert.deepEqual(listedUsers(app), ['@carol']);
+        assert.equal(app.document.getElementById('totalFollowers').textContent, '2');
+    });
+
+    it('loads title-based exports and says which layout matched', async () => {
+        await uploadExport(app, 'title-based');
+        assert.deepEqual(listedUsers(app), ['@banana', '@watermelon']);
+        assert.ok(toasts(app).includes('Read following.json as JSON with usernames in "title" (layout v3).'));
+    });
+
+    it('loads HTML exports', async () => {
+        await uploadExport(app, 'html', 'html');
+        assert.deepEqual(listedUsers(app), ['@fish.chips.co']);
+    });
+
+    it('merges multi-part files selected together, like the parts in a ZIP', async () => {
+        const dir = 'multi-part/connections/followers_and_following';
+        upload(app, 'followersFile', [`${dir}/followers_2.json`, `${dir}/followers_1.json`]);
+        await waitFor(() => toasts(app).some(text => text.includes('Please upload the following file')));
+        upload(app, 'followingFile', `${dir}/following.json`);
+        await waitFor(() => app.document.getElementById('totalFollowing').textContent !== '0');
+        const fromFiles = { users: listedUsers(app), followers: app.document.getElementById('totalFollowers').textContent };
+        assert.deepEqual(fromFiles, { users: ['@dave'], followers: '3' });
+
+        const zipApp = await loadApp();
+        try {
+            const zip = AnalyzerCore.createZip(fs.readdirSync(path.join(FIXTURES, dir)).map(name => ({
+                name: `connections/followers_and_following/${name}`,
+                content: fs.readFileSync(path.join(FIXTURES, dir, name), 'utf8')
+            })));
+            const input = zipApp.document.getElementById('archiveFile');
+            Object.defineProperty(input, 'files', { value: [new zipApp.window.File([zip], 'export.zip')], configurable: true });
+            input.dispatchEvent(new zipApp.window.Event('change'));
+            await waitFor(() => zipApp.document.getElementById('totalFollowing').textContent !== '0');
+            assert.deepEqual({ users: listedUsers(zipApp), followers: zipApp.document.getElementById('totalFollowers').textContent }, fromFiles);
+        } finally {
+            zipApp.window.close();
+        }
+    });
+
+    it('recomputes the non-followers when both lists are replaced at once', async () => {
+        await uploadExport(app, 'basic');
+        upload(app, 'followingFile', 'html/following.html');
+        upload(app, 'followersFile', 'html/followers_1.html'); // Finishes last, started with the old following list
+        await waitFor(() => ['followers_1.html', 'following.html']
+            .every(name => toasts(app).some(text => text.startsWith(`Read ${name}`))));
+        assert.deepEqual(listedUsers(app), ['@fish.chips.co']);
+    });
+});
+
+describe('search box', () => {
+    let app;
+    beforeEach(async () => {
+        app = await loadApp();
+        await uploadExport(app, 'basic');
+    });
+    afterEach(() => app.window.close());
+
+    /**
+     * Types a query and waits for the debounced search.
+     * @param {string} text
+     */
+    async function search(text) {
+        const input = app.document.getElementById('searchInput');
+        input.value = text;
+        input.dispatchEvent(new app.window.Event('input'));
+        await new Promise(resolve => setTimeout(resolve, 350));
+    }
+
+    it('runs structured queries and highlights the matches', async () => {
+        app.document.querySelector('.mode-btn[data-mode="all"]').click();
+        await search('*a followed:>=2024 OR ~chery');
+        assert.deepEqual(listedUsers(app), ['@banana', '@cherry']);
+        const marks = [...app.document.querySelectorAll('#users-list mark.search-match')].map(mark => mark.textContent);
+        assert.deepEqual(marks, ['a', 'cherry']);
+    });
+
+    it('explains a query it cannot run', async () => {
+        await search('category:friends');
+        assert.deepEqual(listedUsers(app), []);
+        assert.match(app.document.querySelector('#users-list .search-error').textContent, /Unknown category "friends"/);
+        assert.equal(app.document.getElementById('searchInput').getAttribute('aria-invalid'), 'true');
+        await search('water');
+        assert.deepEqual(listedUsers(app), ['@watermelon']);
+    });
+
+    it('saves named queries as reusable filters', async () => {
+        app.window.prompt = () => 'Fruit';
+        await search('-ban*');
+        app.document.getElementById('saveSearchButton').click();
+        assert.ok(toasts(app).includes('Saved search "Fruit". Use it with saved:Fruit.'));
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem('savedQueries')), { Fruit: '-ban*' });
+
+        await search('');
+        app.document.querySelector('[data-saved-query="Fruit"]').click();
+        assert.equal(app.document.getElementById('searchInput').value, '-ban*');
+        assert.deepEqual(listedUsers(app), ['@watermelon']);
+
+        await search('saved:fruit water');
+        assert.deepEqual(listedUsers(app), ['@watermelon']);
+        app.document.querySelector('[data-delete-query="Fruit"]').click();
+        assert.equal(app.document.querySelector('[data-saved-query]'), null);
+        assert.match(app.document.querySelector('#users-list .search-error').textContent, /no saved search named "fruit"/);
+    });
+});
+
+describe('sorting', () => {
+    let app;
+    afterEach(() => app.window.close());
+
+    /**
+     * Picks a key in one of the sort dropdowns.
+     * @param {number} level
+     * @param {string} key
+     */
+    function sortBy(level, key) {
+        const select = app.document.getElementById(`sortKey${level}`);
+        select.value = key;
+        select.dispatchEvent(new app.window.Event('change', { bubbles: true }));
+    }
+    const directionButton = level => app.document.querySelector(`button[data-sort-level="${level}"]`);
+
+    it('sorts by other keys and keeps the order in the URL', async () => {
+        app = await loadApp();
+        await uploadExport(app, 'basic');
+        assert.deepEqual(listedUsers(app), ['@banana', '@watermelon']);
+
+        sortBy(0, 'followedAt');
+        assert.deepEqual(listedUsers(app), ['@watermelon', '@banana']);
+        assert.equal(directionButton(0).textContent.trim(), 'Oldest first');
+        assert.equal(app.window.location.search, '?sort=followedAt');
+
+        directionButton(0).click();
+        assert.deepEqual(listedUsers(app), ['@banana', '@watermelon']);
+        assert.equal(app.window.location.search, '?sort=-followedAt');
+
+        sortBy(0, 'username');
+        assert.equal(app.window.location.search, '', 'the default order leaves the URL clean');
+    });
+
+    it('breaks ties with the "then by" key', async () => {
+        app = await loadApp();
+        await uploadExport(app, 'basic');
+        app.document.querySelector('.mode-btn[data-mode="all"]').click();
+        assert.equal(app.document.getElementById('sortKey1').closest('.sort-level').hidden, false);
+        sortBy(0, 'length');
+        assert.deepEqual(listedUsers(app), ['@apple', '@banana', '@cherry', '@watermelon']);
+        sortBy(1, 'followedYouAt');
+        directionButton(1).click();
+        assert.deepEqual(listedUsers(app), ['@apple', '@cherry', '@banana', '@watermelon'],
+            'followers first, newest first; accounts without the date last');
+        assert.equal(app.window.location.search, '?sort=length%2C-followedYouAt');
+
+        sortBy(1, '');
+        assert.deepEqual(listedUsers(app), ['@apple', '@banana', '@cherry', '@watermelon']);
+    });
+
+    it('reproduces the order of a shared link', async () => {
+        app = await loadApp('http://localhost/?sort=-length,bogus');
+        await uploadExport(app, 'basic');
+        app.document.querySelector('.mode-btn[data-mode="all"]').click();
+        assert.equal(app.document.getElementById('sortKey0').value, 'length');
+        assert.equal(directionButton(0).textContent.trim(), 'Longest first');
+        assert.deepEqual(listedUsers(app), ['@watermelon', '@banana', '@cherry', '@apple']);
+    });
+});
+
+describe('smart suggestions', () => {
+    let app;
+    beforeEach(async () => {
+        app = await loadApp();
+        await uploadExport(app, 'basic');
+    });
+    afterEach(() => app.window.close());
+
+    const suggestion = ruleId => app.document.querySelector(`#aiSuggestions .ai-suggestion[data-rule="${ruleId}"]`);
+    const actionButton = (ruleId, action) => suggestion(ruleId).querySelector(`[data-action="${action}"]`);
+
+    it('lists what the enabled rules found', () => {
+        const rules = [...app.document.querySelectorAll('#aiSuggestions .ai-suggestion')].map(item => item.getAttribute('data-rule'));
+        assert.deepEqual(rules, ['staleNonFollowers', 'followRatio']);
+        assert.match(suggestion('staleNonFollowers').textContent, /You followed 2 accounts over 365 days ago/);
+        assert.deepEqual([...suggestion('staleNonFollowers').querySelectorAll('button')].map(button => button.getAttribute('data-action')),
+            ['filter', 'review', 'export']);
+        assert.match(suggestion('followRatio').textContent, /ratio is 0\.67/);
+    });
+
+    it('shows a rule\'s accounts in the list until another chip is picked', () => {
+        app.document.querySelector('.mode-btn[data-mode="fans"]').click();
+        actionButton('staleNonFollowers', 'filter').click();
+        assert.equal(app.document.querySelector('.mode-btn.active').getAttribute('data-mode'), 'notFollowingBack');
+        assert.equal(app.document.querySelector('.filter-chip.active').textContent, 'Suggestion: Long-time non-followers (2)');
+        assert.deepEqual(listedUsers(app), ['@banana', '@watermelon']);
+        app.document.querySelector('.filter-chip[data-filter="all"]').click();
+        assert.equal(app.document.querySelector('.filter-chip[data-filter="suggestion"]'), null);
+    });
+
+    it('exports only a rule\'s accounts', async () => {
+        app.document.querySelector('.mode-btn[data-mode="mutuals"]').click();
+        actionButton('staleNonFollowers', 'export').click();
+        assert.equal(app.document.querySelector('#exportModal h3').textContent, 'Export: Long-time non-followers');
+        app.document.getElementById('exportFormat').value = 'txt';
+        app.document.getElementById('performExportButton').click();
+        const download = await waitFor(() => app.downloads.find(item => item.fileName));
+        assert.match(download.fileName, /^instagram_stale_non_followers_.*\.txt$/);
+        const lines = (await download.content.text()).trim().split('\n');
+        assert.deepEqual(lines.map(line => line.split(' | ')[0]), ['@banana', '@watermelon']);
+    });
+
+    it('puts a rule\'s accounts first in the review queue', () => {
+        actionButton('staleNonFollowers', 'review').click();
+        assert.equal(app.document.getElementById('reviewModal').style.display, 'block');
+        assert.match(app.document.getElementById('reviewCurrent').textContent, /@banana/);
+    });
+
+    it('lets rules be turned off', async () => {
+        const checkbox = app.document.querySelector('#suggestionRuleToggles input[data-rule="followRatio"]');
+        checkbox.checked = false;
+        checkbox.dispatchEvent(new app.window.Event('change', { bubbles: true }));
+        assert.equal(suggestion('followRatio'), null);
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem('disabledSuggestionRules')), ['followRatio']);
+        assert.ok(suggestion('staleNonFollowers'));
+    });
+});
+
+describe('review queue', () => {
+    let app;
+    beforeEach(async () => {
+        app = await loadApp();
+        await uploadExport(app, 'basic');
+        app.document.querySelector('.review-btn[data-username="banana"]').click();
+        app.document.querySelector('#reviewActions [data-review="unfollowed"]').click();
+        app.document.querySelector('#reviewModal .close').click();
+    });
+    afterEach(() => app.window.close());
+
+    /**
+     * Loads both files of a fixture export again and waits until they are analyzed.
+     * @param {string} folder
+     */
+    async function reloadExport(folder) {
+        const analyzed = toasts(app).filter(text => text === 'Analysis complete!').length;
+        upload(app, 'followersFile', `${folder}/followers_1.json`);
+        upload(app, 'followingFile', `${folder}/following.json`);
+        // Each file is analyzed as it arrives: the second run has both new lists
+        await waitFor(() => toasts(app).filter(text => text === 'Analysis complete!').length === analyzed + 2);
+    }
+
+    const decision = username => JSON.parse(app.window.localStorage.getItem('reviewDecisions'))[username];
+
+    it('does not flag unfollows when the same export is loaded again', async () => {
+        await reloadExport('basic');
+        assert.equal(decision('banana').verified, undefined);
+        assert.ok(!toasts(app).some(text => text.includes('still followed')));
+    });
+
+    it('confirms unfollows with a newer export', async () => {
+        await reloadExport('later');
+        assert.equal(decision('banana').verified, 'left');
+        assert.ok(toasts(app).includes('All 1 unfollow(s) confirmed by the new export.'));
+    });
+});
+
+describe('snapshot history', () => {
+    let app;
+    let indexedDB;
+    beforeEach(() => { indexedDB = new IDBFactory(); });
+    afterEach(() => app.window.close());
+
+    /**
+     * Reads every stored snapshot straight from the database.
+     * @returns {Promise<object[]>}
+     */
+    function storedSnapshots() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('instagramAnalyzer');
+            request.onsuccess = () => {
+                const read = request.result.transaction('snapshots').objectStore('snapshots').getAll();
+                read.onsuccess = () => {
+                    request.result.close();
+                    resolve(read.result);
+                };
+                read.onerror = () => reject(read.error);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    const savedCount = () => toasts(app).filter(text => text === 'Snapshot saved to history.').length;
+
+    /**
+     * Loads both files of a fixture export into the page that already has lists, waits for the analysis
+     * and gives a snapshot save time to finish.
+     * @param {string} folder
+     */
+    async function reloadExport(folder) {
+        const analyzed = toasts(app).filter(text => text === 'Analysis complete!').length;
+        upload(app, 'followersFile', `${folder}/followers_1.json`);
+        upload(app, 'followingFile', `${folder}/following.json`);
+        await waitFor(() => toasts(app).filter(text => text === 'Analysis complete!').length === analyzed + 2);
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    it('keeps the default files next to the page out of the history', async () => {
+        app = await loadApp(undefined, { indexedDB, staticExport: 'basic' });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal((await storedSnapshots()).length, 0);
+
+        await reloadExport('basic');
+        assert.equal(savedCount(), 1, 'the same files uploaded by the user are saved');
+    });
+
+    it('does not store an older export again', async () => {
+        app = await loadApp(undefined, { indexedDB });
+        await uploadExport(app, 'later');
+        await waitFor(() => savedCount() === 1);
+        await reloadExport('basic');
+        await waitFor(() => savedCount() === 2);
+        await reloadExport('later');
+        await reloadExport('basic');
+        assert.equal(savedCount(), 2);
+        assert.equal((await storedSnapshots()).length, 2);
+        assert.equal(app.document.querySelectorAll('#snapshotList .snapshot-item').length, 2);
+    });
+});
+
+describe('export modal', () => {
+    let app;
+    beforeEach(async () => { app = await loadApp(); });
+    afterEach(() => app.window.close());
+
+    it('says there is nothing to export before data is loaded', () => {
+        app.document.getElementById('exportButton').click();
+        assert.notEqual(app.document.getElementById('exportModal').style.display, 'block');
+        assert.ok(toasts(app).includes('No non-followers to export.'));
+    });
+
+    it('previews the selected format and downloads the file', async () => {
+        await uploadExport(app, 'basic');
+        app.document.getElementById('exportButton').click();
+        assert.equal(app.document.getElementById('exportModal').style.display, 'block');
+        assert.match(app.document.getElementById('exportPreview').textContent, /^@banana/);
+
+        const format = app.document.getElementById('exportFormat');
+        format.value = 'csv';
+        format.dispatchEvent(new app.window.Event('change'));
+        const preview = app.document.getElementById('exportPreview').textContent;
+        assert.match(preview, /^Username,Profile URL,/);
+        assert.match(preview, /@banana,https:\/\/www\.instagram\.com\/banana\/,2024-07-16/);
+
+        app.document.getElementById('performExportButton').click();
+        const download = await waitFor(() => app.downloads.find(item => item.fileName));
+        assert.match(download.fileName, /^instagram_non_followers_.*\.csv$/);
+        assert.match(await download.content.text(), /@watermelon/);
+    });
+
+    it('leaves out unticked columns', async () => {
+        await uploadExport(app, 'basic');
+        app.document.getElementById('exportButton').click();
+        const format = app.document.getElementById('exportFormat');
+        format.value = 'json';
+        format.dispatchEvent(new app.window.Event('change'));
+
+        const columns = app.document.getElementById('exportColumns');
+        columns.querySelectorAll('input[data-column]').forEach(checkbox => {
+            if (checkbox.dataset.column !== 'username' && checkbox.checked) {
+                checkbox.checked = false;
+                checkbox.dispatchEvent(new app.window.Event('change', { bubbles: true }));
+            }
+        });
+        const data = JSON.parse(app.document.getElementById('exportPreview').textContent);
+        assert.deepEqual(data.columns, ['username']);
+        assert.deepEqual(data.accounts, [{ username: '@banana' }, { username: '@watermelon' }]);
+    });
+});
+
+describe('import report', () => {
+    let app;
+    beforeEach(async () => { app = await loadApp(); });
+    afterEach(() => app.window.close());
+
+    it('lists the issues of each loaded file', async () => {
+        await uploadExport(app, 'duplicates');
+        const panel = app.document.getElementById('importReport');
+        assert.equal(panel.hidden, false);
+        assert.equal(app.document.getElementById('importReportSummary').textContent, '4 entries with issues');
+        const text = app.document.getElementById('importReportBody').textContent;
+        assert.match(text, /Followers: followers_1\.json \(JSON list \(layout v1\)\) — 4 entries, 2 accounts/);
+        assert.match(text, /Duplicates collapsed \(same username in any letter case\): 2/);
+        assert.match(text, /@alice: "ALICE" \(entry 3\)/);
+        assert.match(text, /Following: following\.json .*Duplicates collapsed .*: 1/);
+    });
+
+    it('warns when the files look like different exports', async () => {
+        const { window, document } = app;
+        [['followersFile', 'followers_1.json', Date.UTC(2024, 0, 1)], ['followingFile', 'following.json', Date.UTC(2024, 6, 1)]]
+            .forEach(([inputId, name, lastModified]) => {
+                const input = document.getElementById(inputId);
+                const file = new window.File([fs.readFileSync(path.join(FIXTURES, 'basic', name))], name, { lastModified });
+                Object.defineProperty(input, 'files', { value: [file], configurable: true });
+                input.dispatchEvent(new window.Event('change'));
+            });
+        const warning = await waitFor(() => document.querySelector('.import-report-warnings li'));
+        assert.match(warning.textContent, /dated 2024-01-01 but the following file 2024-07-01/);
+        assert.equal(document.getElementById('importReport').open, true);
+    });
+
+    it('downloads the report as JSON', async () => {
+        await uploadExport(app, 'basic');
+        app.document.getElementById('downloadImportReportButton').click();
+        const download = await waitFor(() => app.downloads.find(item => item.fileName));
+        assert.match(download.fileName, /^instagram_import_report_.*\.json$/);
+        const report = JSON.parse(await download.content.text());
+        assert.deepEqual(report.files.map(file => [file.listKey, file.layout.id, file.issues.malformedHref.count]),
+            [['followers', 'array', 1], ['following', 'wrapped', 1]]);
+        assert.deepEqual(report.totals, { followers: 2, following: 3 });
+    });
+});
+
+describe('upload errors', () => {
+    let app;
+    beforeEach(async () => { app = await loadApp(); });
+    afterEach(() => app.window.close());
+
+    it('reports malformed JSON with the file name', async () => {
+        upload(app, 'followersFile', 'malformed/followers_1.json');
+        const error = await waitFor(() => [...app.document.querySelectorAll('.error')]
+            .find(element => element.textContent.includes('Invalid followers file')));
+        assert.match(error.textContent, /Invalid followers file "followers_1\.json": followers_1\.json: JSON Parse Error/);
+        assert.equal(app.document.getElementById('followersFile').value, '');
+    });
+
+    it('reports an HTML page that is not an Instagram export', async () => {
+        const { window, document } = app;
+        const input = document.getElementById('followingFile');
+        const file = new window.File(['<html><body><p>Hello</p></body></html>'], 'following.html');
+        Object.defineProperty(input, 'files', { value: [file], configurable: true });
+        input.dispatchEvent(new window.Event('change'));
+        const error = await waitFor(() => [...document.querySelectorAll('.error')]
+            .find(element => element.textContent.includes('Invalid following file')));
+        assert.match(error.textContent, /does not look like an Instagram export/);
+    });
+
+    it('keeps the other file after a failed upload', async () => {
+        upload(app, 'followingFile', 'basic/following.json');
+        await waitFor(() => toasts(app).some(text => text.includes('Please upload the followers file')));
+        upload(app, 'followersFile', 'malformed/followers_1.json');
+        await waitFor(() => app.document.querySelector('.error')?.textContent.includes('Invalid followers file'));
+        upload(app, 'followersFile', 'basic/followers_1.json');
+        await waitFor(() => listedUsers(app).length > 0);
+        assert.deepEqual(listedUsers(app), ['@banana', '@watermelon']);
+    });
+});
+
+describe('account profiles', () => {
+    let app;
+    beforeEach(async () => { app = await loadApp(); });
+    afterEach(() => app.window.close());
+
+    /**
+     * Adds a profile through the header's "+" button; the page switches to it.
+     * @param {string} name
+     */
+    async function createProfile(name) {
+        app.window.prompt = () => name;
+        app.document.getElementById('newProfileButton').click();
+        await waitFor(() => toasts(app).includes(`Switched to ${name}.`));
+    }
+
+    /**
+     * Picks a profile in the header's switcher.
+     * @param {string} name
+     */
+    async function switchTo(name) {
+        const select = app.document.getElementById('profileSelect');
+        select.value = [...select.options].find(option => option.textContent === name).value;
+        select.dispatchEvent(new app.window.Event('change'));
+        await waitFor(() => toasts(app).includes(`Switched to ${name}.`));
+    }
+
+    it('keeps uploads and the ignore list per profile', async () => {
+        await uploadExport(app, 'basic');
+        app.document.querySelector('.ignore-btn[data-username="banana"]').click();
+        assert.deepEqual(listedUsers(app), ['@watermelon']);
+
+        await createProfile('Brand');
+        assert.deepEqual([...app.document.querySelectorAll('#profileSelect option')].map(option => option.textContent), ['My account', 'Brand']);
+        assert.equal(app.document.getElementById('totalFollowers').textContent, '0');
+        assert.deepEqual(listedUsers(app), []);
+        assert.equal(app.document.getElementById('followersFileName').textContent, 'No file selected');
+
+        await uploadExport(app, 'basic');
+        assert.deepEqual(listedUsers(app), ['@banana', '@watermelon']);
+        app.document.querySelector('.ignore-btn[data-username="watermelon"]').click();
+        const brandId = app.window.localStorage.getItem('activeProfile');
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem(`profile:${brandId}:ignoreList`)), ['watermelon']);
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem('ignoreList')), ['banana']);
+
+        await switchTo('My account');
+        assert.deepEqual(listedUsers(app), ['@watermelon']);
+        assert.equal(app.document.getElementById('totalFollowing').textContent, '3');
+    });
+
+    it('renames and deletes profiles', async () => {
+        await createProfile('Brand');
+        const brandId = app.window.localStorage.getItem('activeProfile');
+        app.window.localStorage.setItem(`profile:${brandId}:savedQueries`, '{"x":"y"}');
+
+        app.window.prompt = () => 'my account';
+        app.document.getElementById('renameProfileButton').click();
+        assert.ok(toasts(app).includes('There is already a profile named "my account".'));
+        app.window.prompt = () => 'Shop';
+        app.document.getElementById('renameProfileButton').click();
+        assert.equal(app.document.querySelector('#profileSelect option:checked').textContent, 'Shop');
+
+        app.window.confirm = () => true;
+        app.document.getElementById('deleteProfileButton').click();
+        await waitFor(() => toasts(app).includes('Deleted the profile "Shop".'));
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem('profiles')), [{ id: 'default', name: 'My account' }]);
+        assert.equal(app.window.localStorage.getItem(`profile:${brandId}:savedQueries`), null);
+        assert.equal(app.document.getElementById('deleteProfileButton').disabled, true);
+    });
+
+    it('shows who follows one profile but not another', async () => {
+        await uploadExport(app, 'basic');
+        await createProfile('Brand');
+        await uploadExport(app, 'html', 'html');
+
+        app.document.getElementById('overlapFirst').value = app.window.localStorage.getItem('activeProfile');
+        app.document.getElementById('overlapSecond').value = 'default';
+        app.document.getElementById('overlapCompareButton').click();
+        const groups = await waitFor(() => app.document.querySelectorAll('#overlapResults .snapshot-diff-group').length &&
+            [...app.document.querySelectorAll('#overlapResults .snapshot-diff-group')].map(group =>
+                [group.querySelector('h4').textContent.trim(), [...group.querySelectorAll('a')].map(link => link.textContent)]));
+        assert.deepEqual(groups, [
+            ['Follow Brand but not My account (1)', ['@o.neil_x']],
+            ['Follow both (1)', ['@apple']],
+            ['Follow My account but not Brand (1)', ['@cherry']]
+        ]);
+    });
+});
+
+describe('workspace bundles', () => {
+    let app;
+    beforeEach(async () => { app = await loadApp(); });
+    afterEach(() => app.window.close());
+
+    /**
+     * Uploads the basic export, ignores banana and tags watermelon.
+     */
+    async function prepareWorkspace() {
+        await uploadExport(app, 'basic');
+        app.document.querySelector('.ignore-btn[data-username="banana"]').click();
+        app.document.querySelector('.tag-btn[data-username="watermelon"]').click();
+        app.document.getElementById('annotationTags').value = 'fruit';
+        app.document.getElementById('annotationSaveButton').click();
+    }
+
+    /**
+     * Exports the workspace through the dialog and returns the downloaded file's text.
+     * @param {string} passphrase
+     * @returns {Promise<string>}
+     */
+    async function exportWorkspace(passphrase) {
+        app.document.getElementById('exportWorkspaceButton').click();
+        app.document.getElementById('workspacePassphrase').value = passphrase;
+        app.document.getElementById('workspacePassphraseConfirm').value = passphrase;
+        app.document.querySelector('#workspaceForm button[type="submit"]').click();
+        const download = await waitFor(() => app.downloads.find(file => file.fileName?.startsWith('instagram_workspace_')));
+        return download.content.text();
+    }
+
+    /**
+     * Opens a workspace file in a fresh page.
+     * @param {string} content
+     * @returns {Promise<object>} - The new app.
+     */
+    async function importInFreshPage(content) {
+        app.window.close();
+        app = await loadApp();
+        const input = app.document.getElementById('workspaceFile');
+        const file = new app.window.File([content], 'workspace.json');
+        Object.defineProperty(input, 'files', { value: [file], configurable: true });
+        input.dispatchEvent(new app.window.Event('change'));
+        return app;
+    }
+
+    it('restores the lists, tags and ignore list on another machine', async () => {
+        await prepareWorkspace();
+        const content = await exportWorkspace('');
+        assert.equal(JSON.parse(content).format, 'ig-analyzer-workspace');
+
+        await importInFreshPage(content);
+        await waitFor(() => toasts(app).includes('Imported workspace "workspace.json" (My account).'));
+        assert.deepEqual(listedUsers(app), ['@watermelon']);
+        assert.equal(app.document.getElementById('totalFollowing').textContent, '3');
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem('ignoreList')), ['banana']);
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem('annotations')).watermelon.tags, ['fruit']);
+    });
+
+    it('asks for the passphrase of an encrypted workspace', async () => {
+        const { webcrypto } = require('crypto');
+        Object.defineProperty(app.window, 'crypto', { value: webcrypto, configurable: true });
+        await prepareWorkspace();
+        const content = await exportWorkspace('correct horse');
+        assert.doesNotMatch(content, /watermelon/);
+
+        await importInFreshPage(content);
+        Object.defineProperty(app.window, 'crypto', { value: webcrypto, configurable: true });
+        const modal = app.document.getElementById('workspaceModal');
+        await waitFor(() => modal.style.display === 'block');
+        assert.equal(app.document.getElementById('workspaceConfirmGroup').hidden, true);
+
+        app.document.getElementById('workspacePassphrase').value = 'wrong horse';
+        app.document.querySelector('#workspaceForm button[type="submit"]').click();
+        await waitFor(() => toasts(app).includes('Wrong passphrase, or the file is damaged.'), 10000);
+        app.document.getElementById('workspacePassphrase').value = 'correct horse';
+        app.document.querySelector('#workspaceForm button[type="submit"]').click();
+        await waitFor(() => listedUsers(app).length > 0, 10000);
+        assert.deepEqual(listedUsers(app), ['@watermelon']);
+        assert.equal(modal.style.display, 'none');
+    });
+
+    it('shows an error when applying an unlocked workspace fails', async () => {
+        const { webcrypto } = require('crypto');
+        Object.defineProperty(app.window, 'crypto', { value: webcrypto, configurable: true });
+        await prepareWorkspace();
+        const content = await exportWorkspace('correct horse');
+
+        await importInFreshPage(content);
+        Object.defineProperty(app.window, 'crypto', { value: webcrypto, configurable: true });
+        await waitFor(() => app.document.getElementById('workspaceModal').style.display === 'block');
+        await uploadExport(app, 'basic');
+        app.window.confirm = () => { throw new Error('Dialogs are blocked'); };
+        app.window.console.error = () => {};
+        app.document.getElementById('workspacePassphrase').value = 'correct horse';
+        app.document.querySelector('#workspaceForm button[type="submit"]').click();
+        await waitFor(() => toasts(app).includes('Could not import "workspace.json": Dialogs are blocked'), 10000);
+    });
+
+    it('shows the names from the file as text', async () => {
+        await prepareWorkspace();
+        const bundle = JSON.parse(await exportWorkspace(''));
+        bundle.profileName = '<img src=x onerror="window.injected = true">';
+
+        await importInFreshPage(JSON.stringify(bundle));
+        await waitFor(() => toasts(app).includes(`Imported workspace "workspace.json" (${bundle.profileName}).`));
+        assert.equal(app.document.querySelector('#toast-container img'), null);
+    });
+
+    it('still renders the list when tags or review decisions in the file are damaged', async () => {
+        await prepareWorkspace();
+        const bundle = JSON.parse(await exportWorkspace(''));
+        bundle.annotations.watermelon = { tags: 'fruit', note: '' };
+        bundle.reviewDecisions = { watermelon: null, banana: { decision: 'unfollowed', decidedAt: 'today' } };
+
+        await importInFreshPage(JSON.stringify(bundle));
+        await waitFor(() => toasts(app).some(text => text.startsWith('Imported workspace')));
+        assert.deepEqual(listedUsers(app), ['@watermelon']);
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem('annotations')), {});
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem('reviewDecisions')), {});
+        app.document.getElementById('reviewButton').click();
+        assert.match(app.document.getElementById('reviewCurrent').textContent, /@watermelon/);
+    });
+
+    it('rejects a file that is not a workspace', async () => {
+        await importInFreshPage('{"schemaVersion": 1}');
+        await waitFor(() => toasts(app).includes('Could not import "workspace.json": This is not a workspace file.'));
+    });
+});
+
+describe('offline support', () => {
+    it('loads no stylesheets, scripts or fonts from other sites', () => {
+        const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        const css = fs.readFileSync(path.join(ROOT, 'styles.css'), 'utf8');
+        const resources = [...html.matchAll(/<(?:link|script)\b[^>]*\b(?:href|src)="([^"]+)"/g)].map(match => match[1])
+            .concat([...css.matchAll(/(?:@import|url)\(\s*['"]?([^'")]+)/g)].map(match => match[1]));
+        assert.ok(resources.length > 0);
+        resources.forEach(resource => {
+            assert.doesNotMatch(resource, /^(https?:)?\/\//, `${resource} is loaded from another site`);
+            assert.ok(fs.existsSync(path.join(ROOT, resource)), `${resource} is missing`);
+        });
+    });
+
+    it('caches every app shell file the service worker lists', () => {
+        const source = fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf8');
+        const shell = [.../const APP_SHELL = \[([\s\S]*?)\];/.exec(source)[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+        ['index.html', 'main.js', 'analyzer-core.js', 'analyzer-worker.js', 'styles.css', 'manifest.webmanifest']
+            .forEach(file => assert.ok(shell.includes(file), `${file} is not cached`));
+        shell.filter(file => file !== './').forEach(file => assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} is missing`));
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+        manifest.icons.forEach(icon => assert.ok(shell.includes(icon.src), `${icon.src} is not cached`));
+    });
+
+    it('loads the bundled Chart.js', async () => {
+        const app = await loadApp();
+        try {
+            const script = app.document.querySelector('script[src*="chart"]');
+            assert.equal(script.getAttribute('src'), 'vendor/chart.js/chart.umd.min.js');
+        } finally {
+            app.window.close();
+        }
+    });
+});
+
+describe('bulk selection', () => {
+    let app;
+    beforeEach(async () => {
+        app = await loadApp();
+        await uploadExport(app, 'basic');
+        app.document.querySelector('.mode-btn[data-mode="all"]').click();
+    });
+    afterEach(() => app.window.close());
+
+    /**
+     * Clicks a row's checkbox (rows are re-rendered after every click, so look it up each time).
+     * @param {string} username
+     * @param {boolean} [shiftKey=false]
+     */
+    function tick(username, shiftKey = false) {
+        const checkbox = app.document.querySelector(`.select-checkbox[data-username="${username}"]`);
+        checkbox.dispatchEvent(new app.window.MouseEvent('click', { bubbles: true, cancelable: true, shiftKey }));
+    }
+
+    const checked = () => [...app.document.querySelectorAll('.select-checkbox:checked')].map(box => box.getAttribute('data-username'));
+    const bulkBar = () => app.document.getElementById('bulkActionBar');
+    const bulkButton = action => bulkBar().querySelector(`[data-bulk="${action}"]`);
+
+    it('selects a range with shift-click and shows the count', () => {
+        assert.equal(bulkBar().hidden, true);
+        const users = listedUsers(app).map(user => user.slice(1));
+        tick(users[0]);
+        tick(users[2], true);
+        assert.deepEqual(checked(), users.slice(0, 3));
+        assert.equal(bulkBar().hidden, false);
+        assert.equal(app.document.getElementById('bulkSelectionCount').textContent, '3 selected');
+        tick(users[1]);
+        assert.equal(app.document.getElementById('bulkSelectionCount').textContent, '2 selected');
+        bulkButton('clear').click();
+        assert.deepEqual(checked(), []);
+        assert.equal(bulkBar().hidden, true);
+    });
+
+    it('selects all filtered accounts and keeps them when the search changes', async () => {
+        let copied = null;
+        Object.defineProperty(app.window.navigator, 'clipboard', { value: { writeText: async text => { copied = text; } } });
+        const search = app.document.getElementById('searchInput');
+        search.value = 'an';
+        search.dispatchEvent(new app.window.Event('input'));
+        await waitFor(() => listedUsers(app).length === 1);
+        app.document.getElementById('selectFilteredButton').click();
+        search.value = '';
+        search.dispatchEvent(new app.window.Event('input'));
+        await waitFor(() => listedUsers(app).length === 4);
+        tick('apple');
+        assert.equal(app.document.getElementById('bulkSelectionCount').textContent, '2 selected');
+
+        search.value = 'apple';
+        search.dispatchEvent(new app.window.Event('input'));
+        await waitFor(() => listedUsers(app).length === 1);
+        assert.equal(app.document.getElementById('bulkSelectionCount').textContent, '2 selected (1 not shown)');
+        bulkButton('copy').click();
+        await waitFor(() => copied);
+        assert.equal(copied, '@apple\n@banana');
+    });
+
+    it('tags and ignores the selected accounts', () => {
+        tick('banana');
+        tick('watermelon');
+        app.window.prompt = () => 'Fruit, Summer';
+        bulkButton('tag').click();
+        const annotations = JSON.parse(app.window.localStorage.getItem('annotations'));
+        assert.deepEqual(annotations.banana.tags, ['fruit', 'summer']);
+        assert.deepEqual(annotations.watermelon.tags, ['fruit', 'summer']);
+
+        app.window.confirm = () => true;
+        bulkButton('ignore').click();
+        assert.deepEqual(JSON.parse(app.window.localStorage.getItem('ignoreList')), ['banana', 'watermelon']);
+        assert.deepEqual(listedUsers(app).sort(), ['@apple', '@cherry']);
+        assert.equal(bulkBar().hidden, true);
+    });
+
+    it('exports and reviews only the selected accounts', async () => {
+        tick('watermelon');
+        bulkButton('review').click();
+        assert.match(app.document.getElementById('reviewCurrent').textContent, /@watermelon/);
+        app.document.querySelector('#reviewModal .close').click();
+
+        bulkButton('export').click();
+        assert.equal(app.document.querySelector('#exportModal h3').textContent, 'Export: Selected accounts');
+        app.document.getElementById('exportFormat').value = 'txt';
+        app.document.getElementById('performExportButton').click();
+        const download = await waitFor(() => app.downloads.find(item => item.fileName));
+        assert.match(download.fileName, /^instagram_selected_accounts_.*\.txt$/);
+        assert.deepEqual((await download.content.text()).trim().split('\n').map(line => line.split(' | ')[0]), ['@watermelon']);
+    });
+
+    it('opens the selected profiles in tabs and retries the ones the browser blocked', () => {
+        const opened = [];
+        let blockPopups = true;
+        app.window.open = url => {
+            if (blockPopups) return null;
+            opened.push(url);
+            return {};
+        };
+        tick('apple');
+        tick('cherry');
+        bulkButton('open').click();
+        assert.deepEqual(opened, []);
+        assert.ok(toasts(app).some(text => text.includes('blocked the new tabs')));
+        assert.equal(bulkBar().querySelector('.bulk-open-label').textContent, 'Open next 2 (2 left)');
+
+        blockPopups = false;
+        bulkButton('open').click();
+        assert.deepEqual(opened.sort(), ['https://www.instagram.com/apple/', 'https://www.instagram.com/cherry/']);
+        assert.equal(bulkBar().querySelector('.bulk-open-label').textContent, 'Open in tabs');
+    });
+});